@@ -1,4 +1,4 @@
-import React, { useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import html2canvas from "html2canvas";
 import jsPDF from "jspdf";
 import {
@@ -9,229 +9,50 @@ import {
   Tooltip,
   ResponsiveContainer,
   CartesianGrid,
-  Legend
+  Legend,
+  ReferenceLine
 } from "recharts";
-
-/* ---------------- Helpers ---------------- */
-const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
-const fmtCOP = (n) =>
-  new Intl.NumberFormat("es-CO", { maximumFractionDigits: 0 }).format(
-    Math.round(n || 0)
-  );
-
-const fmtPct = (n) =>
-  `${(100 * (n || 0)).toLocaleString("es-CO", { maximumFractionDigits: 2 })}%`;
-
-function npv(rate, cashflows) {
-  return cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
-}
-
-function irr(cashflows) {
-  const hasNeg = cashflows.some((x) => x < 0);
-  const hasPos = cashflows.some((x) => x > 0);
-  if (!hasNeg || !hasPos) return null;
-
-  let low = -0.99;
-  let high = 5.0;
-  for (let i = 0; i < 140; i++) {
-    const mid = (low + high) / 2;
-    const v = npv(mid, cashflows);
-    if (Math.abs(v) < 1e-4) return mid;
-    if (v > 0) low = mid;
-    else high = mid;
-  }
-  return (low + high) / 2;
-}
-
-function paybackYear(cashflows) {
-  let cum = 0;
-  for (let t = 0; t < cashflows.length; t++) {
-    cum += cashflows[t];
-    if (cum >= 0) return t;
-  }
-  return null;
-}
-
-function yearlyGenerationKwh({ kW, psh, pr, deg, year }) {
-  const base = kW * psh * 365 * pr;
-  const factor = Math.pow(1 - deg, year - 1);
-  return base * factor;
-}
-
-/**
- * Volatilidad estable (no cambia con re-renders)
- */
-function stableNoise01(seedStr) {
-  let h = 2166136261;
-  for (let i = 0; i < seedStr.length; i++) {
-    h ^= seedStr.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return ((h >>> 0) % 100000) / 100000; // [0,1)
-}
-
-/* ---------------- Incentivos (simulación) ---------------- */
-const INCENTIVOS = [
-  { key: "none", name: "Ninguno" },
-  { key: "co_iva", name: "Colombia – Solo exclusión de IVA (simulación)" },
-  { key: "co_iva_arancel", name: "Colombia – IVA + Arancel (simulación)" },
-  { key: "co_full", name: "Colombia – Paquete completo (IVA + Arancel + Deducción renta)" }
-];
-
-function applyIncentives(capexBruto, opt) {
-  const ivaRate = clamp(opt.ivaRate, 0, 0.3);
-  const arancelRate = clamp(opt.arancelRate, 0, 0.2);
-
-  let capexNeto = capexBruto;
-
-  // IVA (si capexBruto incluye IVA)
-  if (opt.scheme === "co_iva" || opt.scheme === "co_iva_arancel" || opt.scheme === "co_full") {
-    capexNeto = capexNeto / (1 + ivaRate);
-  }
-
-  // Arancel (simulación como reducción)
-  if (opt.scheme === "co_iva_arancel" || opt.scheme === "co_full") {
-    capexNeto = capexNeto * (1 - arancelRate);
-  }
-
-  // Deducción renta (flujo anual adicional simulado)
-  let taxBenefitAnnual = 0;
-  if (opt.scheme === "co_full") {
-    const deductionBase = 0.5 * capexNeto;
-    const deductionYears = Math.max(1, Math.round(opt.deductionYears));
-    const taxRate = clamp(opt.taxRate, 0, 0.5);
-    taxBenefitAnnual = (deductionBase / deductionYears) * taxRate;
-  }
-
-  return { capexNeto, taxBenefitAnnual };
-}
-
-/* ---------------- Scenario Model ---------------- */
-function computeScenario(s, global, seedTag = "base") {
-  const years = Math.max(5, Math.round(s.lifeYears));
-  const discount = clamp(s.discountRate, 0.01, 0.6);
-
-  const { capexNeto, taxBenefitAnnual } = applyIncentives(s.capex, {
-    scheme: s.incentiveScheme,
-    ivaRate: s.ivaRate,
-    arancelRate: s.arancelRate,
-    taxRate: s.taxRate,
-    deductionYears: s.deductionYears
-  });
-
-  const cashflows = new Array(years + 1).fill(0);
-  cashflows[0] = -capexNeto;
-
-  const tariff0 = Math.max(0, s.tariff);
-  const esc = clamp(s.tariffEscalation, 0, 0.35);
-  const vol = clamp(s.tariffVolatility, 0, 0.5);
-
-  // Con/Sin excedentes
-  const exportFactor = global.includeExports ? clamp(s.exportFactor, 0, 1) : 0;
-
-  const selfFrac = clamp(s.selfConsumption, 0, 1);
-  let om = Math.max(0, s.omAnnual);
-
-  const annuals = [];
-
-  for (let y = 1; y <= years; y++) {
-    const baseTariff = tariff0 * Math.pow(1 + esc, y - 1);
-
-    let tariffY = baseTariff;
-    if (global.useVolatility) {
-      const u = stableNoise01(`${seedTag}|${y}|${tariff0}|${esc}|${vol}`);
-      const jitter = 1 + (u * 2 - 1) * vol;
-      tariffY = Math.max(0, baseTariff * jitter);
-    }
-
-    const gen = yearlyGenerationKwh({
-      kW: s.kW,
-      psh: s.psh,
-      pr: s.pr,
-      deg: s.degAnnual,
-      year: y
-    });
-
-    const selfKwh = gen * selfFrac;
-    const expKwh = gen * (1 - selfFrac);
-
-    const exportPrice = tariffY * exportFactor;
-
-    const savingsSelf = selfKwh * tariffY;
-    const revenueExp = expKwh * exportPrice;
-    const savings = savingsSelf + revenueExp;
-
-    if (y > 1) om = om * (1 + esc);
-
-    const benefitTax = global.includeTaxBenefit ? taxBenefitAnnual : 0;
-    const net = savings - om + benefitTax;
-
-    cashflows[y] = net;
-
-    annuals.push({
-      year: y,
-      tariff: tariffY,
-      generationKwh: gen,
-      selfKwh,
-      expKwh,
-      savingsSelf,
-      revenueExp,
-      savings,
-      om,
-      taxBenefit: benefitTax,
-      net,
-      cum: (annuals[y - 2]?.cum || cashflows[0]) + net
-    });
-  }
-
-  const NPV = npv(discount, cashflows);
-  const IRR = irr(cashflows);
-  const pb = paybackYear(cashflows);
-  const roi1 = cashflows[1] / capexNeto;
-
-  const y1 = annuals[0];
-  const exportShareY1 =
-    y1 && y1.savings > 0 ? clamp(y1.revenueExp / y1.savings, 0, 1) : 0;
-
-  return {
-    years,
-    capexNeto,
-    cashflows,
-    annuals,
-    NPV,
-    IRR,
-    payback: pb,
-    roi1,
-    exportShareY1
-  };
-}
+import {
+  INCENTIVOS,
+  findIncentive,
+  computeScenario,
+  compareBusinessModels,
+  tornadoAnalysis,
+  defaultScenarios,
+  defaultGlobal,
+  scaleMonthlyPsh,
+  SITES,
+  SITES_SOURCE,
+  findSite,
+  sitePatch,
+  matchesSite
+} from "./engine/index.js";
+import { fmtCOP, fmtPct, fmtNum, fmtAxis, fmtYears, fmtIrr, fmtBasis } from "./lib/format.js";
+import { createStudy, newScenario, moveScenario } from "./lib/study.js";
+import { loadSession, saveSession } from "./lib/storage.js";
+import { buildShareUrl, decodeStudy, studyTokenFromHash, linkDropsProfiles } from "./lib/shareLink.js";
+import ProjectLibrary from "./components/ProjectLibrary.jsx";
+import ScenarioManager from "./components/ScenarioManager.jsx";
+import ComparisonTable from "./components/ComparisonTable.jsx";
+import CashflowTable from "./components/CashflowTable.jsx";
+import MonteCarloPanel from "./components/MonteCarloPanel.jsx";
+import TornadoPanel from "./components/TornadoPanel.jsx";
+import TornadoChart from "./components/TornadoChart.jsx";
+import HeatmapPanel from "./components/HeatmapPanel.jsx";
+import GoalSeekPanel from "./components/GoalSeekPanel.jsx";
+import SizingPanel from "./components/SizingPanel.jsx";
+import LoadProfileInputs from "./components/LoadProfileInputs.jsx";
+import BatteryInputs from "./components/BatteryInputs.jsx";
+import CapitalEventsInputs from "./components/CapitalEventsInputs.jsx";
+import FinancingInputs from "./components/FinancingInputs.jsx";
+import FinancingPanel from "./components/FinancingPanel.jsx";
+import BusinessModelsPanel from "./components/BusinessModelsPanel.jsx";
+import TaxPanel from "./components/TaxPanel.jsx";
+import MonthlyPshInputs from "./components/MonthlyPshInputs.jsx";
+import MonthlyChart from "./components/MonthlyChart.jsx";
+import { FIELD_LABELS } from "./lib/fieldLabels.js";
 
 /* ---------------- UI ---------------- */
-const defaultScenario = (name, colorKey) => ({
-  name,
-  colorKey,
-  kW: 22.2,
-  lifeYears: 25,
-  tariff: 1080,
-  tariffEscalation: 0.08,
-  tariffVolatility: 0.08,
-  selfConsumption: 0.65,
-  capex: 64727982,
-  omAnnual: 450000,
-  discountRate: 0.12,
-  // Engineer
-  psh: 4.1,
-  pr: 0.8,
-  degAnnual: 0.006,
-  exportFactor: 0.45,
-  // Incentivos
-  incentiveScheme: "co_full",
-  ivaRate: 0.19,
-  arancelRate: 0.05,
-  taxRate: 0.35,
-  deductionYears: 15
-});
-
 function EnergyIcon() {
   return (
     <svg width="22" height="22" viewBox="0 0 24 24" fill="none" aria-hidden="true">
@@ -252,75 +73,144 @@ function EnergyIcon() {
 }
 
 export default function App() {
-  const [active, setActive] = useState("B");
+  const [session] = useState(loadSession);
+  const [active, setActive] = useState(session?.active ?? "B");
   const [engineer, setEngineer] = useState(true);
 
-  const [global, setGlobal] = useState({
-    includeTaxBenefit: true,
-    useVolatility: false,
-    includeExports: true
-  });
+  const [global, setGlobal] = useState(session?.global ?? defaultGlobal);
 
-  const [sc, setSc] = useState({
-    A: defaultScenario("Conservador", "green"),
-    B: { ...defaultScenario("Base", "blue"), tariff: 1080, selfConsumption: 0.65 },
-    C: { ...defaultScenario("Optimista", "purple"), tariff: 1200, selfConsumption: 0.75, tariffEscalation: 0.1 }
-  });
+  const [sc, setSc] = useState(session?.sc ?? defaultScenarios);
+
+  const study = useMemo(() => createStudy(sc, global, active), [sc, global, active]);
+
+  // Autoguardado: el estudio sobrevive a recargas y cierres de pestaña.
+  useEffect(() => {
+    saveSession(study);
+  }, [study]);
+
+  const openStudy = (s) => {
+    setSc(s.sc);
+    setGlobal(s.global);
+    setActive(s.active);
+  };
+
+  // Enlace compartido (#s=…): tiene prioridad sobre la sesión guardada.
+  const [linkStatus, setLinkStatus] = useState("");
+  useEffect(() => {
+    const token = studyTokenFromHash(window.location.hash);
+    if (!token) return;
+    decodeStudy(token)
+      .then((s) => {
+        openStudy(s);
+        history.replaceState(null, "", window.location.pathname + window.location.search);
+      })
+      .catch((err) => setLinkStatus(err.message));
+  }, []);
+
+  async function copyLink() {
+    let url = "";
+    try {
+      url = await buildShareUrl(study);
+      await navigator.clipboard.writeText(url);
+      setLinkStatus(
+        linkDropsProfiles(study)
+          ? "Enlace copiado. Los perfiles horarios no viajan en el enlace: usa Guardar JSON para compartirlos."
+          : "Enlace copiado al portapapeles."
+      );
+    } catch {
+      // Sin enlace (p. ej. sin CompressionStream) no hay nada que copiar a mano.
+      if (url) window.prompt("Copia el enlace:", url);
+      else setLinkStatus("No se pudo generar el enlace en este navegador. Usa Guardar JSON para compartir el estudio.");
+    }
+  }
 
   const models = useMemo(() => {
-    return {
-      A: computeScenario(sc.A, global, "A"),
-      B: computeScenario(sc.B, global, "B"),
-      C: computeScenario(sc.C, global, "C")
-    };
-  }, [sc, global.includeTaxBenefit, global.useVolatility, global.includeExports]);
+    return Object.fromEntries(sc.map((s) => [s.id, computeScenario(s, global, s.id)]));
+  }, [sc, global.includeTaxBenefit, global.useVolatility, global.includeExports, global.realTerms]);
 
-  const activeScenario = sc[active];
-  const activeModel = models[active];
+  const activeScenario = sc.find((s) => s.id === active) ?? sc[0];
+  const activeId = activeScenario.id;
+  const activeModel = models[activeId];
+  const activeSite = findSite(activeScenario.siteKey);
 
   const modelWithExports = useMemo(() => {
-    return computeScenario(activeScenario, { ...global, includeExports: true }, `${active}|with`);
-  }, [activeScenario, global.includeTaxBenefit, global.useVolatility, active]);
+    return computeScenario(activeScenario, { ...global, includeExports: true }, `${activeId}|with`);
+  }, [activeScenario, global.includeTaxBenefit, global.useVolatility, global.realTerms, activeId]);
 
   const modelNoExports = useMemo(() => {
-    return computeScenario(activeScenario, { ...global, includeExports: false }, `${active}|no`);
-  }, [activeScenario, global.includeTaxBenefit, global.useVolatility, active]);
+    return computeScenario(activeScenario, { ...global, includeExports: false }, `${activeId}|no`);
+  }, [activeScenario, global.includeTaxBenefit, global.useVolatility, global.realTerms, activeId]);
+
+  // Mismo seedTag que el modelo activo: solo cambia la batería.
+  const modelNoBattery = useMemo(() => {
+    return computeScenario({ ...activeScenario, batteryKwh: 0 }, global, activeId);
+  }, [activeScenario, global, activeId]);
+
+  const businessModels = useMemo(
+    () => compareBusinessModels(activeScenario, activeModel),
+    [activeScenario, activeModel]
+  );
+
+  const [tornadoDelta, setTornadoDelta] = useState(0.2);
+  const [tornadoMetric, setTornadoMetric] = useState("NPV");
+  const tornado = useMemo(
+    () => tornadoAnalysis(activeScenario, global, { delta: tornadoDelta, metric: tornadoMetric }, activeId),
+    [activeScenario, global, tornadoDelta, tornadoMetric, activeId]
+  );
 
   const chartData = useMemo(() => {
-    const years = activeModel.years;
+    const years = Math.max(...Object.values(models).map((m) => m.years));
     const data = [];
     for (let y = 0; y <= years; y++) {
-      const aCum = y === 0 ? models.A.cashflows[0] : models.A.cashflows.slice(0, y + 1).reduce((p, c) => p + c, 0);
-      const bCum = y === 0 ? models.B.cashflows[0] : models.B.cashflows.slice(0, y + 1).reduce((p, c) => p + c, 0);
-      const cCum = y === 0 ? models.C.cashflows[0] : models.C.cashflows.slice(0, y + 1).reduce((p, c) => p + c, 0);
-      data.push({ year: y, A: aCum, B: bCum, C: cCum });
+      const row = { year: y };
+      for (const [id, m] of Object.entries(models)) {
+        row[id] = m.cashflows.slice(0, y + 1).reduce((p, c) => p + c, 0);
+      }
+      data.push(row);
     }
     return data;
-  }, [models, activeModel.years]);
-
-  const update = (key, value) => {
-    setSc((prev) => ({
-      ...prev,
-      [active]: {
-        ...prev[active],
-        [key]: value
-      }
-    }));
+  }, [models]);
+
+  const patchScenario = (id, patch) => {
+    setSc((prev) => prev.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  };
+
+  const update = (key, value) => patchScenario(activeId, { [key]: value });
+
+  // En modo mensual la PSH es el promedio de la tabla: cambiarla la escala.
+  const updatePsh = (psh) =>
+    patchScenario(
+      activeId,
+      activeScenario.pshMode === "monthly" && activeScenario.pshMonthly
+        ? { psh, pshMonthly: scaleMonthlyPsh(activeScenario.pshMonthly, psh) }
+        : { psh }
+    );
+
+  // Valores que llegan de los paneles (buscar objetivo): la PSH pasa por `updatePsh`.
+  const applyField = (key, value) => (key === "psh" ? updatePsh(value) : update(key, value));
+
+  const duplicateTo = (targetId) => {
+    setSc((prev) =>
+      prev.map((s) => (s.id === targetId ? { ...activeScenario, id: s.id, name: s.name, color: s.color } : s))
+    );
+  };
+
+  const addScenario = (template) => {
+    const created = newScenario(sc, template);
+    setSc((prev) => [...prev, created]);
+    setActive(created.id);
   };
 
-  const duplicateTo = (targetKey) => {
-    setSc((prev) => ({
-      ...prev,
-      [targetKey]: { ...prev[active], name: prev[targetKey].name, colorKey: prev[targetKey].colorKey }
-    }));
+  const removeScenario = (id) => {
+    if (sc.length <= 1) return;
+    const rest = sc.filter((s) => s.id !== id);
+    setSc(rest);
+    if (id === activeId) setActive(rest[0].id);
   };
 
   const reset = () => {
-    setSc({
-      A: defaultScenario("Conservador", "green"),
-      B: { ...defaultScenario("Base", "blue"), tariff: 1080, selfConsumption: 0.65 },
-      C: { ...defaultScenario("Optimista", "purple"), tariff: 1200, selfConsumption: 0.75, tariffEscalation: 0.1 }
-    });
+    setSc(defaultScenarios());
+    setActive("B");
   };
 
   const reportRef = useRef(null);
@@ -363,9 +253,8 @@ export default function App() {
   }
 
   const conclusions = useMemo(() => {
-    const { NPV, IRR, payback, exportShareY1 } = activeModel;
-    const scheme = activeScenario.incentiveScheme;
-    const schemeName = INCENTIVOS.find((x) => x.key === scheme)?.name || "Ninguno";
+    const { NPV, IRR, irrStatus, irrRoots, MIRR, payback, paybackFrac, discountedPaybackFrac, exportShareY1 } = activeModel;
+    const inc = findIncentive(activeScenario.incentiveScheme);
 
     const lines = [];
 
@@ -382,33 +271,121 @@ export default function App() {
       }
     }
 
-    if (scheme !== "none") {
-      if (scheme === "co_full") lines.push("Incentivos CO: IVA + arancel + deducción renta (simulación).");
-      else if (scheme === "co_iva_arancel") lines.push("Incentivos CO: IVA + arancel (simulación).");
-      else if (scheme === "co_iva") lines.push("Incentivos CO: exclusión IVA (simulación).");
+    if (inc.key !== "none") {
+      const parts = [];
+      if (inc.iva) parts.push("IVA");
+      if (inc.arancel) parts.push("arancel");
+      if (inc.renta) parts.push("deducción renta");
+      lines.push(`Incentivos CO: ${parts.join(" + ")} (simulación).`);
+      if (inc.renta && activeScenario.deductionCap === "income" && activeModel.taxMode === "simple") {
+        lines.push(`Deducción renta topada al 50% del ingreso gravable ($ ${fmtCOP(activeScenario.taxableIncome)}/año).`);
+      }
       lines.push("Nota: elegibilidad real depende de requisitos y soportes del contribuyente.");
     } else {
       lines.push("Sin incentivos tributarios considerados.");
     }
 
+    if (activeModel.taxMode === "corporate") {
+      const totalTax = activeModel.annuals.reduce((a, r) => a + r.incomeTax, 0);
+      const expired = activeModel.taxTable.reduce((a, r) => a + r.deductionExpired, 0);
+      lines.push(
+        `Flujo después de impuestos (renta ${fmtPct(activeScenario.taxRate)}, depreciación en ${activeScenario.depreciationYears} años): ` +
+          `renta incremental total $ ${fmtCOP(totalTax)}` +
+          (expired > 0 ? `; vencen $ ${fmtCOP(expired)} de deducción especial sin usar.` : ".")
+      );
+    }
+
     if (NPV > 0) lines.push("Rentabilidad: VPN positivo (viable).");
     else lines.push("Rentabilidad: VPN negativo (revisar supuestos).");
 
-    if (IRR != null && IRR > activeScenario.discountRate) lines.push("La TIR supera la tasa de descuento: atractivo.");
-    else lines.push("La TIR no supera la tasa de descuento: revisar supuestos.");
+    if (irrStatus === "ok") {
+      if (IRR > activeModel.discountRate) lines.push("La TIR supera la tasa de descuento: atractivo.");
+      else lines.push("La TIR no supera la tasa de descuento: revisar supuestos.");
+    } else if (irrStatus === "multiple") {
+      lines.push(`⚠️ TIR ambigua: el flujo cambia de signo varias veces (raíces ${irrRoots.map(fmtPct).join(", ")}). Usar VPN/TIRM.`);
+    } else if (irrStatus === "no-convergence") {
+      lines.push("⚠️ TIR: el cálculo no convergió; usar VPN/TIRM.");
+    } else {
+      lines.push("TIR no calculable (flujo sin cambio de signo o TIR fuera de −99%…500%).");
+    }
+
+    if (MIRR != null) {
+      lines.push(
+        `TIRM: ${fmtPct(MIRR)} (financiación ${fmtPct(activeScenario.mirrFinanceRate)}, reinversión ${fmtPct(activeScenario.mirrReinvestRate)}).`
+      );
+    }
 
-    if (payback != null) lines.push(`Payback estimado: año ${payback}.`);
+    if (payback != null) lines.push(`Payback estimado: año ${payback} (${fmtYears(paybackFrac)}).`);
     else lines.push("Payback: no recupera inversión dentro del horizonte.");
 
-    if (global.useVolatility) lines.push("Tarifa: variable con volatilidad estable (sensibilidad).");
+    if (discountedPaybackFrac != null) {
+      lines.push(`Payback descontado (al ${fmtPct(activeModel.discountRate)}): ${fmtYears(discountedPaybackFrac)}.`);
+    } else {
+      lines.push("Payback descontado: no recupera en valor presente dentro del horizonte.");
+    }
+
+    if (activeScenario.tariffMode === "manual") lines.push("Tarifa: lista manual año a año.");
+    else if (activeScenario.tariffMode === "ciclico") lines.push("Tarifa: variable (cíclica/mercado).");
     else lines.push("Tarifa: escalamiento fijo anual.");
+    if (global.useVolatility) lines.push("Tarifa con volatilidad estable (sensibilidad).");
+    lines.push(
+      `Montos y tasas en base ${fmtBasis(activeModel)}; tasa de descuento ${fmtPct(activeModel.discountRate)}` +
+        (activeModel.basis === "real" ? ` (nominal ${fmtPct(activeModel.discountRateNominal)}).` : ".")
+    );
+
+    const { lcoe, levelizedTariff, gridParityYear } = activeModel;
+    if (lcoe != null) {
+      lines.push(
+        `LCOE: ${fmtCOP(lcoe)} COP/kWh vs tarifa nivelada ${fmtCOP(levelizedTariff)} COP/kWh` +
+          (gridParityYear == null
+            ? " — sin paridad de red en el horizonte."
+            : gridParityYear === 1
+              ? " — en paridad de red desde el año 1."
+              : ` — paridad de red en el año ${gridParityYear}.`)
+      );
+    }
 
     const deltaNPV = modelWithExports.NPV - modelNoExports.NPV;
     lines.push(`Impacto excedentes en VPN (Con − Sin): $ ${fmtCOP(deltaNPV)}.`);
-    lines.push(`Esquema incentivos: ${schemeName}.`);
+    if (activeModel.capitalEvents.length > 0) {
+      const total = activeModel.capitalEvents.reduce((acc, e) => acc + e.cost, 0);
+      lines.push(
+        `Eventos de capital: ${activeModel.capitalEvents.length} desembolso(s) por $ ${fmtCOP(total)} entre los años ${activeModel.capitalEvents[0].year} y ${activeModel.capitalEvents[activeModel.capitalEvents.length - 1].year}, incluidos en VPN, TIR y payback.`
+      );
+    }
+    const fin = activeModel.financing;
+    if (fin) {
+      lines.push(
+        `Con crédito del ${Math.round(100 * activeScenario.loanShare)}%: TIR del inversionista ${fmtIrr(fin)} vs ${fmtIrr(activeModel)} del proyecto` +
+          (fin.minDscr == null
+            ? "."
+            : `; DSCR mínimo ${fmtNum(fin.minDscr, 2)}× en el año ${fin.minDscrYear}${fin.minDscr < 1 ? " (el flujo no cubre la cuota)" : ""}.`)
+      );
+    }
+    const bestForClient = businessModels
+      .filter((r) => r.client)
+      .reduce((a, r) => (r.client.NPV > a.client.NPV ? r : a));
+    lines.push(`Modelo de negocio con mayor VPN para el cliente: ${bestForClient.label} ($ ${fmtCOP(bestForClient.client.NPV)}).`);
+    if (activeModel.hasBattery) {
+      lines.push(
+        `Batería ${fmtNum(activeScenario.batteryKwh)} kWh: impacto en VPN (Con − Sin) $ ${fmtCOP(activeModel.NPV - modelNoBattery.NPV)}.`
+      );
+    }
+    lines.push(`Esquema incentivos: ${inc.name}.`);
+
+    const top = tornado.rows[0];
+    if (top && top.npvSwing != null && tornado.metric === "NPV") {
+      lines.push(
+        `Mayor sensibilidad del VPN: ${FIELD_LABELS[top.key]} (±${Math.round(100 * tornado.delta)}% mueve el VPN $ ${fmtCOP(top.npvSwing)}).`
+      );
+    } else if (top && top.irrSwing != null && tornado.metric === "IRR") {
+      lines.push(
+        `Mayor sensibilidad de la TIR: ${FIELD_LABELS[top.key]} (±${Math.round(100 * tornado.delta)}% mueve la TIR ${fmtPct(top.irrSwing)}).`
+      );
+    }
 
     return lines;
-  }, [activeModel, activeScenario, global.includeExports, global.useVolatility, modelWithExports.NPV, modelNoExports.NPV]);
+  }, [activeModel, activeScenario, global.includeExports, global.useVolatility, modelWithExports.NPV, modelNoExports.NPV, modelNoBattery.NPV, businessModels, tornado]);
 
   return (
     <div className="container">
@@ -422,7 +399,7 @@ export default function App() {
                 <span style={{ fontSize: 12, opacity: 0.9 }}>v2.0 PRO</span>
               </div>
               <div className="subtitle">
-                A/B/C • Incentivos Colombia • Tarifa variable • Con/Sin excedentes • PDF PRO
+                Escenarios • Incentivos Colombia • Tarifa escalada/manual/cíclica • Con/Sin excedentes • PDF PRO
               </div>
             </div>
           </div>
@@ -432,36 +409,34 @@ export default function App() {
           <button className="btn" onClick={() => setEngineer((v) => !v)}>
             {engineer ? "Modo Cliente" : "Modo Ingeniero"}
           </button>
+          <button className="btn" onClick={copyLink}>Copiar enlace</button>
           <button className="btn primary" onClick={exportPDF}>Exportar PDF</button>
           <button className="btn" onClick={reset}>Reiniciar</button>
         </div>
       </div>
 
+      {linkStatus && (
+        <div className="note" onClick={() => setLinkStatus("")}>{linkStatus}</div>
+      )}
+
       <div className="grid">
         <div style={{ display: "grid", gap: 14 }}>
-          <div className="card">
-            <h3>Escenarios</h3>
-            <div className="small">Trabaja con A/B/C. Cambia el activo y compara resultados.</div>
-
-            <div className="segment">
-              {["A", "B", "C"].map((k) => (
-                <button key={k} className={`pill ${active === k ? "active" : ""}`} onClick={() => setActive(k)}>
-                  {k} • {sc[k].name}
-                </button>
-              ))}
-            </div>
-
-            <div className="hr" />
-            <div className="small">Consejo: usa “Duplicar” para copiar supuestos del escenario activo a otro.</div>
-            <div className="segment">
-              <button className="btn" onClick={() => duplicateTo("A")}>Duplicar a A</button>
-              <button className="btn" onClick={() => duplicateTo("B")}>Duplicar a B</button>
-              <button className="btn" onClick={() => duplicateTo("C")}>Duplicar a C</button>
-            </div>
-          </div>
+          <ScenarioManager
+            scenarios={sc}
+            activeId={activeId}
+            onSelect={setActive}
+            onAdd={() => addScenario()}
+            onDuplicateNew={() => addScenario(activeScenario)}
+            onDuplicateTo={duplicateTo}
+            onRemove={removeScenario}
+            onMove={(id, dir) => setSc((prev) => moveScenario(prev, id, dir))}
+            onColor={(id, color) => patchScenario(id, { color })}
+          />
+
+          <ProjectLibrary study={study} onOpen={openStudy} />
 
           <div className="card">
-            <h3>Entradas • Escenario {active} ({activeScenario.name})</h3>
+            <h3>Entradas • Escenario {activeId} ({activeScenario.name})</h3>
             <div className="small">{engineer ? "Modo Ingeniero: inputs completos" : "Modo Cliente: inputs esenciales"}</div>
 
             <div className="form">
@@ -485,11 +460,39 @@ export default function App() {
                 <input type="number" step="0.1" value={activeScenario.kW} onChange={(e) => update("kW", Number(e.target.value))} />
               </div>
 
+              <div className="field">
+                <label>Ciudad (HSP y PR de referencia)</label>
+                <select value={activeScenario.siteKey} onChange={(e) => patchScenario(activeId, sitePatch(e.target.value))}>
+                  <option value="">Manual</option>
+                  {SITES.map((x) => (
+                    <option key={x.key} value={x.key}>{x.name} • HSP {fmtNum(x.psh, 2)}</option>
+                  ))}
+                </select>
+                {activeSite && !matchesSite(activeScenario, activeSite) && (
+                  <div className="small" style={{ marginTop: 4 }}>HSP/PR ajustados a mano sobre {activeSite.name}.</div>
+                )}
+              </div>
+
               <div className="field">
                 <label>% autoconsumo (0–1)</label>
-                <input type="number" step="0.01" value={activeScenario.selfConsumption} onChange={(e) => update("selfConsumption", Number(e.target.value))} />
+                <input
+                  type="number"
+                  step="0.01"
+                  value={activeModel.selfConsumptionSource === "hourly" ? Number(activeModel.selfConsumptionY1.toFixed(4)) : activeScenario.selfConsumption}
+                  disabled={activeModel.selfConsumptionSource === "hourly"}
+                  title={activeModel.selfConsumptionSource === "hourly" ? "Derivado del perfil horario (año 1)" : undefined}
+                  onChange={(e) => update("selfConsumption", Number(e.target.value))}
+                />
               </div>
 
+              <LoadProfileInputs scenario={activeScenario} model={activeModel} onPatch={(patch) => patchScenario(activeId, patch)} />
+
+              <BatteryInputs scenario={activeScenario} model={activeModel} onPatch={(patch) => patchScenario(activeId, patch)} />
+
+              <CapitalEventsInputs scenario={activeScenario} model={activeModel} onPatch={(patch) => patchScenario(activeId, patch)} />
+
+              <FinancingInputs scenario={activeScenario} onPatch={(patch) => patchScenario(activeId, patch)} />
+
               <div className="field">
                 <label>CAPEX (COP)</label>
                 <input type="number" value={activeScenario.capex} onChange={(e) => update("capex", Number(e.target.value))} />
@@ -501,15 +504,25 @@ export default function App() {
               </div>
 
               <div className="field">
-                <label>Tasa descuento</label>
+                <label>Tasa descuento (nominal)</label>
                 <input type="number" step="0.01" value={activeScenario.discountRate} onChange={(e) => update("discountRate", Number(e.target.value))} />
               </div>
 
               <div className="field">
-                <label>Escalamiento tarifa (anual)</label>
+                <label>Escalamiento tarifa (anual, nominal)</label>
                 <input type="number" step="0.01" value={activeScenario.tariffEscalation} onChange={(e) => update("tariffEscalation", Number(e.target.value))} />
               </div>
 
+              <div className="field">
+                <label>Escalamiento O&amp;M (anual, nominal)</label>
+                <input type="number" step="0.01" value={activeScenario.omEscalation} onChange={(e) => update("omEscalation", Number(e.target.value))} />
+              </div>
+
+              <div className="field">
+                <label>Inflación esperada (anual)</label>
+                <input type="number" step="0.005" value={activeScenario.inflation} onChange={(e) => update("inflation", Number(e.target.value))} />
+              </div>
+
               <div className="field">
                 <label>Incentivos tributarios (Colombia)</label>
                 <select value={activeScenario.incentiveScheme} onChange={(e) => update("incentiveScheme", e.target.value)}>
@@ -537,6 +550,11 @@ export default function App() {
                 onClick={() => setGlobal((p) => ({ ...p, includeExports: !p.includeExports }))}>
                 {global.includeExports ? "✓" : " "} Considerar excedentes
               </button>
+
+              <button className={`pill ${global.realTerms ? "active" : ""}`}
+                onClick={() => setGlobal((p) => ({ ...p, realTerms: !p.realTerms }))}>
+                {global.realTerms ? "✓" : " "} Base real (descontar inflación)
+              </button>
             </div>
 
             {engineer && (
@@ -545,13 +563,14 @@ export default function App() {
                 <h3 style={{ marginTop: 0 }}>Modo Ingeniero</h3>
                 <div className="form">
                   <div className="field">
-                    <label>PSH (h/día)</label>
-                    <input type="number" step="0.1" value={activeScenario.psh} onChange={(e) => update("psh", Number(e.target.value))} />
+                    <label>PSH (h/día){activeScenario.pshMode === "monthly" ? " • promedio" : ""}</label>
+                    <input type="number" step="0.1" value={activeScenario.psh} onChange={(e) => updatePsh(Number(e.target.value))} />
                   </div>
                   <div className="field">
                     <label>PR (0–1)</label>
                     <input type="number" step="0.01" value={activeScenario.pr} onChange={(e) => update("pr", Number(e.target.value))} />
                   </div>
+                  <MonthlyPshInputs scenario={activeScenario} onPatch={(patch) => patchScenario(activeId, patch)} />
                   <div className="field">
                     <label>Degradación anual</label>
                     <input type="number" step="0.001" value={activeScenario.degAnnual} onChange={(e) => update("degAnnual", Number(e.target.value))} />
@@ -560,6 +579,14 @@ export default function App() {
                     <label>Precio excedentes (factor vs tarifa)</label>
                     <input type="number" step="0.01" value={activeScenario.exportFactor} onChange={(e) => update("exportFactor", Number(e.target.value))} />
                   </div>
+                  <div className="field">
+                    <label>TIRM: tasa de financiación</label>
+                    <input type="number" step="0.01" value={activeScenario.mirrFinanceRate} onChange={(e) => update("mirrFinanceRate", Number(e.target.value))} />
+                  </div>
+                  <div className="field">
+                    <label>TIRM: tasa de reinversión</label>
+                    <input type="number" step="0.01" value={activeScenario.mirrReinvestRate} onChange={(e) => update("mirrReinvestRate", Number(e.target.value))} />
+                  </div>
                   <div className="field">
                     <label>IVA (simulación)</label>
                     <input type="number" step="0.01" value={activeScenario.ivaRate} onChange={(e) => update("ivaRate", Number(e.target.value))} />
@@ -568,6 +595,39 @@ export default function App() {
                     <label>Arancel (simulación)</label>
                     <input type="number" step="0.01" value={activeScenario.arancelRate} onChange={(e) => update("arancelRate", Number(e.target.value))} />
                   </div>
+                  <div className="field">
+                    <label>Modo de tarifa</label>
+                    <select value={activeScenario.tariffMode} onChange={(e) => update("tariffMode", e.target.value)}>
+                      <option value="escalado">Escalamiento fijo</option>
+                      <option value="manual">Manual (lista por año)</option>
+                      <option value="ciclico">Variable (cíclica/mercado)</option>
+                    </select>
+                  </div>
+                  {activeScenario.tariffMode === "ciclico" && (
+                    <div className="field">
+                      <label>Ciclo (años)</label>
+                      <input type="number" value={activeScenario.cycleYears} onChange={(e) => update("cycleYears", Number(e.target.value))} />
+                    </div>
+                  )}
+                  {activeScenario.tariffMode === "manual" && (
+                    <div className="field wide">
+                      <label>Tarifas por año (coma o salto de línea)</label>
+                      <textarea value={activeScenario.tariffList} onChange={(e) => update("tariffList", e.target.value)} />
+                    </div>
+                  )}
+                  <div className="field">
+                    <label>Modelo de renta</label>
+                    <select value={activeScenario.taxMode} onChange={(e) => update("taxMode", e.target.value)}>
+                      <option value="simple">Simple (beneficio por deducción)</option>
+                      <option value="corporate">Corporativo (después de impuestos)</option>
+                    </select>
+                  </div>
+                  {activeScenario.taxMode === "corporate" && (
+                    <div className="field">
+                      <label>Depreciación fiscal (años; Ley 1715: 3)</label>
+                      <input type="number" step="1" value={activeScenario.depreciationYears} onChange={(e) => update("depreciationYears", Number(e.target.value))} />
+                    </div>
+                  )}
                   <div className="field">
                     <label>Tarifa de renta (simulación)</label>
                     <input type="number" step="0.01" value={activeScenario.taxRate} onChange={(e) => update("taxRate", Number(e.target.value))} />
@@ -576,6 +636,30 @@ export default function App() {
                     <label>Años deducción (simulación)</label>
                     <input type="number" value={activeScenario.deductionYears} onChange={(e) => update("deductionYears", Number(e.target.value))} />
                   </div>
+                  {activeScenario.taxMode === "corporate" ? (
+                    <div className="field">
+                      <label>Renta líquida de la empresa sin el proyecto (0 = proyecto solo)</label>
+                      <input type="number" value={activeScenario.taxableIncome} onChange={(e) => update("taxableIncome", Number(e.target.value))} />
+                    </div>
+                  ) : (
+                    findIncentive(activeScenario.incentiveScheme).renta && (
+                      <>
+                        <div className="field">
+                          <label>Tope deducción renta</label>
+                          <select value={activeScenario.deductionCap} onChange={(e) => update("deductionCap", e.target.value)}>
+                            <option value="none">Sin tope</option>
+                            <option value="income">50% del ingreso gravable</option>
+                          </select>
+                        </div>
+                        {activeScenario.deductionCap === "income" && (
+                          <div className="field">
+                            <label>Ingreso gravable anual (0 = sin deducción)</label>
+                            <input type="number" value={activeScenario.taxableIncome} onChange={(e) => update("taxableIncome", Number(e.target.value))} />
+                          </div>
+                        )}
+                      </>
+                    )
+                  )}
                   <div className="field">
                     <label>Volatilidad tarifa (±)</label>
                     <input type="number" step="0.01" value={activeScenario.tariffVolatility} onChange={(e) => update("tariffVolatility", Number(e.target.value))} />
@@ -589,7 +673,10 @@ export default function App() {
         <div style={{ display: "grid", gap: 14 }}>
           <div className="card">
             <h3>Gráfica comparativa</h3>
-            <div className="small">Flujo acumulado por escenario (A/B/C).</div>
+            <div className="small">
+              Flujo acumulado por escenario, base {global.realTerms ? "real" : "nominal"}.
+              {activeModel.capitalEvents.length > 0 && <> Líneas punteadas: eventos de capital del escenario {activeId}.</>}
+            </div>
 
             <div style={{ height: 290, marginTop: 10 }}>
               <ResponsiveContainer width="100%" height="100%">
@@ -598,19 +685,22 @@ export default function App() {
                   <XAxis dataKey="year" stroke="rgba(234,241,255,.75)" />
                   <YAxis
                     stroke="rgba(234,241,255,.75)"
-                    tickFormatter={(v) => {
-                      const abs = Math.abs(v);
-                      if (abs >= 1e9) return `${(v / 1e9).toFixed(1)} B`;
-                      if (abs >= 1e6) return `${(v / 1e6).toFixed(0)} M`;
-                      if (abs >= 1e3) return `${(v / 1e3).toFixed(0)} K`;
-                      return `${v.toFixed(0)}`;
-                    }}
+                    tickFormatter={fmtAxis}
                   />
                   <Tooltip formatter={(val) => [`$ ${fmtCOP(val)}`, "Acumulado"]} labelFormatter={(l) => `Año ${l}`} />
                   <Legend />
-                  <Line type="monotone" dataKey="A" stroke="#22c55e" strokeWidth={2.6} dot={false} name="Acumulado A" />
-                  <Line type="monotone" dataKey="B" stroke="#3b82f6" strokeWidth={2.6} dot={false} name="Acumulado B" />
-                  <Line type="monotone" dataKey="C" stroke="#a855f7" strokeWidth={2.6} dot={false} name="Acumulado C" />
+                  {activeModel.capitalEvents.map((e, i) => (
+                    <ReferenceLine
+                      key={`ev${i}`}
+                      x={e.year}
+                      stroke={activeScenario.color}
+                      strokeDasharray="4 4"
+                      label={{ value: e.description || "Evento", position: "insideTopLeft", fill: "rgba(234,241,255,.75)", fontSize: 11 }}
+                    />
+                  ))}
+                  {sc.map((s) => (
+                    <Line key={s.id} type="monotone" dataKey={s.id} stroke={s.color} strokeWidth={s.id === activeId ? 3.4 : 2.2} dot={false} name={`Acumulado ${s.id}`} />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -620,10 +710,12 @@ export default function App() {
             </div>
           </div>
 
+          <MonthlyChart scenario={activeScenario} model={activeModel} />
+
           <div className="card">
             <h3>Viabilidad: Con vs Sin excedentes</h3>
             <div className="small">
-              Comparación del escenario <b>{active}</b> ({activeScenario.name}) con excedentes y sin excedentes.
+              Comparación del escenario <b>{activeId}</b> ({activeScenario.name}) con excedentes y sin excedentes.
             </div>
 
             <div className="hr" />
@@ -639,11 +731,11 @@ export default function App() {
               </div>
               <div className="kpi">
                 <div className="label">TIR (Con excedentes)</div>
-                <div className="value blue">{modelWithExports.IRR == null ? "—" : fmtPct(modelWithExports.IRR)}</div>
+                <div className="value blue">{fmtIrr(modelWithExports)}</div>
               </div>
               <div className="kpi">
                 <div className="label">TIR (Sin excedentes)</div>
-                <div className="value blue">{modelNoExports.IRR == null ? "—" : fmtPct(modelNoExports.IRR)}</div>
+                <div className="value blue">{fmtIrr(modelNoExports)}</div>
               </div>
             </div>
 
@@ -653,8 +745,45 @@ export default function App() {
             </div>
           </div>
 
+          {activeModel.hasBattery && (
+            <div className="card">
+              <h3>Almacenamiento: Con vs Sin batería</h3>
+              <div className="small">
+                Escenario <b>{activeId}</b> ({activeScenario.name}) con {fmtNum(activeScenario.batteryKwh)} kWh de batería y sin ella.
+              </div>
+
+              <div className="hr" />
+
+              <div className="kpis">
+                <div className="kpi">
+                  <div className="label">VPN (Con batería)</div>
+                  <div className="value green">$ {fmtCOP(activeModel.NPV)}</div>
+                </div>
+                <div className="kpi">
+                  <div className="label">VPN (Sin batería)</div>
+                  <div className="value green">$ {fmtCOP(modelNoBattery.NPV)}</div>
+                </div>
+                <div className="kpi">
+                  <div className="label">TIR (Con batería)</div>
+                  <div className="value blue">{fmtIrr(activeModel)}</div>
+                </div>
+                <div className="kpi">
+                  <div className="label">TIR (Sin batería)</div>
+                  <div className="value blue">{fmtIrr(modelNoBattery)}</div>
+                </div>
+              </div>
+
+              <div className="note">
+                Impacto batería en VPN (Con − Sin): <b>$ {fmtCOP(activeModel.NPV - modelNoBattery.NPV)}</b><br/>
+                Autoconsumo año 1: <b>{fmtPct(activeModel.selfConsumptionY1)}</b> vs <b>{fmtPct(modelNoBattery.selfConsumptionY1)}</b> •
+                Entrega de la batería año 1: <b>{fmtNum(activeModel.annuals[0]?.batteryOutKwh ?? 0)} kWh</b>
+              </div>
+            </div>
+          )}
+
           <div className="card">
-            <h3>Conclusiones • Escenario {active} ({activeScenario.name})</h3>
+            <h3>Conclusiones • Escenario {activeId} ({activeScenario.name})</h3>
+            <div className="small">Base {fmtBasis(activeModel)} • Tasa de descuento {fmtPct(activeModel.discountRate)}</div>
 
             <div className="kpis">
               <div className="kpi">
@@ -663,15 +792,39 @@ export default function App() {
               </div>
               <div className="kpi">
                 <div className="label">TIR (IRR)</div>
-                <div className="value blue">{activeModel.IRR == null ? "—" : fmtPct(activeModel.IRR)}</div>
+                <div className="value blue">{fmtIrr(activeModel)}</div>
+              </div>
+              <div className="kpi">
+                <div className="label">TIRM (MIRR)</div>
+                <div className="value blue">{activeModel.MIRR == null ? "—" : fmtPct(activeModel.MIRR)}</div>
               </div>
               <div className="kpi">
                 <div className="label">Payback</div>
                 <div className="value">{activeModel.payback == null ? "—" : `${activeModel.payback} años`}</div>
               </div>
+              <div className="kpi">
+                <div className="label">Payback fraccional</div>
+                <div className="value">{fmtYears(activeModel.paybackFrac)}</div>
+              </div>
+              <div className="kpi">
+                <div className="label">Payback descontado</div>
+                <div className="value">{fmtYears(activeModel.discountedPaybackFrac)}</div>
+              </div>
               <div className="kpi">
                 <div className="label">ROI año 1</div>
-                <div className="value">{fmtPct(activeModel.roi1)}</div>
+                <div className="value">{activeModel.roi1 == null ? "—" : fmtPct(activeModel.roi1)}</div>
+              </div>
+              <div className="kpi">
+                <div className="label">LCOE (COP/kWh)</div>
+                <div className="value">{activeModel.lcoe == null ? "—" : fmtCOP(activeModel.lcoe)}</div>
+                <div className="small">
+                  {activeModel.gridParityYear == null ? "Sin paridad de red" : `Paridad de red: año ${activeModel.gridParityYear}`}
+                </div>
+              </div>
+              <div className="kpi">
+                <div className="label">Ahorro nivelado (COP/kWh)</div>
+                <div className="value">{activeModel.levelizedSavings == null ? "—" : fmtCOP(activeModel.levelizedSavings)}</div>
+                <div className="small">Tarifa nivelada: {fmtCOP(activeModel.levelizedTariff)}</div>
               </div>
             </div>
 
@@ -687,22 +840,74 @@ export default function App() {
         </div>
       </div>
 
+      <div className="fullRow">
+        <ComparisonTable scenarios={sc} models={models} activeId={activeId} />
+        <CashflowTable scenario={activeScenario} model={activeModel} />
+        <TaxPanel scenario={activeScenario} model={activeModel} />
+        <FinancingPanel scenario={activeScenario} model={activeModel} />
+        <BusinessModelsPanel
+          scenario={activeScenario}
+          model={activeModel}
+          rows={businessModels}
+          onPatch={(patch) => patchScenario(activeId, patch)}
+        />
+        <SizingPanel
+          key={activeId}
+          scenario={activeScenario}
+          global={global}
+          seedTag={activeId}
+          onApply={(patch) => patchScenario(activeId, patch)}
+        />
+        <GoalSeekPanel scenario={activeScenario} global={global} seedTag={activeId} onApply={applyField} />
+        <TornadoPanel scenario={activeScenario} tornado={tornado} onDelta={setTornadoDelta} onMetric={setTornadoMetric} />
+        <HeatmapPanel key={activeId} scenario={activeScenario} model={activeModel} global={global} seedTag={activeId} />
+        <MonteCarloPanel scenario={activeScenario} global={global} seedTag={activeId} />
+      </div>
+
       {/* PDF report (oculto) */}
       <div className="reportWrap">
         <div className="report" ref={reportRef}>
           <h1>Smart Energy ROI v2.0 PRO • Reporte</h1>
           <div className="muted">
-            Escenario {active} • {activeScenario.name} • COP • Simulación educativa
+            Escenario {activeId} • {activeScenario.name} • COP, base {fmtBasis(activeModel)} • Simulación educativa
           </div>
 
           <div className="row">
             <div className="box">
-              <div className="t">VPN</div>
+              <div className="t">VPN ({activeModel.basis})</div>
               <div className="v">$ {fmtCOP(activeModel.NPV)}</div>
             </div>
             <div className="box">
-              <div className="t">TIR</div>
-              <div className="v">{activeModel.IRR == null ? "—" : fmtPct(activeModel.IRR)}</div>
+              <div className="t">TIR ({activeModel.basis})</div>
+              <div className="v">{fmtIrr(activeModel)}</div>
+              <div className="muted">TIRM: {activeModel.MIRR == null ? "—" : fmtPct(activeModel.MIRR)}</div>
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="box">
+              <div className="t">Payback (simple)</div>
+              <div className="v">{fmtYears(activeModel.paybackFrac)}</div>
+              <div className="muted">Año de recuperación: {activeModel.payback ?? "—"}</div>
+            </div>
+            <div className="box">
+              <div className="t">Payback descontado ({fmtPct(activeModel.discountRate)})</div>
+              <div className="v">{fmtYears(activeModel.discountedPaybackFrac)}</div>
+              <div className="muted">Año de recuperación: {activeModel.discountedPayback ?? "—"}</div>
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="box">
+              <div className="t">LCOE</div>
+              <div className="v">{activeModel.lcoe == null ? "—" : `${fmtCOP(activeModel.lcoe)} COP/kWh`}</div>
+              <div className="muted">
+                Paridad de red: {activeModel.gridParityYear == null ? "no alcanzada" : `año ${activeModel.gridParityYear}`}
+              </div>
+            </div>
+            <div className="box">
+              <div className="t">Ahorro / tarifa nivelados</div>
+              <div className="v">{fmtCOP(activeModel.levelizedSavings)} / {fmtCOP(activeModel.levelizedTariff)} COP/kWh</div>
             </div>
           </div>
 
@@ -714,20 +919,72 @@ export default function App() {
                 VPN sin excedentes: <b>$ {fmtCOP(modelNoExports.NPV)}</b><br/>
                 Diferencia: <b>$ {fmtCOP(modelWithExports.NPV - modelNoExports.NPV)}</b><br/>
                 % ingresos excedentes (año 1): <b>{fmtPct(modelWithExports.exportShareY1)}</b>
+                {activeModel.hasBattery && (
+                  <>
+                    <br/>Batería {fmtNum(activeScenario.batteryKwh)} kWh — VPN sin batería: <b>$ {fmtCOP(modelNoBattery.NPV)}</b> • Diferencia:{" "}
+                    <b>$ {fmtCOP(activeModel.NPV - modelNoBattery.NPV)}</b>
+                  </>
+                )}
               </div>
             </div>
             <div className="box">
               <div className="t">Entradas principales</div>
               <div className="muted" style={{ marginTop: 8 }}>
                 Potencia: <b>{activeScenario.kW} kW</b><br/>
-                Tarifa: <b>{fmtCOP(activeScenario.tariff)} COP/kWh</b><br/>
-                Autoconsumo: <b>{fmtPct(activeScenario.selfConsumption)}</b><br/>
-                CAPEX bruto: <b>$ {fmtCOP(activeScenario.capex)}</b><br/>
+                Sitio: <b>{activeSite ? activeSite.name : "manual"}</b> • HSP {fmtNum(activeScenario.psh, 2)}
+                {activeScenario.pshMode === "monthly" ? " (tabla mensual)" : ""} • PR {fmtNum(activeScenario.pr, 2)}
+                {activeSite && !matchesSite(activeScenario, activeSite) ? " (ajustados)" : ""}<br/>
+                Tarifa: <b>{fmtCOP(activeScenario.tariff)} COP/kWh</b> ({activeScenario.tariffMode})<br/>
+                Autoconsumo: <b>{fmtPct(activeModel.selfConsumptionY1)}</b>
+                {activeModel.selfConsumptionSource === "hourly" && <> (perfil horario {activeScenario.loadProfileName}, año 1)</>}<br/>
+                CAPEX bruto: <b>$ {fmtCOP(activeScenario.capex)}</b>
+                {activeModel.hasBattery && <> + batería <b>$ {fmtCOP(activeScenario.batteryCapex)}</b></>}<br/>
                 CAPEX neto: <b>$ {fmtCOP(activeModel.capexNeto)}</b>
+                {activeModel.taxMode === "corporate" && (
+                  <>
+                    <br/>Renta corporativa: <b>{fmtPct(activeScenario.taxRate)}</b>, depreciación en {activeScenario.depreciationYears} años •
+                    Impuesto incremental total <b>$ {fmtCOP(activeModel.taxTable.reduce((a, r) => a + r.tax, 0))}</b> ({activeModel.basis})
+                  </>
+                )}
+                {activeModel.financing && (
+                  <>
+                    <br/>Crédito: <b>$ {fmtCOP(activeModel.financing.loan)}</b> ({fmtPct(activeScenario.loanShare)}, {fmtPct(activeScenario.loanRate)} E.A.,{" "}
+                    {activeModel.financing.schedule.length} años) • TIR inversionista <b>{fmtIrr(activeModel.financing)}</b> • DSCR mín.{" "}
+                    <b>{activeModel.financing.minDscr == null ? "—" : `${fmtNum(activeModel.financing.minDscr, 2)}×`}</b>
+                  </>
+                )}
+                {activeModel.capitalEvents.length > 0 && (
+                  <>
+                    <br/>Eventos de capital:{" "}
+                    {activeModel.capitalEvents.map((e) => `año ${e.year} ${e.description} $ ${fmtCOP(e.cost)}`).join(" • ")}
+                  </>
+                )}
               </div>
             </div>
           </div>
 
+          <div className="box" style={{ marginTop: 12 }}>
+            <div className="t">
+              Sensibilidad (tornado) • {tornado.metric === "IRR" ? "TIR" : "VPN"} con ±{Math.round(100 * tornado.delta)}% por campo
+            </div>
+            <TornadoChart tornado={tornado} width={830} height={340} theme="light" />
+          </div>
+
+          <div className="box" style={{ marginTop: 12 }}>
+            <div className="t">Modelos de negocio • VPN cliente / desarrollador</div>
+            <div className="muted" style={{ marginTop: 8 }}>
+              {businessModels.map((r) => (
+                <div key={r.key}>
+                  {r.label}:{" "}
+                  {r.client ? <b>$ {fmtCOP(r.client.NPV)}</b> : "sin crédito configurado"}
+                  {r.developer && <> • desarrollador $ {fmtCOP(r.developer.NPV)} (TIR {fmtIrr(r.developer)})</>}
+                </div>
+              ))}
+              Leasing: $ {fmtCOP(activeScenario.leaseMonthly)}/mes (+{fmtPct(activeScenario.leaseEscalation)}/año) • PPA:{" "}
+              {fmtCOP(activeScenario.ppaPrice)} COP/kWh (+{fmtPct(activeScenario.ppaEscalation)}/año)
+            </div>
+          </div>
+
           <div className="row">
             <div className="box">
               <div className="t">Conclusiones</div>
@@ -740,6 +997,7 @@ export default function App() {
               <div className="muted" style={{ marginTop: 8 }}>
                 Reporte en fondo blanco para máxima legibilidad.
                 Incentivos y excedentes son simulación educativa y dependen de requisitos reales.
+                {activeSite && <><br/>Irradiación y PR de {activeSite.name}: {SITES_SOURCE}</>}
               </div>
             </div>
           </div>
@@ -0,0 +1,70 @@
+import React from "react";
+import { fmtNum, fmtPct } from "../lib/format.js";
+
+// Punto de partida al activar la batería (litio, instalada, COP/kWh).
+const DEFAULT_KWH = 10;
+const DEFAULT_COST_PER_KWH = 2500000;
+
+const FIELDS = [
+  { key: "batteryKwh", label: "Capacidad (kWh)", step: "1" },
+  { key: "batteryPowerKw", label: "Potencia (kW)", step: "0.5" },
+  { key: "batteryEfficiency", label: "Eficiencia ida y vuelta (0–1)", step: "0.01" },
+  { key: "batteryDod", label: "Profundidad de descarga (0–1)", step: "0.05" },
+  { key: "batteryCycleLife", label: "Vida útil (ciclos al 80%)", step: "500" },
+  { key: "batteryCapex", label: "CAPEX batería (COP)", step: "1000000" },
+  { key: "batteryReplacementYear", label: "Año de reemplazo (0 = no)", step: "1" }
+];
+
+/**
+ * Almacenamiento opcional: los excedentes cargan la batería y se
+ * descargan como autoconsumo. Su CAPEX se suma al del FV.
+ */
+export default function BatteryInputs({ scenario, model, onPatch }) {
+  const on = scenario.batteryKwh > 0;
+
+  const enable = () =>
+    onPatch({
+      batteryKwh: DEFAULT_KWH,
+      batteryCapex: scenario.batteryCapex || DEFAULT_KWH * DEFAULT_COST_PER_KWH
+    });
+
+  return (
+    <div className="field wide">
+      <label>Almacenamiento</label>
+      <div className="segment" style={{ marginTop: 0, alignItems: "center" }}>
+        <button className={`pill ${!on ? "active" : ""}`} onClick={() => onPatch({ batteryKwh: 0 })}>Sin batería</button>
+        <button className={`pill ${on ? "active" : ""}`} onClick={() => !on && enable()}>Con batería</button>
+      </div>
+
+      {on && (
+        <>
+          <div className="form" style={{ marginTop: 8 }}>
+            {FIELDS.map((f) => (
+              <div className="field" key={f.key}>
+                <label>{f.label}</label>
+                <input
+                  type="number"
+                  step={f.step}
+                  value={scenario[f.key]}
+                  onChange={(e) => onPatch({ [f.key]: Number(e.target.value) })}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            {model.selfConsumptionSource === "hourly"
+              ? "Despacho hora a hora con el perfil de consumo."
+              : "Sin perfil horario: se carga con los excedentes del día y se descarga de noche."}{" "}
+            El reemplazo cuesta el mismo CAPEX de la batería.
+          </div>
+          {model.hasBattery && (
+            <div className="note">
+              Entrega año 1: <b>{fmtNum(model.annuals[0]?.batteryOutKwh ?? 0)} kWh</b> • Capacidad al final:{" "}
+              <b>{fmtPct(model.batteryHealthEnd)}</b>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend, ReferenceLine } from "recharts";
+import { fmtCOP, fmtIrr, fmtAxis, fmtYears } from "../lib/format.js";
+
+const COLORS = {
+  purchase: "rgba(34,197,94,.95)",
+  loan: "rgba(59,130,246,.95)",
+  lease: "rgba(168,85,247,.95)",
+  ppa: "rgba(245,158,11,.95)"
+};
+
+const FIELDS = [
+  { key: "leaseMonthly", label: "Canon leasing (COP/mes, año 1)", step: "50000" },
+  { key: "leaseEscalation", label: "Escalamiento canon", step: "0.01" },
+  { key: "ppaPrice", label: "Precio PPA (COP/kWh, año 1)", step: "10" },
+  { key: "ppaEscalation", label: "Escalamiento PPA", step: "0.01" }
+];
+
+// TIR del cliente solo si pone inversión (en leasing y PPA no hay).
+const clientIrr = (m) => (m.investment > 0 ? fmtIrr(m) : "Sin inversión");
+
+/**
+ * Compra de contado, con crédito, leasing operativo y PPA sobre la misma
+ * generación: ahorro y VPN del cliente y retorno del desarrollador.
+ * `rows` = `compareBusinessModels(scenario, model)`.
+ */
+export default function BusinessModelsPanel({ scenario, model, rows, onPatch }) {
+  const chartData = useMemo(() => {
+    const cum = Object.fromEntries(rows.map((r) => [r.key, 0]));
+    return model.cashflows.map((_, t) => {
+      const point = { year: t };
+      for (const r of rows) {
+        if (!r.client) continue;
+        cum[r.key] += r.client.cashflows[t];
+        point[r.key] = cum[r.key];
+      }
+      return point;
+    });
+  }, [rows, model]);
+
+  const y1 = model.annuals[0];
+
+  return (
+    <div className="card">
+      <h3>Modelos de negocio • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="small">
+        Misma generación en los cuatro modelos. En leasing y PPA el desarrollador pone el CAPEX, recibe los incentivos y
+        asume O&amp;M y reemplazos; el contrato dura los {model.years} años del proyecto. En PPA los excedentes son del
+        desarrollador.
+        {model.taxMode === "corporate" &&
+          " Renta corporativa: el desarrollador tributa solo sobre su ingreso; en leasing y PPA el flujo del cliente es antes de renta."}
+      </div>
+
+      <div className="form four" style={{ marginTop: 10 }}>
+        {FIELDS.map((f) => (
+          <div className="field" key={f.key}>
+            <label>{f.label}</label>
+            <input type="number" step={f.step} value={scenario[f.key]} onChange={(e) => onPatch({ [f.key]: Number(e.target.value) })} />
+          </div>
+        ))}
+      </div>
+      {y1 && (
+        <div className="small" style={{ marginTop: 6 }}>
+          Tarifa año 1: {fmtCOP(y1.tariff)} COP/kWh • Ahorro total año 1 (compra): $ {fmtCOP(y1.savings)}
+        </div>
+      )}
+
+      <div className="tableWrap" style={{ marginTop: 10 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Modelo</th>
+              <th>Inversión cliente</th>
+              <th>Flujo cliente año 1</th>
+              <th>VPN cliente</th>
+              <th>TIR cliente</th>
+              <th>Payback cliente</th>
+              <th>VPN desarrollador</th>
+              <th>TIR desarrollador</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key}>
+                <td><b style={{ color: COLORS[r.key] }}>{r.label}</b></td>
+                {r.client ? (
+                  <>
+                    <td>$ {fmtCOP(r.client.investment)}</td>
+                    <td className={r.client.firstYear < 0 ? "neg" : ""}>$ {fmtCOP(r.client.firstYear)}</td>
+                    <td className={r.client.NPV < 0 ? "neg" : ""}>$ {fmtCOP(r.client.NPV)}</td>
+                    <td>{clientIrr(r.client)}</td>
+                    <td>{r.client.investment > 0 ? fmtYears(r.client.paybackFrac) : "—"}</td>
+                  </>
+                ) : (
+                  <td colSpan={5} className="small">Sin crédito configurado (Financiación → Con crédito).</td>
+                )}
+                <td className={r.developer?.NPV < 0 ? "neg" : ""}>{r.developer ? `$ ${fmtCOP(r.developer.NPV)}` : "—"}</td>
+                <td>{r.developer ? fmtIrr(r.developer) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ height: 260, marginTop: 10 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 10, right: 18, left: 6, bottom: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,.12)" strokeDasharray="3 3" />
+            <XAxis dataKey="year" stroke="rgba(234,241,255,.75)" />
+            <YAxis stroke="rgba(234,241,255,.75)" tickFormatter={fmtAxis} />
+            <Tooltip formatter={(v, name) => [`$ ${fmtCOP(v)}`, name]} labelFormatter={(l) => `Año ${l}`} />
+            <Legend />
+            <ReferenceLine y={0} stroke="rgba(239,68,68,.7)" />
+            {rows.filter((r) => r.client).map((r) => (
+              <Line key={r.key} type="monotone" dataKey={r.key} name={r.label} stroke={COLORS[r.key]} strokeWidth={2.2} dot={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="small">Flujo acumulado del cliente en cada modelo.</div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { defaultCapitalEvent, eventCost, MAX_EVENT_YEAR } from "../engine/index.js";
+import { fmtCOP } from "../lib/format.js";
+
+/**
+ * Reemplazos de equipos y ampliaciones programados: cada evento resta su
+ * costo (escalado hasta su año) del flujo neto de ese año.
+ */
+export default function CapitalEventsInputs({ scenario, model, onPatch }) {
+  const events = scenario.capitalEvents ?? [];
+
+  const setEvents = (next) => onPatch({ capitalEvents: next });
+  const edit = (i, key, value) => setEvents(events.map((e, k) => (k === i ? { ...e, [key]: value } : e)));
+  const year = (v) => Math.min(MAX_EVENT_YEAR, Math.max(1, Math.round(Number(v) || 1)));
+
+  return (
+    <div className="field wide">
+      <label>Eventos de capital (reemplazos, ampliaciones)</label>
+      {events.length > 0 && (
+        <div className="tableWrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Año</th>
+                <th>Descripción</th>
+                <th>Costo hoy (COP)</th>
+                <th>Escalamiento</th>
+                <th>Costo en su año</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((e, i) => (
+                <tr key={i}>
+                  <td><input type="number" step="1" min="1" value={e.year} onChange={(ev) => edit(i, "year", year(ev.target.value))} /></td>
+                  <td><input value={e.description ?? ""} onChange={(ev) => edit(i, "description", ev.target.value)} /></td>
+                  <td><input type="number" step="500000" value={e.cost} onChange={(ev) => edit(i, "cost", Number(ev.target.value))} /></td>
+                  <td><input type="number" step="0.01" value={e.escalation ?? 0} onChange={(ev) => edit(i, "escalation", Number(ev.target.value))} /></td>
+                  <td>
+                    {e.year <= model.years ? `$ ${fmtCOP(eventCost(e))}` : "Fuera del horizonte"}
+                  </td>
+                  <td>
+                    <button className="btn icon" onClick={() => setEvents(events.filter((_, k) => k !== i))} title="Quitar evento">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="segment" style={{ alignItems: "center" }}>
+        <button className="btn" onClick={() => setEvents([...events, defaultCapitalEvent()])}>+ Agregar evento</button>
+        <span className="small">Costo en pesos de hoy; el escalamiento anual lo lleva al año del evento.</span>
+      </div>
+    </div>
+  );
+}
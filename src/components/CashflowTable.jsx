@@ -0,0 +1,78 @@
+import React, { useMemo, useState } from "react";
+import { ANNUAL_COLUMNS, annualRows, sortRows, annualCSV } from "../lib/annualTable.js";
+import { exportAnnualXlsx } from "../lib/xlsxExport.js";
+import { downloadFile } from "../lib/download.js";
+import { fmtCOP, fmtNum, fmtBasis } from "../lib/format.js";
+
+const fmtCell = (unit, v) => (unit === "int" ? v : unit === "kwh" ? fmtNum(v) : fmtCOP(v));
+
+/**
+ * Flujo de caja año a año del escenario activo, ordenable y exportable a
+ * CSV/XLSX.
+ */
+export default function CashflowTable({ scenario, model }) {
+  const [sort, setSort] = useState({ key: "year", dir: "asc" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const rows = useMemo(() => annualRows(model), [model]);
+  const sorted = useMemo(() => sortRows(rows, sort.key, sort.dir), [rows, sort]);
+
+  const toggleSort = (key) =>
+    setSort((p) => ({ key, dir: p.key === key && p.dir === "asc" ? "desc" : "asc" }));
+
+  const exportCSV = () => {
+    downloadFile(`Smart_Energy_ROI_${scenario.id}_flujo_anual.csv`, annualCSV(rows), "text/csv;charset=utf-8");
+  };
+
+  const exportXLSX = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await exportAnnualXlsx({ scenario, model });
+    } catch (err) {
+      setError(`No se pudo generar el XLSX: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Flujo de caja anual • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="segment" style={{ alignItems: "center" }}>
+        <span className="small">Clic en una columna para ordenar. Valores en COP, base {fmtBasis(model)}.</span>
+        <button className="btn" onClick={exportCSV}>Exportar CSV</button>
+        <button className="btn" onClick={exportXLSX} disabled={busy}>{busy ? "Generando…" : "Exportar XLSX"}</button>
+      </div>
+
+      {error && <div className="note warn">{error}</div>}
+
+      <div className="tableWrap" style={{ maxHeight: 420 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              {ANNUAL_COLUMNS.map((c) => (
+                <th key={c.key} className="sortable" onClick={() => toggleSort(c.key)}>
+                  {c.label}
+                  {sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r) => (
+              <tr key={r.year}>
+                {ANNUAL_COLUMNS.map((c) => (
+                  <td key={c.key} className={c.key === "net" || c.key === "cum" ? (r[c.key] < 0 ? "neg" : "") : ""}>
+                    {fmtCell(c.unit, r[c.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
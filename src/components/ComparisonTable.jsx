@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { buildComparison } from "../lib/comparison.js";
+import { fmtCOP, fmtPct, fmtNum } from "../lib/format.js";
+
+function fmtValue(unit, v) {
+  if (v == null) return "—";
+  if (unit === "cop") return `$ ${fmtCOP(v)}`;
+  if (unit === "pct") return fmtPct(v);
+  if (unit === "years") return fmtNum(v, 1);
+  return fmtNum(v);
+}
+
+function fmtDelta(unit, d) {
+  if (!d) return null;
+  const sign = d.abs > 0 ? "+" : d.abs < 0 ? "−" : "";
+  const abs = Math.abs(d.abs);
+  // Diferencia de porcentajes en puntos porcentuales.
+  const main = unit === "pct" ? `${sign}${fmtNum(100 * abs, 2)} pp` : `${sign}${fmtValue(unit, abs)}`;
+  const pct = d.pct == null || unit === "pct" ? "" : ` (${d.pct > 0 ? "+" : ""}${fmtPct(d.pct)})`;
+  return `${main}${pct}`;
+}
+
+/**
+ * Tabla comparativa de todos los escenarios contra una base seleccionable.
+ */
+export default function ComparisonTable({ scenarios, models, activeId }) {
+  const [baseline, setBaseline] = useState(null);
+  const ids = scenarios.map((s) => s.id);
+  const baselineId = ids.includes(baseline) ? baseline : activeId;
+  const rows = buildComparison(models, ids, baselineId);
+
+  return (
+    <div className="card">
+      <h3>Comparación de escenarios</h3>
+      <div className="segment" style={{ alignItems: "center" }}>
+        <span className="small">Base de comparación:</span>
+        <div className="field">
+          <select value={baselineId} onChange={(e) => setBaseline(e.target.value)}>
+            {scenarios.map((s) => (
+              <option key={s.id} value={s.id}>{s.id} • {s.name}</option>
+            ))}
+          </select>
+        </div>
+        <span className="small">Resaltado: mejor valor de cada fila. Δ = diferencia contra la base.</span>
+      </div>
+
+      <div className="tableWrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Métrica</th>
+              {scenarios.map((s) => (
+                <th key={s.id}>
+                  <span className="dot" style={{ background: s.color }} />
+                  {s.id} • {s.name}{s.id === baselineId ? " (base)" : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key}>
+                <td>{r.label}</td>
+                {ids.map((id) => (
+                  <td key={id} className={r.best.includes(id) ? "best" : ""}>
+                    <div>{fmtValue(r.unit, r.values[id])}</div>
+                    {r.deltas[id] && (
+                      <div className={`delta ${r.deltas[id].abs === 0 ? "" : (r.deltas[id].abs > 0) === (r.better === "high") ? "up" : "down"}`}>
+                        Δ {fmtDelta(r.unit, r.deltas[id])}
+                      </div>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
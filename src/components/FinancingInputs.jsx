@@ -0,0 +1,49 @@
+import React from "react";
+
+const FIELDS = [
+  { key: "loanShare", label: "% financiado (0–1)", step: "0.05" },
+  { key: "loanRate", label: "Tasa E.A. del crédito", step: "0.005" },
+  { key: "loanTermYears", label: "Plazo (años, incluye gracia)", step: "1" },
+  { key: "loanGraceYears", label: "Gracia (años, solo intereses)", step: "1" },
+  { key: "loanFeeRate", label: "Comisión de apertura (0–0.1)", step: "0.005" }
+];
+
+/**
+ * Contado o crédito: parte de la inversión del año 0 se financia con deuda.
+ */
+export default function FinancingInputs({ scenario, onPatch }) {
+  const on = scenario.loanShare > 0;
+
+  return (
+    <div className="field wide">
+      <label>Financiación</label>
+      <div className="segment" style={{ marginTop: 0, alignItems: "center" }}>
+        <button className={`pill ${!on ? "active" : ""}`} onClick={() => onPatch({ loanShare: 0 })}>Contado</button>
+        <button className={`pill ${on ? "active" : ""}`} onClick={() => !on && onPatch({ loanShare: 0.7 })}>Con crédito</button>
+      </div>
+
+      {on && (
+        <div className="form" style={{ marginTop: 8 }}>
+          {FIELDS.map((f) => (
+            <div className="field" key={f.key}>
+              <label>{f.label}</label>
+              <input
+                type="number"
+                step={f.step}
+                value={scenario[f.key]}
+                onChange={(e) => onPatch({ [f.key]: Number(e.target.value) })}
+              />
+            </div>
+          ))}
+          <div className="field">
+            <label>Amortización</label>
+            <select value={scenario.loanAmortization} onChange={(e) => onPatch({ loanAmortization: e.target.value })}>
+              <option value="french">Francés (cuota fija)</option>
+              <option value="german">Alemán (abono a capital fijo)</option>
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Cell } from "recharts";
+import { fmtCOP, fmtIrr, fmtNum, fmtYears, fmtBasis } from "../lib/format.js";
+
+// Cobertura mínima que suelen exigir los bancos.
+const DSCR_COVENANT = 1.2;
+
+/**
+ * Crédito del escenario activo: tabla de amortización, flujos y TIR del
+ * inversionista y DSCR año a año.
+ */
+export default function FinancingPanel({ scenario, model }) {
+  const f = model.financing;
+  if (!f) return null;
+  const dscrData = f.dscr.map((r) => ({ year: r.year, dscr: Number(r.dscr.toFixed(3)) }));
+  const dscrByYear = Object.fromEntries(f.dscr.map((r) => [r.year, r.dscr]));
+
+  return (
+    <div className="card">
+      <h3>Financiación con crédito • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="small">
+        Crédito por el {fmtNum(100 * scenario.loanShare)}% del CAPEX neto a {fmtNum(100 * scenario.loanRate, 1)}% E.A.,{" "}
+        {f.schedule.length} años ({scenario.loanAmortization === "german" ? "alemán" : "francés"}
+        {scenario.loanGraceYears > 0 ? `, ${scenario.loanGraceYears} de gracia` : ""}). El VPN y la TIR del proyecto no cambian.
+      </div>
+
+      <div className="kpis" style={{ marginTop: 10 }}>
+        <div className="kpi">
+          <div className="label">Aporte propio año 0</div>
+          <div className="value">$ {fmtCOP(f.equity0)}</div>
+        </div>
+        <div className="kpi">
+          <div className="label">VPN inversionista</div>
+          <div className="value green">$ {fmtCOP(f.NPV)}</div>
+        </div>
+        <div className="kpi">
+          <div className="label">TIR inversionista (proyecto)</div>
+          <div className="value blue">{fmtIrr(f)} ({fmtIrr(model)})</div>
+        </div>
+        <div className="kpi">
+          <div className="label">DSCR mínimo</div>
+          <div className={`value ${f.minDscr != null && f.minDscr < DSCR_COVENANT ? "red" : "green"}`}>
+            {f.minDscr == null ? "—" : `${fmtNum(f.minDscr, 2)}× (año ${f.minDscrYear})`}
+          </div>
+        </div>
+      </div>
+
+      <div style={{ height: 220, marginTop: 10 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={dscrData} margin={{ top: 10, right: 18, left: 6, bottom: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,.12)" strokeDasharray="3 3" />
+            <XAxis dataKey="year" stroke="rgba(234,241,255,.75)" />
+            <YAxis stroke="rgba(234,241,255,.75)" tickFormatter={(v) => `${fmtNum(v, 1)}×`} />
+            <Tooltip formatter={(v) => [`${fmtNum(v, 2)}×`, "DSCR"]} labelFormatter={(l) => `Año ${l}`} />
+            <ReferenceLine y={DSCR_COVENANT} stroke="rgba(250,204,21,.95)" strokeDasharray="4 4" />
+            <Bar dataKey="dscr" name="DSCR">
+              {dscrData.map((d) => (
+                <Cell key={d.year} fill={d.dscr < DSCR_COVENANT ? "rgba(239,68,68,.85)" : "rgba(34,197,94,.85)"} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="small">Línea amarilla: cobertura de {fmtNum(DSCR_COVENANT, 1)}× que suelen exigir los bancos.</div>
+
+      <div className="tableWrap" style={{ maxHeight: 320, marginTop: 10 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Año</th>
+              <th>Saldo inicial</th>
+              <th>Intereses</th>
+              <th>Abono a capital</th>
+              <th>Cuota</th>
+              <th>Saldo final</th>
+              <th>Flujo proyecto</th>
+              <th>Flujo inversionista</th>
+              <th>DSCR</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>0</td>
+              <td colSpan={5}>Desembolso $ {fmtCOP(f.loan)} • Comisión $ {fmtCOP(f.fee)}</td>
+              <td className={model.cashflows[0] < 0 ? "neg" : ""}>{fmtCOP(model.cashflows[0])}</td>
+              <td className={f.equityCashflows[0] < 0 ? "neg" : ""}>{fmtCOP(f.equityCashflows[0])}</td>
+              <td>—</td>
+            </tr>
+            {f.schedule.map((r) => (
+              <tr key={r.year}>
+                <td>{r.year}</td>
+                <td>{fmtCOP(r.opening)}</td>
+                <td>{fmtCOP(r.interest)}</td>
+                <td>{fmtCOP(r.principal)}</td>
+                <td>{fmtCOP(r.payment)}</td>
+                <td>{fmtCOP(r.closing)}</td>
+                <td className={model.cashflows[r.year] < 0 ? "neg" : ""}>{fmtCOP(model.cashflows[r.year])}</td>
+                <td className={f.equityCashflows[r.year] < 0 ? "neg" : ""}>{fmtCOP(f.equityCashflows[r.year])}</td>
+                <td>{r.year in dscrByYear ? `${fmtNum(dscrByYear[r.year], 2)}×` : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {model.basis === "real" && (
+        <div className="small">
+          Amortización, cuotas y DSCR en pesos corrientes (el crédito es nominal); flujos del proyecto y del inversionista
+          en base {fmtBasis(model)}.
+        </div>
+      )}
+      <div className="note">
+        Intereses totales: <b>$ {fmtCOP(f.totalInterest)}</b> • Payback del inversionista:{" "}
+        <b>{fmtYears(f.paybackFrac)}</b>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { TORNADO_FIELDS, goalSeek } from "../engine/index.js";
+import { FIELD_LABELS } from "../lib/fieldLabels.js";
+import { fmtCOP, fmtPct, fmtNum, fmtYears } from "../lib/format.js";
+
+const METRICS = {
+  NPV: { label: "VPN (COP)", fmt: (v) => `$ ${fmtCOP(v)}`, initial: 0 },
+  IRR: { label: "TIR (fracción, 0.15 = 15%)", fmt: fmtPct, initial: 0.15 },
+  payback: { label: "Payback (años)", fmt: fmtYears, initial: 6 },
+  lcoe: { label: "LCOE (COP/kWh)", fmt: (v) => `${fmtCOP(v)} COP/kWh`, initial: 400 }
+};
+
+const fmtField = (field, v) => (field === "capex" || field === "omAnnual" ? `$ ${fmtCOP(v)}` : fmtNum(v, 6));
+
+/**
+ * Buscar objetivo: resuelve el valor de un campo del escenario activo que
+ * lleva el VPN, la TIR, el payback o el LCOE a un valor meta.
+ */
+export default function GoalSeekPanel({ scenario, global, seedTag, onApply }) {
+  const [metric, setMetric] = useState("NPV");
+  const [target, setTarget] = useState(METRICS.NPV.initial);
+  const [field, setField] = useState("capex");
+  const [result, setResult] = useState(null);
+
+  const changeMetric = (m) => {
+    setMetric(m);
+    setTarget(METRICS[m].initial);
+    setResult(null);
+  };
+
+  const solve = () => {
+    const r = goalSeek(scenario, global, { metric, target: Number(target), field }, seedTag);
+    setResult({ ...r, metric, target: Number(target), field, scenarioId: scenario.id });
+  };
+
+  const apply = () => {
+    onApply(result.field, result.value);
+    setResult(null);
+  };
+
+  const current = result && scenario.id === result.scenarioId ? scenario[result.field] : null;
+
+  return (
+    <div className="card">
+      <h3>Buscar objetivo • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="form">
+        <div className="field">
+          <label>Métrica objetivo</label>
+          <select value={metric} onChange={(e) => changeMetric(e.target.value)}>
+            {Object.entries(METRICS).map(([k, m]) => (
+              <option key={k} value={k}>{m.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="field">
+          <label>Valor meta</label>
+          <input type="number" value={target} onChange={(e) => setTarget(e.target.value)} />
+        </div>
+        <div className="field">
+          <label>Campo a despejar</label>
+          <select value={field} onChange={(e) => { setField(e.target.value); setResult(null); }}>
+            {TORNADO_FIELDS.map((k) => (
+              <option key={k} value={k}>{FIELD_LABELS[k]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="field" style={{ display: "flex", alignItems: "flex-end" }}>
+          <button className="btn primary" onClick={solve}>Resolver</button>
+        </div>
+      </div>
+
+      {result?.status === "no-solution" && (
+        <div className="note warn">
+          No hay valor de {FIELD_LABELS[result.field]} dentro de su rango válido que lleve la métrica a{" "}
+          {METRICS[result.metric].fmt(result.target)}.
+        </div>
+      )}
+      {result?.status === "no-convergence" && (
+        <div className="note warn">
+          La búsqueda no convergió (la métrica salta cerca de la meta). Más cercano: {FIELD_LABELS[result.field]} ={" "}
+          {fmtField(result.field, result.value)} → {METRICS[result.metric].fmt(result.achieved)}.
+        </div>
+      )}
+      {result?.status === "ok" && (
+        <div className="note">
+          {FIELD_LABELS[result.field]} = <b>{fmtField(result.field, result.value)}</b> da{" "}
+          {METRICS[result.metric].fmt(result.achieved)}
+          {current != null && <> (actual: {fmtField(result.field, current)})</>}.
+          <div className="segment">
+            <button className="btn primary" onClick={apply} disabled={current == null}>
+              Aplicar al escenario {result.scenarioId}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useMemo, useState } from "react";
+import { TORNADO_FIELDS, clampField, linspace, sensitivityGrid, breakEvenEdges } from "../engine/index.js";
+import { FIELD_LABELS } from "../lib/fieldLabels.js";
+import { fmtAxis, fmtPct, fmtNum } from "../lib/format.js";
+
+const METRICS = [
+  { key: "NPV", label: "VPN" },
+  { key: "IRR", label: "TIR" },
+  { key: "payback", label: "Payback" }
+];
+
+const MAX_STEPS = 25;
+
+const fmtAxisValue = (field, v) =>
+  field === "capex" || field === "omAnnual" || field === "tariff" ? fmtAxis(v) : fmtNum(v, 4);
+
+const fmtCell = (metric, v) =>
+  v == null ? "—" : metric === "NPV" ? fmtAxis(v) : metric === "IRR" ? fmtPct(v) : fmtNum(v, 1);
+
+/** Eje por defecto: ±30% del valor del escenario. */
+const defaultAxis = (s, field) => {
+  const v = clampField(s, field);
+  const r = (x) => Number(x.toPrecision(4));
+  return { field, min: r(v * 0.7), max: r(v * 1.3), steps: 9 };
+};
+
+/**
+ * Color de la celda: rojo→verde alrededor del equilibrio (VPN 0, TIR =
+ * tasa de descuento); para payback, verde si es corto y rojo si es largo.
+ */
+function cellColor(metric, v, scale) {
+  if (v == null) return "rgba(255,255,255,.04)";
+  let t;
+  if (metric === "payback") t = 1 - 2 * Math.min(1, v / scale.max);
+  else t = Math.max(-1, Math.min(1, (v - scale.mid) / (scale.span || 1)));
+  const a = 0.12 + 0.55 * Math.abs(t);
+  return t >= 0 ? `rgba(34,197,94,${a})` : `rgba(239,68,68,${a})`;
+}
+
+function AxisInputs({ label, axis, onChange }) {
+  const set = (patch) => onChange({ ...axis, ...patch });
+  return (
+    <>
+      <div className="field">
+        <label>{label}</label>
+        <select value={axis.field} onChange={(e) => set({ field: e.target.value })}>
+          {TORNADO_FIELDS.map((k) => (
+            <option key={k} value={k}>{FIELD_LABELS[k]}</option>
+          ))}
+        </select>
+      </div>
+      <div className="field">
+        <label>Desde</label>
+        <input type="number" value={axis.min} onChange={(e) => set({ min: Number(e.target.value) })} />
+      </div>
+      <div className="field">
+        <label>Hasta</label>
+        <input type="number" value={axis.max} onChange={(e) => set({ max: Number(e.target.value) })} />
+      </div>
+      <div className="field">
+        <label>Pasos (2–{MAX_STEPS})</label>
+        <input
+          type="number"
+          min="2"
+          max={MAX_STEPS}
+          value={axis.steps}
+          onChange={(e) => set({ steps: Math.min(MAX_STEPS, Math.max(2, Math.round(Number(e.target.value)) || 2)) })}
+        />
+      </div>
+    </>
+  );
+}
+
+/**
+ * Tabla de datos de dos variables del escenario activo: grilla coloreada de
+ * VPN/TIR/payback con la curva de equilibrio (VPN = 0) marcada. La grilla
+ * (hasta 25×25 escenarios) se calcula con el botón, no en cada cambio.
+ */
+export default function HeatmapPanel({ scenario, model, global, seedTag }) {
+  const [x, setX] = useState(() => defaultAxis(scenario, "tariff"));
+  const [y, setY] = useState(() => defaultAxis(scenario, "capex"));
+  const [metric, setMetric] = useState("NPV");
+
+  // Al cambiar de campo, el rango vuelve a ±30% del valor del escenario.
+  const changeAxis = (prev, set) => (next) =>
+    set(next.field !== prev.field ? { ...defaultAxis(scenario, next.field), steps: next.steps } : next);
+
+  // Última grilla calculada y las entradas con que se calculó.
+  const [run, setRun] = useState(null);
+  const inputs = { scenario, global, x, y, seedTag };
+  const stale = run && Object.keys(inputs).some((k) => inputs[k] !== run.inputs[k]);
+
+  const compute = () => {
+    const grid = sensitivityGrid(
+      scenario,
+      global,
+      {
+        xField: x.field,
+        xValues: linspace(x.min, x.max, x.steps),
+        yField: y.field,
+        yValues: linspace(y.min, y.max, y.steps)
+      },
+      seedTag
+    );
+    setRun({ grid, inputs });
+  };
+
+  const grid = run?.grid;
+  const edges = useMemo(() => (grid ? breakEvenEdges(grid.cells) : []), [grid]);
+
+  const scale = useMemo(() => {
+    if (!grid) return null;
+    if (metric === "payback") return { max: model.years };
+    const vals = grid.cells.flat().map((c) => c[metric]).filter((v) => v != null);
+    const mid = metric === "IRR" ? model.discountRate : 0;
+    return { mid, span: Math.max(0, ...vals.map((v) => Math.abs(v - mid))) };
+  }, [grid, metric, model.years, model.discountRate]);
+
+  const line = "2px solid rgba(250,204,21,.95)";
+
+  return (
+    <div className="card">
+      <h3>Tabla de datos (2 variables) • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="form four">
+        <AxisInputs label="Columnas (X)" axis={x} onChange={changeAxis(x, setX)} />
+        <AxisInputs label="Filas (Y)" axis={y} onChange={changeAxis(y, setY)} />
+      </div>
+
+      <div className="segment" style={{ alignItems: "center" }}>
+        {METRICS.map((m) => (
+          <button key={m.key} className={`pill ${metric === m.key ? "active" : ""}`} onClick={() => setMetric(m.key)}>
+            {m.label}
+          </button>
+        ))}
+        <span className="small">
+          <span className="dot" style={{ background: "rgba(250,204,21,.95)" }} />
+          Línea amarilla: punto de equilibrio (VPN = 0). El resto de entradas queda fijo.
+        </span>
+        <button className="btn primary" onClick={compute}>Calcular</button>
+        <button
+          className="btn"
+          onClick={() => {
+            setX({ ...defaultAxis(scenario, x.field), steps: x.steps });
+            setY({ ...defaultAxis(scenario, y.field), steps: y.steps });
+          }}
+        >
+          Rangos ±30%
+        </button>
+      </div>
+
+      {stale && <div className="note warn">Las entradas cambiaron desde el último cálculo: vuelve a calcular.</div>}
+      {!grid && <div className="small">Elige los ejes y pulsa Calcular.</div>}
+
+      {grid && (
+        <div className="tableWrap">
+          <table className="table heatmap">
+            <thead>
+              <tr>
+                <th>{FIELD_LABELS[grid.yField]} \ {FIELD_LABELS[grid.xField]}</th>
+                {grid.xValues.map((v, j) => (
+                  <th key={j}>{fmtAxisValue(grid.xField, v)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.cells.map((row, i) => (
+                <tr key={i}>
+                  <th>{fmtAxisValue(grid.yField, grid.yValues[i])}</th>
+                  {row.map((c, j) => (
+                    <td
+                      key={j}
+                      style={{
+                        background: cellColor(metric, c[metric], scale),
+                        borderRight: edges[i][j].right ? line : undefined,
+                        borderBottom: edges[i][j].bottom ? line : undefined
+                      }}
+                    >
+                      {fmtCell(metric, c[metric])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
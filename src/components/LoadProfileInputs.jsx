@@ -0,0 +1,72 @@
+import React, { useRef, useState } from "react";
+import { parseProfileCsv } from "../engine/index.js";
+import { fmtNum, fmtPct } from "../lib/format.js";
+
+/**
+ * Autoconsumo fijo o derivado de un perfil horario: carga un CSV de consumo
+ * (8760 h o 15 min) y, opcional, un perfil solar; sin él se usa uno genérico.
+ */
+export default function LoadProfileInputs({ scenario, model, onPatch }) {
+  const [error, setError] = useState("");
+  const loadRef = useRef(null);
+  const solarRef = useRef(null);
+  const hourly = scenario.selfConsumptionMode === "hourly";
+
+  const readProfile = (key) => async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const profile = parseProfileCsv(await file.text());
+      onPatch({ [key]: profile, [`${key}Name`]: file.name });
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="field wide">
+      <label>Autoconsumo</label>
+      <div className="segment" style={{ marginTop: 0, alignItems: "center" }}>
+        <button className={`pill ${!hourly ? "active" : ""}`} onClick={() => onPatch({ selfConsumptionMode: "fixed" })}>
+          Fracción fija
+        </button>
+        <button className={`pill ${hourly ? "active" : ""}`} onClick={() => onPatch({ selfConsumptionMode: "hourly" })}>
+          Perfil horario (8760)
+        </button>
+      </div>
+
+      {hourly && (
+        <>
+          <div className="segment" style={{ alignItems: "center" }}>
+            <button className="btn" onClick={() => loadRef.current?.click()}>Consumo CSV…</button>
+            <span className="small">{scenario.loadProfileName || "Sin perfil de consumo"}</span>
+            <input ref={loadRef} type="file" accept=".csv,text/csv,text/plain" hidden onChange={readProfile("loadProfile")} />
+          </div>
+          <div className="segment" style={{ alignItems: "center" }}>
+            <button className="btn" onClick={() => solarRef.current?.click()}>Perfil solar CSV…</button>
+            <span className="small">{scenario.solarProfile ? scenario.solarProfileName : "Genérico (senoide 6:00–18:00)"}</span>
+            {scenario.solarProfile && (
+              <button className="btn icon" onClick={() => onPatch({ solarProfile: null, solarProfileName: "" })} title="Usar perfil genérico">✕</button>
+            )}
+            <input ref={solarRef} type="file" accept=".csv,text/csv,text/plain" hidden onChange={readProfile("solarProfile")} />
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            Una fila por hora (8760) o por 15 min (35040), valor en kWh en la última columna. Del perfil solar solo se usa
+            la forma; la energía anual sigue saliendo de kW × HSP × PR.
+          </div>
+          {model.selfConsumptionSource === "hourly" ? (
+            <div className="note">
+              Consumo anual: <b>{fmtNum(model.loadKwh)} kWh</b> • Autoconsumo año 1: <b>{fmtPct(model.selfConsumptionY1)}</b> de la
+              generación • Cubre <b>{fmtPct(model.loadCoverageY1)}</b> del consumo.
+            </div>
+          ) : (
+            <div className="note warn">Sin perfil de consumo válido: se usa el % de autoconsumo fijo.</div>
+          )}
+        </>
+      )}
+      {error && <div className="note warn">{error}</div>}
+    </div>
+  );
+}
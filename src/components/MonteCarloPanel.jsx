@@ -0,0 +1,249 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { MC_FIELDS, defaultDistributions, histogram } from "../engine/index.js";
+import { startMonteCarlo } from "../lib/monteCarloRunner.js";
+import { fmtCOP, fmtPct, fmtNum, fmtAxis, fmtYears } from "../lib/format.js";
+import { FIELD_LABELS } from "../lib/fieldLabels.js";
+
+const DIST_LABELS = { none: "Fijo", normal: "Normal", triangular: "Triangular", uniform: "Uniforme" };
+
+const ITERATION_OPTIONS = [500, 1000, 2000, 5000, 10000];
+
+// Huella corta de un perfil de 8760 h para no serializarlo en cada render:
+// hash FNV-1a de sus bytes, así mover consumo entre horas también la cambia.
+function profileTag(p) {
+  if (!p) return null;
+  let h = 0x811c9dc5;
+  for (const byte of new Uint8Array(Float64Array.from(p).buffer)) h = Math.imul(h ^ byte, 0x01000193);
+  return `${p.length}:${(h >>> 0).toString(36)}`;
+}
+
+function Histogram({ title, values, fmt, color }) {
+  const data = useMemo(() => histogram(values, 30), [values]);
+  return (
+    <div>
+      <div className="small" style={{ fontWeight: 800 }}>{title}</div>
+      <div style={{ height: 180, marginTop: 6 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} margin={{ top: 6, right: 8, left: 0, bottom: 0 }} barCategoryGap={0}>
+            <CartesianGrid stroke="rgba(255,255,255,.12)" strokeDasharray="3 3" />
+            <XAxis dataKey="mid" stroke="rgba(234,241,255,.75)" tickFormatter={fmt} minTickGap={18} />
+            <YAxis stroke="rgba(234,241,255,.75)" width={36} />
+            <Tooltip
+              formatter={(v) => [v, "Iteraciones"]}
+              labelFormatter={(_, p) => (p?.[0] ? `${fmt(p[0].payload.x0)} – ${fmt(p[0].payload.x1)}` : "")}
+            />
+            <Bar dataKey="count" fill={color} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Simulación Monte Carlo del escenario activo: distribución por supuesto,
+ * histogramas de VPN/TIR/payback, P10/P50/P90 y probabilidad de VPN < 0.
+ */
+export default function MonteCarloPanel({ scenario, global, seedTag }) {
+  const [dists, setDists] = useState(defaultDistributions);
+  const [iterations, setIterations] = useState(2000);
+  const [seed, setSeed] = useState(1);
+  const [run, setRun] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const jobRef = useRef(null);
+
+  // Huella de las entradas: si cambian, el resultado queda desactualizado.
+  const loadTag = useMemo(() => profileTag(scenario.loadProfile), [scenario.loadProfile]);
+  const solarTag = useMemo(() => profileTag(scenario.solarProfile), [scenario.solarProfile]);
+  const inputKey = JSON.stringify({
+    scenario: { ...scenario, loadProfile: loadTag, solarProfile: solarTag },
+    global,
+    dists,
+    iterations,
+    seed
+  });
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  const setDist = (key, patch) => setDists((p) => ({ ...p, [key]: { ...p[key], ...patch } }));
+
+  const simulate = async () => {
+    jobRef.current?.cancel();
+    setError("");
+    setProgress(0);
+    const job = startMonteCarlo({
+      scenario,
+      global,
+      options: { iterations, seed, distributions: dists },
+      seedTag,
+      onProgress: (done, total) => setProgress(done / total)
+    });
+    jobRef.current = job;
+    try {
+      const result = await job.promise;
+      setRun({ result, key: inputKey, scenarioId: scenario.id });
+    } catch (err) {
+      if (jobRef.current === job) setError(err.message);
+    } finally {
+      if (jobRef.current === job) {
+        jobRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const cancel = () => {
+    jobRef.current?.cancel();
+  };
+
+  const r = run?.result;
+  const stale = run && run.key !== inputKey;
+  const s = r?.summary;
+  const paybackFinite = useMemo(() => (r ? r.payback.filter(Number.isFinite) : []), [r]);
+
+  return (
+    <div className="card">
+      <h3>Riesgo Monte Carlo • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="small">
+        Cada supuesto varía alrededor del valor del escenario. Dispersión = desviación estándar (normal) o
+        semiamplitud (triangular/uniforme), en % del valor base.
+      </div>
+
+      <div className="tableWrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Supuesto</th>
+              <th>Valor base</th>
+              <th>Distribución</th>
+              <th>Dispersión (%)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MC_FIELDS.map((key) => (
+              <tr key={key}>
+                <td>{FIELD_LABELS[key]}</td>
+                <td>{key === "capex" ? `$ ${fmtCOP(scenario[key])}` : fmtNum(scenario[key], 4)}</td>
+                <td>
+                  <div className="field">
+                    <select value={dists[key].type} onChange={(e) => setDist(key, { type: e.target.value })}>
+                      {Object.entries(DIST_LABELS).map(([v, label]) => (
+                        <option key={v} value={v}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </td>
+                <td>
+                  <div className="field">
+                    <input
+                      type="number"
+                      step="1"
+                      min="0"
+                      disabled={dists[key].type === "none"}
+                      value={Math.round(dists[key].spread * 1000) / 10}
+                      onChange={(e) => setDist(key, { spread: Math.max(0, Number(e.target.value) / 100) })}
+                    />
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="segment" style={{ alignItems: "center" }}>
+        <div className="field">
+          <select value={iterations} onChange={(e) => setIterations(Number(e.target.value))}>
+            {ITERATION_OPTIONS.map((v) => (
+              <option key={v} value={v}>{fmtNum(v)} iteraciones</option>
+            ))}
+          </select>
+        </div>
+        <div className="field" style={{ width: 110 }}>
+          <input type="number" step="1" value={seed} title="Semilla" onChange={(e) => setSeed(Math.round(Number(e.target.value)) || 1)} />
+        </div>
+        {progress == null ? (
+          <button className="btn primary" onClick={simulate}>Simular</button>
+        ) : (
+          <>
+            <span className="small">Simulando… {Math.round(100 * progress)}%</span>
+            <button className="btn" onClick={cancel}>Cancelar</button>
+          </>
+        )}
+        <button className="btn" onClick={() => setDists(defaultDistributions())}>Restablecer distribuciones</button>
+      </div>
+
+      {error && <div className="note warn">{error}</div>}
+      {stale && <div className="note warn">Las entradas cambiaron desde la última simulación: vuelve a simular.</div>}
+
+      {r && (
+        <>
+          <div className="kpis" style={{ marginTop: 12 }}>
+            <div className="kpi">
+              <div className="label">P(VPN &lt; 0)</div>
+              <div className="value green">{fmtPct(s.probNegativeNpv)}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">VPN medio</div>
+              <div className="value">$ {fmtCOP(s.npv.mean)}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">Sin TIR definida</div>
+              <div className="value">{fmtPct(s.irrUndefinedShare)}</div>
+            </div>
+            <div className="kpi">
+              <div className="label">Sin payback en la vida útil</div>
+              <div className="value">{fmtPct(s.noPaybackShare)}</div>
+            </div>
+          </div>
+
+          <div className="tableWrap">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Métrica</th>
+                  <th>P10</th>
+                  <th>P50</th>
+                  <th>P90</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>VPN</td>
+                  {["p10", "p50", "p90"].map((p) => (
+                    <td key={p} className={s.npv[p] < 0 ? "neg" : ""}>$ {fmtCOP(s.npv[p])}</td>
+                  ))}
+                </tr>
+                <tr>
+                  <td>TIR</td>
+                  {["p10", "p50", "p90"].map((p) => (
+                    <td key={p}>{s.irr[p] == null ? "—" : fmtPct(s.irr[p])}</td>
+                  ))}
+                </tr>
+                <tr>
+                  <td>Payback</td>
+                  {["p10", "p50", "p90"].map((p) => (
+                    <td key={p}>{fmtYears(s.payback[p])}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mcGrid">
+            <Histogram title="VPN (COP)" values={r.npv} fmt={fmtAxis} color="rgba(34,197,94,.8)" />
+            <Histogram title="TIR" values={r.irr} fmt={(v) => fmtPct(v)} color="rgba(59,130,246,.8)" />
+            <Histogram title="Payback (años)" values={paybackFinite} fmt={(v) => fmtNum(v, 1)} color="rgba(168,85,247,.8)" />
+          </div>
+
+          <div className="note">
+            {fmtNum(r.iterations)} iteraciones del escenario {run.scenarioId}. Payback P90 "—" = no se recupera en la
+            vida útil en al menos el 10% de los casos.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { fmtAxis, fmtCOP, fmtNum, MONTH_LABELS } from "../lib/format.js";
+
+/**
+ * Año 1 mes a mes: energía autoconsumida y exportada (barras) y ahorro
+ * (línea).
+ */
+export default function MonthlyChart({ scenario, model }) {
+  const data = model.monthlyY1.map((r) => ({ ...r, label: MONTH_LABELS[r.month - 1] }));
+  const source = model.pshSource === "monthly" ? "HSP mensual" : "HSP anual repartida por días";
+
+  return (
+    <div className="card">
+      <h3>Generación mensual (año 1) • Escenario {scenario.id}</h3>
+      <div className="small">
+        {source}
+        {model.selfConsumptionSource === "hourly" ? " • autoconsumo del perfil horario." : " • autoconsumo fijo."}
+      </div>
+
+      <div style={{ height: 260, marginTop: 10 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 10, right: 6, left: 6, bottom: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,.12)" strokeDasharray="3 3" />
+            <XAxis dataKey="label" stroke="rgba(234,241,255,.75)" />
+            <YAxis yAxisId="kwh" stroke="rgba(234,241,255,.75)" tickFormatter={(v) => fmtNum(v)} />
+            <YAxis yAxisId="cop" orientation="right" stroke="rgba(234,241,255,.75)" tickFormatter={fmtAxis} />
+            <Tooltip formatter={(v, name) => [name === "Ahorro" ? `$ ${fmtCOP(v)}` : `${fmtNum(v)} kWh`, name]} />
+            <Legend />
+            <Bar yAxisId="kwh" dataKey="selfKwh" stackId="e" name="Autoconsumo" fill="rgba(34,197,94,.8)" />
+            <Bar yAxisId="kwh" dataKey="expKwh" stackId="e" name="Excedentes" fill="rgba(59,130,246,.8)" />
+            <Line yAxisId="cop" type="monotone" dataKey="savings" name="Ahorro" stroke="rgba(250,204,21,.95)" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
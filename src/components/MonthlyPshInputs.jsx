@@ -0,0 +1,49 @@
+import React from "react";
+import { averagePsh, clampField } from "../engine/index.js";
+import { fmtNum, MONTH_LABELS } from "../lib/format.js";
+
+/**
+ * HSP anual única o tabla de 12 meses. Al editar un mes, `psh` pasa a ser el
+ * promedio de la tabla (así tornado y Monte Carlo siguen moviendo la HSP).
+ */
+export default function MonthlyPshInputs({ scenario, onPatch }) {
+  const monthly = scenario.pshMode === "monthly";
+  const table = scenario.pshMonthly ?? new Array(12).fill(clampField(scenario, "psh"));
+
+  const setMonth = (m, v) => {
+    const next = table.map((x, i) => (i === m ? Math.max(0, v) : x));
+    onPatch({ pshMonthly: next, psh: Math.round(averagePsh(next) * 1000) / 1000 });
+  };
+
+  return (
+    <div className="field wide">
+      <label>Irradiación</label>
+      <div className="segment" style={{ marginTop: 0 }}>
+        <button className={`pill ${!monthly ? "active" : ""}`} onClick={() => onPatch({ pshMode: "annual" })}>
+          HSP anual
+        </button>
+        <button
+          className={`pill ${monthly ? "active" : ""}`}
+          onClick={() => onPatch({ pshMode: "monthly", pshMonthly: table })}
+        >
+          HSP mensual (12 meses)
+        </button>
+      </div>
+      {monthly && (
+        <>
+          <div className="monthGrid">
+            {MONTH_LABELS.map((label, m) => (
+              <div className="field" key={label}>
+                <label>{label}</label>
+                <input type="number" step="0.1" min="0" value={table[m]} onChange={(e) => setMonth(m, Number(e.target.value))} />
+              </div>
+            ))}
+          </div>
+          <div className="small" style={{ marginTop: 6 }}>
+            Promedio ponderado por días: <b>{fmtNum(averagePsh(table), 2)} h/día</b>. Cambiar la PSH anual escala toda la tabla.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useRef, useState } from "react";
+import {
+  listProjects,
+  saveProject,
+  loadProject,
+  renameProject,
+  deleteProject
+} from "../lib/storage.js";
+import { serializeStudy, parseStudyFile, studyFileName } from "../lib/studyFile.js";
+import { downloadFile } from "../lib/download.js";
+
+const fmtDate = (ms) =>
+  new Date(ms).toLocaleString("es-CO", { dateStyle: "short", timeStyle: "short" });
+
+/**
+ * Biblioteca de estudios con nombre (localStorage): guardar, abrir,
+ * renombrar y eliminar. También exporta/importa el estudio como JSON.
+ */
+export default function ProjectLibrary({ study, onOpen }) {
+  const [projects, setProjects] = useState(listProjects);
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [pending, setPending] = useState(null); // { study, issues, fileName } con avisos de validación
+  const [fileError, setFileError] = useState("");
+  const [saveError, setSaveError] = useState("");
+  const fileRef = useRef(null);
+
+  const refresh = () => setProjects(listProjects());
+
+  const save = () => {
+    if (!saveProject(name, study)) {
+      setSaveError("No se pudo guardar: el almacenamiento del navegador está lleno o no disponible. Usa Guardar JSON.");
+      return;
+    }
+    setSaveError("");
+    setName("");
+    refresh();
+  };
+
+  const open = (id) => {
+    const loaded = loadProject(id);
+    if (loaded) onOpen(loaded);
+  };
+
+  const commitRename = () => {
+    if (editing) renameProject(editing.id, editing.name);
+    setEditing(null);
+    refresh();
+  };
+
+  const exportJSON = () => {
+    downloadFile(studyFileName(name, study), serializeStudy(study), "application/json");
+  };
+
+  const importJSON = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileError("");
+    setPending(null);
+    try {
+      const parsed = parseStudyFile(await file.text());
+      if (parsed.issues.length) setPending({ ...parsed, fileName: file.name });
+      else onOpen(parsed.study);
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const remove = (p) => {
+    if (!window.confirm(`¿Eliminar el proyecto “${p.name}”?`)) return;
+    deleteProject(p.id);
+    refresh();
+  };
+
+  return (
+    <div className="card">
+      <h3>Proyectos</h3>
+      <div className="small">Los cambios se guardan solos en este navegador. Guarda aquí cada estudio de cliente con un nombre.</div>
+
+      <div className="segment">
+        <div className="field" style={{ flex: 1 }}>
+          <input
+            placeholder="Nombre del proyecto (ej. Cliente – Sede norte)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && save()}
+          />
+        </div>
+        <button className="btn primary" onClick={save}>Guardar</button>
+      </div>
+
+      <div className="segment">
+        <button className="btn" onClick={exportJSON}>Guardar JSON</button>
+        <button className="btn" onClick={() => fileRef.current?.click()}>Abrir JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importJSON} />
+      </div>
+
+      {saveError && <div className="note warn">{saveError}</div>}
+      {fileError && <div className="note warn">{fileError}</div>}
+
+      {pending && (
+        <div className="note warn">
+          <b>{pending.fileName}</b>: {pending.issues.length} valor(es) inválidos o fuera de rango.
+          El cálculo los acotará al rango permitido.
+          <ul className="list">
+            {pending.issues.map((i, k) => (
+              <li key={k}>Escenario {i.scenario} • {i.message}</li>
+            ))}
+          </ul>
+          <div className="segment">
+            <button className="btn primary" onClick={() => { onOpen(pending.study); setPending(null); }}>Abrir de todos modos</button>
+            <button className="btn" onClick={() => setPending(null)}>Cancelar</button>
+          </div>
+        </div>
+      )}
+
+      {projects.length > 0 && <div className="hr" />}
+      <div className="projectList">
+        {projects.map((p) => (
+          <div key={p.id} className="projectRow">
+            {editing?.id === p.id ? (
+              <div className="field" style={{ flex: 1 }}>
+                <input
+                  autoFocus
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                  onBlur={commitRename}
+                />
+              </div>
+            ) : (
+              <div style={{ flex: 1 }}>
+                <b>{p.name}</b>
+                <div className="small">{fmtDate(p.updatedAt)}</div>
+              </div>
+            )}
+            <button className="btn" onClick={() => open(p.id)}>Abrir</button>
+            <button className="btn" onClick={() => setEditing({ id: p.id, name: p.name })}>Renombrar</button>
+            <button className="btn" onClick={() => remove(p)}>Eliminar</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from "react";
+
+/**
+ * Lista de escenarios: seleccionar, agregar, duplicar, reordenar, colorear y
+ * eliminar.
+ */
+export default function ScenarioManager({
+  scenarios,
+  activeId,
+  onSelect,
+  onAdd,
+  onDuplicateNew,
+  onDuplicateTo,
+  onRemove,
+  onMove,
+  onColor
+}) {
+  const others = scenarios.filter((s) => s.id !== activeId);
+
+  return (
+    <div className="card">
+      <h3>Escenarios</h3>
+      <div className="small">Cambia el activo y compara resultados. Agrega tantas variantes como necesites.</div>
+
+      <div className="scenarioList">
+        {scenarios.map((s, i) => (
+          <div key={s.id} className="scenarioRow">
+            <input
+              type="color"
+              className="swatch"
+              value={s.color}
+              title="Color en la gráfica"
+              onChange={(e) => onColor(s.id, e.target.value)}
+            />
+            <button className={`pill ${activeId === s.id ? "active" : ""}`} style={{ flex: 1, textAlign: "left" }} onClick={() => onSelect(s.id)}>
+              {s.id} • {s.name}
+            </button>
+            <button className="btn icon" title="Subir" disabled={i === 0} onClick={() => onMove(s.id, -1)}>↑</button>
+            <button className="btn icon" title="Bajar" disabled={i === scenarios.length - 1} onClick={() => onMove(s.id, 1)}>↓</button>
+            <button
+              className="btn icon"
+              title="Eliminar"
+              disabled={scenarios.length <= 1}
+              onClick={() => window.confirm(`¿Eliminar el escenario ${s.id} (${s.name})?`) && onRemove(s.id)}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="segment">
+        <button className="btn" onClick={onAdd}>+ Nuevo escenario</button>
+        <button className="btn" onClick={onDuplicateNew}>Duplicar activo como nuevo</button>
+      </div>
+
+      {others.length > 0 && (
+        <>
+          <div className="hr" />
+          <div className="small">Consejo: usa “Duplicar” para copiar supuestos del escenario activo a otro.</div>
+          <div className="segment">
+            {others.map((s) => (
+              <button key={s.id} className="btn" onClick={() => onDuplicateTo(s.id)}>Duplicar a {s.id}</button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Legend } from "recharts";
+import { clampField, optimizeSize } from "../engine/index.js";
+import { fmtCOP, fmtPct, fmtNum, fmtAxis } from "../lib/format.js";
+
+/** Supuestos iniciales que reproducen el CAPEX actual (90% por kWp, 10% fijo). */
+const defaultsFor = (s) => {
+  const kW = clampField(s, "kW") || 1;
+  const capex = clampField(s, "capex");
+  return {
+    minKw: Math.max(1, Math.round(kW * 0.25)),
+    maxKw: Math.round(kW * 3),
+    costPerKwp: Math.round((capex * 0.9) / kW),
+    fixedCost: Math.round(capex * 0.1),
+    selfElasticity: 0.7,
+    exportFactor: clampField(s, "exportFactor")
+  };
+};
+
+/**
+ * Optimizador de tamaño: barre kW con CAPEX por kWp + costo fijo,
+ * autoconsumo decreciente con el tamaño y precio de excedentes, y
+ * recomienda los kW de mayor VPN o TIR.
+ */
+export default function SizingPanel({ scenario, global, seedTag, onApply }) {
+  const [opts, setOpts] = useState(() => defaultsFor(scenario));
+  const [objective, setObjective] = useState("NPV");
+
+  const set = (key) => (e) => setOpts((p) => ({ ...p, [key]: Number(e.target.value) }));
+
+  const result = useMemo(
+    () => optimizeSize(scenario, global, { ...opts, steps: 80, objective }, seedTag),
+    [scenario, global, opts, objective, seedTag]
+  );
+  const { best } = result;
+
+  const apply = () =>
+    onApply({
+      kW: Number(best.kW.toFixed(2)),
+      capex: Math.round(best.capex),
+      selfConsumption: Number(best.selfConsumption.toFixed(4)),
+      omAnnual: Math.round(best.omAnnual),
+      exportFactor: opts.exportFactor
+    });
+
+  return (
+    <div className="card">
+      <h3>Optimizador de tamaño (kW) • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="small">
+        CAPEX = COP/kWp · kW + costo fijo. Autoconsumo = actual · (kW actual / kW)^elasticidad (0 = constante,
+        1 = mismos kWh autoconsumidos). O&M proporcional a los kW.
+      </div>
+
+      <div className="form">
+        <div className="field">
+          <label>kW mínimo</label>
+          <input type="number" step="1" value={opts.minKw} onChange={set("minKw")} />
+        </div>
+        <div className="field">
+          <label>kW máximo</label>
+          <input type="number" step="1" value={opts.maxKw} onChange={set("maxKw")} />
+        </div>
+        <div className="field">
+          <label>CAPEX por kWp (COP/kWp)</label>
+          <input type="number" step="100000" value={opts.costPerKwp} onChange={set("costPerKwp")} />
+        </div>
+        <div className="field">
+          <label>Costo fijo (COP)</label>
+          <input type="number" step="100000" value={opts.fixedCost} onChange={set("fixedCost")} />
+        </div>
+        <div className="field">
+          <label>Elasticidad del autoconsumo (0–1)</label>
+          <input type="number" step="0.05" min="0" max="1" value={opts.selfElasticity} onChange={set("selfElasticity")} />
+        </div>
+        <div className="field">
+          <label>Factor excedentes (precio / tarifa)</label>
+          <input type="number" step="0.05" min="0" max="1" value={opts.exportFactor} onChange={set("exportFactor")} />
+        </div>
+      </div>
+
+      <div className="segment" style={{ alignItems: "center" }}>
+        <button className={`pill ${objective === "NPV" ? "active" : ""}`} onClick={() => setObjective("NPV")}>Maximizar VPN</button>
+        <button className={`pill ${objective === "IRR" ? "active" : ""}`} onClick={() => setObjective("IRR")}>Maximizar TIR</button>
+        <button className="btn" onClick={() => setOpts(defaultsFor(scenario))}>Restablecer supuestos</button>
+      </div>
+
+      <div style={{ height: 280, marginTop: 10 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={result.points} margin={{ top: 10, right: 18, left: 6, bottom: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,.12)" strokeDasharray="3 3" />
+            <XAxis dataKey="kW" type="number" domain={["dataMin", "dataMax"]} stroke="rgba(234,241,255,.75)" tickFormatter={(v) => fmtNum(v, 1)} />
+            <YAxis yAxisId="npv" stroke="rgba(234,241,255,.75)" tickFormatter={fmtAxis} />
+            <YAxis yAxisId="irr" orientation="right" stroke="rgba(234,241,255,.75)" tickFormatter={(v) => fmtPct(v)} />
+            <Tooltip
+              formatter={(v, name) => [name === "TIR" ? fmtPct(v) : `$ ${fmtCOP(v)}`, name]}
+              labelFormatter={(l) => `${fmtNum(l, 1)} kW`}
+            />
+            <Legend />
+            <ReferenceLine yAxisId="npv" y={0} stroke="rgba(239,68,68,.7)" />
+            {best && <ReferenceLine yAxisId="npv" x={best.kW} stroke="rgba(250,204,21,.95)" strokeDasharray="4 4" />}
+            <Line yAxisId="npv" type="monotone" dataKey="NPV" name="VPN" stroke="rgba(34,197,94,.95)" strokeWidth={2.4} dot={false} />
+            <Line yAxisId="irr" type="monotone" dataKey="IRR" name="TIR" stroke="rgba(59,130,246,.95)" strokeWidth={1.8} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {best ? (
+        <div className="note">
+          Recomendado: <b>{fmtNum(best.kW, 1)} kW</b> (actual {fmtNum(scenario.kW, 1)} kW) • VPN $ {fmtCOP(best.NPV)} • TIR{" "}
+          {best.IRR == null ? "—" : fmtPct(best.IRR)} • CAPEX $ {fmtCOP(best.capex)} • Autoconsumo {fmtPct(best.selfConsumption)}
+          {best.exportShareY1 >= 0.35 && <> • ⚠️ {fmtPct(best.exportShareY1)} de los ingresos del año 1 son excedentes</>}
+          <div className="segment">
+            <button className="btn primary" onClick={apply}>Aplicar tamaño al escenario {scenario.id}</button>
+          </div>
+        </div>
+      ) : (
+        <div className="note warn">Ningún tamaño del rango tiene {objective === "IRR" ? "TIR definida" : "VPN calculable"}.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from "react";
+import { LOSS_CARRY_YEARS } from "../engine/index.js";
+import { fmtCOP, fmtPct, fmtBasis } from "../lib/format.js";
+
+const COLUMNS = [
+  { key: "ebitda", label: "Ahorro − O&M" },
+  { key: "depreciation", label: "Depreciación" },
+  { key: "lossUsed", label: "Compensación pérdidas" },
+  { key: "specialDeduction", label: "Deducción especial" },
+  { key: "taxableIncome", label: "Renta gravable" },
+  { key: "tax", label: "Impuesto incremental" },
+  { key: "deductionPending", label: "Deducción por usar" },
+  { key: "lossPending", label: "Pérdidas por compensar" }
+];
+
+/**
+ * Tabla de renta año a año del modo corporativo: depreciación, deducción
+ * especial (Ley 1715) con su tope y arrastre, pérdidas y el impuesto que
+ * agrega (o ahorra) el proyecto.
+ */
+export default function TaxPanel({ scenario, model }) {
+  if (model.taxMode !== "corporate") return null;
+  const rows = model.taxTable;
+  const total = (key) => rows.reduce((a, r) => a + r[key], 0);
+  const expired = total("deductionExpired");
+
+  return (
+    <div className="card">
+      <h3>Impuesto de renta • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="small">
+        Tarifa {fmtPct(scenario.taxRate)} • Depreciación en línea recta en {scenario.depreciationYears} años • Deducción
+        especial del 50% del CAPEX neto en {scenario.deductionYears} años, topada al 50% de la renta líquida •
+        Pérdidas compensables {LOSS_CARRY_YEARS} años •{" "}
+        {scenario.taxableIncome > 0
+          ? `Renta de la empresa sin el proyecto: $ ${fmtCOP(scenario.taxableIncome)}/año (incluida en la renta gravable).`
+          : "El proyecto tributa solo."}{" "}
+        Valores en base {fmtBasis(model)}; un impuesto negativo es ahorro de renta.
+      </div>
+
+      <div className="tableWrap" style={{ maxHeight: 420, marginTop: 10 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Año</th>
+              {COLUMNS.map((c) => <th key={c.key}>{c.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.year}>
+                <td>{r.year}</td>
+                {COLUMNS.map((c) => (
+                  <td key={c.key} className={r[c.key] < 0 ? "neg" : ""}>{fmtCOP(r[c.key])}</td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td><b>Total</b></td>
+              {COLUMNS.map((c) => (
+                <td key={c.key}>
+                  {["depreciation", "lossUsed", "specialDeduction", "tax"].includes(c.key) ? <b>{fmtCOP(total(c.key))}</b> : ""}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {expired > 0 && (
+        <div className="note warn">
+          Vencen $ {fmtCOP(expired)} de deducción especial sin usar: la renta no alcanza el tope en la ventana de{" "}
+          {scenario.deductionYears} años.
+        </div>
+      )}
+    </div>
+  );
+}
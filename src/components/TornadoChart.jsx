@@ -0,0 +1,55 @@
+import React from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine, Legend } from "recharts";
+import { FIELD_LABELS } from "../lib/fieldLabels.js";
+import { fmtAxis, fmtCOP, fmtPct, fmtNum } from "../lib/format.js";
+
+const THEMES = {
+  dark: { grid: "rgba(255,255,255,.12)", axis: "rgba(234,241,255,.75)" },
+  light: { grid: "#e5e7eb", axis: "#374151" }
+};
+
+/** Barras del tornado: cambio de la métrica contra el caso base, por campo. */
+export function tornadoBars(tornado) {
+  const m = tornado.metric;
+  const base = tornado.base[m];
+  const diff = (v) => (v == null || base == null ? 0 : v - base);
+  return tornado.rows.map((r) => ({
+    key: r.key,
+    label: FIELD_LABELS[r.key] ?? r.key,
+    low: diff(r.low[m]),
+    high: diff(r.high[m])
+  }));
+}
+
+/**
+ * Gráfica tornado con tamaño fijo (sirve tanto en pantalla como en el
+ * reporte PDF, donde `ResponsiveContainer` no mide fuera de pantalla).
+ */
+export default function TornadoChart({ tornado, width, height = 360, theme = "dark" }) {
+  const t = THEMES[theme];
+  const isIrr = tornado.metric === "IRR";
+  const fmt = isIrr ? (v) => `${fmtNum(100 * v, 1)} pp` : fmtAxis;
+  const pctLabel = `${fmtNum(100 * tornado.delta, 0)}%`;
+
+  return (
+    <BarChart
+      width={width}
+      height={height}
+      data={tornadoBars(tornado)}
+      layout="vertical"
+      stackOffset="sign"
+      margin={{ top: 6, right: 18, left: 6, bottom: 0 }}
+    >
+      <CartesianGrid stroke={t.grid} strokeDasharray="3 3" />
+      <XAxis type="number" stroke={t.axis} tickFormatter={fmt} />
+      <YAxis type="category" dataKey="label" stroke={t.axis} width={130} />
+      <Tooltip
+        formatter={(v, name) => [isIrr ? `${v >= 0 ? "+" : ""}${fmtPct(v)}` : `$ ${fmtCOP(v)}`, name]}
+      />
+      <Legend />
+      <ReferenceLine x={0} stroke={t.axis} />
+      <Bar dataKey="low" stackId="t" fill="rgba(239,68,68,.8)" name={`Campo −${pctLabel}`} isAnimationActive={theme === "dark"} />
+      <Bar dataKey="high" stackId="t" fill="rgba(34,197,94,.8)" name={`Campo +${pctLabel}`} isAnimationActive={theme === "dark"} />
+    </BarChart>
+  );
+}
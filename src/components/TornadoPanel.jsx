@@ -0,0 +1,90 @@
+import React, { useRef, useState, useEffect } from "react";
+import html2canvas from "html2canvas";
+import TornadoChart from "./TornadoChart.jsx";
+import { downloadFile } from "../lib/download.js";
+import { FIELD_LABELS } from "../lib/fieldLabels.js";
+import { fmtCOP, fmtPct, fmtNum } from "../lib/format.js";
+
+const fmtMetric = (metric, v) => (v == null ? "—" : metric === "IRR" ? fmtPct(v) : `$ ${fmtCOP(v)}`);
+
+/**
+ * Sensibilidad del escenario activo: perturba cada campo en ±delta y
+ * ordena los campos por su efecto en el VPN o la TIR.
+ */
+export default function TornadoPanel({ scenario, tornado, onDelta, onMetric }) {
+  const wrapRef = useRef(null);
+  const chartRef = useRef(null);
+  const [width, setWidth] = useState(600);
+  const { metric } = tornado;
+
+  // Ancho fijo para la gráfica, medido del contenedor.
+  useEffect(() => {
+    const el = wrapRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(Math.max(320, Math.floor(entry.contentRect.width))));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const exportImage = async () => {
+    const canvas = await html2canvas(chartRef.current, { scale: 2, backgroundColor: "#0b1020", logging: false });
+    canvas.toBlob((blob) => blob && downloadFile(`Smart_Energy_ROI_${scenario.id}_tornado_${metric}.png`, blob));
+  };
+
+  return (
+    <div className="card">
+      <h3>Sensibilidad (tornado) • Escenario {scenario.id} ({scenario.name})</h3>
+      <div className="segment" style={{ alignItems: "center" }}>
+        <button className={`pill ${metric === "NPV" ? "active" : ""}`} onClick={() => onMetric("NPV")}>VPN</button>
+        <button className={`pill ${metric === "IRR" ? "active" : ""}`} onClick={() => onMetric("IRR")}>TIR</button>
+        <div className="field" style={{ width: 120 }}>
+          <input
+            type="number"
+            step="5"
+            min="1"
+            max="90"
+            title="Perturbación ±%"
+            value={Math.round(tornado.delta * 100)}
+            onChange={(e) => onDelta(Math.min(0.9, Math.max(0.01, Number(e.target.value) / 100)))}
+          />
+        </div>
+        <span className="small">± % sobre cada campo; el resto queda fijo (variar kW no cambia el CAPEX).</span>
+        <button className="btn" onClick={exportImage}>Exportar imagen</button>
+      </div>
+
+      <div ref={wrapRef} style={{ marginTop: 10 }}>
+        <div ref={chartRef}>
+          <TornadoChart tornado={tornado} width={width} />
+        </div>
+      </div>
+
+      <div className="tableWrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Campo</th>
+              <th>Valor base</th>
+              <th>{metric === "IRR" ? "TIR" : "VPN"} con −{fmtNum(100 * tornado.delta)}%</th>
+              <th>{metric === "IRR" ? "TIR" : "VPN"} con +{fmtNum(100 * tornado.delta)}%</th>
+              <th>Oscilación</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tornado.rows.map((r) => {
+              const sw = metric === "IRR" ? r.irrSwing : r.npvSwing;
+              return (
+                <tr key={r.key}>
+                  <td>{FIELD_LABELS[r.key] ?? r.key}</td>
+                  <td>{r.key === "capex" || r.key === "omAnnual" ? `$ ${fmtCOP(r.value)}` : fmtNum(r.value, 4)}</td>
+                  <td className={metric === "NPV" && r.low.NPV < 0 ? "neg" : ""}>{fmtMetric(metric, r.low[metric])}</td>
+                  <td className={metric === "NPV" && r.high.NPV < 0 ? "neg" : ""}>{fmtMetric(metric, r.high[metric])}</td>
+                  <td>{fmtMetric(metric, sw)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
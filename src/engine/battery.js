@@ -0,0 +1,71 @@
+import { HOURS_PER_YEAR, solarShape } from "./hourly.js";
+
+/* ---------------- Baterías ---------------- */
+
+/** Fracción de capacidad perdida al llegar a `cycleLife` ciclos (fin de vida = 80%). */
+const END_OF_LIFE_FADE = 0.2;
+
+/** Pérdida de capacidad por ciclo equivalente completo. */
+export const fadePerCycle = (cycleLife) => (cycleLife > 0 ? END_OF_LIFE_FADE / cycleLife : 0);
+
+/**
+ * Despacho hora a hora: los excedentes cargan la batería y la batería cubre
+ * el consumo que el FV no alcanza. La eficiencia ida y vuelta se reparte por
+ * igual entre carga y descarga.
+ *
+ * @param {{ load: number[], solar?: number[], genKwh: number, usableKwh: number,
+ *   powerKw: number, efficiency: number }} p
+ * @returns {{ selfKwh: number, expKwh: number, chargedKwh: number, dischargedKwh: number }}
+ *   `selfKwh` incluye lo entregado por la batería.
+ */
+export function dispatchHourly({ load, solar, genKwh, usableKwh, powerKw, efficiency }) {
+  const shape = solarShape(solar);
+  const eta = Math.sqrt(Math.max(0, efficiency));
+  let soc = 0;
+  let direct = 0;
+  let charged = 0;
+  let discharged = 0;
+  let exported = 0;
+
+  for (let h = 0; h < HOURS_PER_YEAR; h++) {
+    const gen = genKwh * shape[h];
+    const d = Math.min(gen, load[h]);
+    direct += d;
+    const surplus = gen - d;
+    const deficit = load[h] - d;
+
+    const c = eta > 0 ? Math.min(surplus, powerKw, (usableKwh - soc) / eta) : 0;
+    soc += c * eta;
+    charged += c;
+    exported += surplus - c;
+
+    const out = Math.min(deficit, powerKw, soc * eta);
+    if (out > 0) {
+      soc -= out / eta;
+      discharged += out;
+    }
+  }
+  return { selfKwh: direct + discharged, expKwh: exported, chargedKwh: charged, dischargedKwh: discharged };
+}
+
+/**
+ * Aproximación diaria sin perfil horario: cada día los excedentes cargan
+ * la batería (hasta su capacidad útil y su potencia × `sunHours`) y todo lo
+ * almacenado se descarga de noche, suponiendo consumo nocturno suficiente.
+ *
+ * @param {{ genKwh: number, selfKwh: number, usableKwh: number, powerKw: number,
+ *   efficiency: number, sunHours: number }} p
+ */
+export function dispatchDaily({ genKwh, selfKwh, usableKwh, powerKw, efficiency, sunHours }) {
+  const eta = Math.sqrt(Math.max(0, efficiency));
+  const surplusDay = Math.max(0, genKwh - selfKwh) / 365;
+  const chargeDay = eta > 0 ? Math.min(surplusDay, usableKwh / eta, powerKw * sunHours) : 0;
+  const chargedKwh = chargeDay * 365;
+  const dischargedKwh = chargedKwh * eta * eta;
+  return {
+    selfKwh: selfKwh + dischargedKwh,
+    expKwh: genKwh - selfKwh - chargedKwh,
+    chargedKwh,
+    dischargedKwh
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import { dispatchHourly, dispatchDaily, fadePerCycle } from "./battery.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const global = defaultGlobal();
+const base = defaultScenario("Base", "#3b82f6", "B");
+// Consumo plano de 2 kWh/h (día y noche).
+const flatLoad = new Array(8760).fill(2);
+
+describe("fadePerCycle", () => {
+  it("pierde el 20% de capacidad al llegar a la vida en ciclos", () => {
+    expect(fadePerCycle(6000) * 6000).toBeCloseTo(0.2, 12);
+    expect(fadePerCycle(0)).toBe(0);
+  });
+});
+
+describe("dispatchDaily", () => {
+  it("carga lo que permite la capacidad útil y descarga con pérdidas", () => {
+    const r = dispatchDaily({ genKwh: 36500, selfKwh: 18250, usableKwh: 9, powerKw: 5, efficiency: 0.81, sunHours: 4 });
+    // Excedente diario 50 kWh; límite útil 9 / 0.9 = 10 kWh.
+    expect(r.chargedKwh).toBeCloseTo(3650, 6);
+    expect(r.dischargedKwh).toBeCloseTo(3650 * 0.81, 6);
+    expect(r.selfKwh).toBeCloseTo(18250 + 3650 * 0.81, 6);
+    expect(r.expKwh).toBeCloseTo(36500 - 18250 - 3650, 6);
+  });
+
+  it("se limita por la potencia × horas de sol y por el excedente", () => {
+    const byPower = dispatchDaily({ genKwh: 36500, selfKwh: 0, usableKwh: 100, powerKw: 2, efficiency: 1, sunHours: 4 });
+    expect(byPower.chargedKwh).toBeCloseTo(8 * 365, 6);
+    const bySurplus = dispatchDaily({ genKwh: 3650, selfKwh: 3000, usableKwh: 100, powerKw: 50, efficiency: 1, sunHours: 4 });
+    expect(bySurplus.chargedKwh).toBeCloseTo(650, 6);
+    expect(bySurplus.expKwh).toBeCloseTo(0, 6);
+  });
+});
+
+describe("dispatchHourly", () => {
+  it("conserva la energía: autoconsumo + excedentes + pérdidas = generación", () => {
+    const genKwh = 40000;
+    const r = dispatchHourly({ load: flatLoad, genKwh, usableKwh: 10, powerKw: 5, efficiency: 0.9 });
+    const losses = r.chargedKwh - r.dischargedKwh;
+    expect(r.dischargedKwh).toBeGreaterThan(0);
+    expect(r.dischargedKwh).toBeLessThan(r.chargedKwh);
+    // Lo que queda en la batería al cierre del año es como máximo su capacidad.
+    const stored = genKwh - r.selfKwh - r.expKwh - losses;
+    expect(stored).toBeGreaterThanOrEqual(-1e-6);
+    expect(stored).toBeLessThanOrEqual(10 / Math.sqrt(0.9) + 1e-6);
+  });
+
+  it("sin capacidad útil equivale al autoconsumo directo", () => {
+    const r = dispatchHourly({ load: flatLoad, genKwh: 40000, usableKwh: 0, powerKw: 5, efficiency: 0.9 });
+    expect(r.chargedKwh).toBe(0);
+    expect(r.selfKwh + r.expKwh).toBeCloseTo(40000, 6);
+  });
+});
+
+describe("computeScenario con batería", () => {
+  const withBattery = { ...base, batteryKwh: 20, batteryPowerKw: 10, batteryCapex: 20000000 };
+
+  it("sube el autoconsumo, baja los excedentes y suma su CAPEX", () => {
+    const without = computeScenario(base, global, "B");
+    const m = computeScenario(withBattery, global, "B");
+    expect(m.hasBattery).toBe(true);
+    expect(without.hasBattery).toBe(false);
+    expect(m.annuals[0].selfKwh).toBeGreaterThan(without.annuals[0].selfKwh);
+    expect(m.annuals[0].expKwh).toBeLessThan(without.annuals[0].expKwh);
+    expect(m.annuals[0].batteryOutKwh).toBeGreaterThan(0);
+    expect(-m.cashflows[0]).toBeGreaterThan(-without.cashflows[0]);
+  });
+
+  it("la capacidad se degrada con los ciclos y el reemplazo la restaura", () => {
+    const worn = computeScenario({ ...withBattery, batteryCycleLife: 500 }, global, "B");
+    expect(worn.batteryHealthEnd).toBeLessThan(1);
+    const out = worn.annuals.map((r) => r.batteryOutKwh);
+    expect(out[out.length - 1]).toBeLessThan(out[0]);
+
+    const replaced = computeScenario({ ...withBattery, batteryCycleLife: 500, batteryReplacementYear: 10 }, global, "B");
+    const row = replaced.annuals[9];
+    expect(row.batteryCost).toBe(20000000);
+    expect(row.batteryOutKwh).toBeGreaterThan(replaced.annuals[8].batteryOutKwh);
+    expect(replaced.annuals.filter((r) => r.batteryCost > 0)).toHaveLength(1);
+  });
+
+  it("el desglose mensual sigue sumando la fila anual", () => {
+    for (const s of [withBattery, { ...withBattery, selfConsumptionMode: "hourly", loadProfile: flatLoad }]) {
+      const m = computeScenario(s, global, "B");
+      const sum = (k) => m.monthlyY1.reduce((a, r) => a + r[k], 0);
+      expect(sum("selfKwh")).toBeCloseTo(m.annuals[0].selfKwh, 4);
+      expect(sum("expKwh")).toBeCloseTo(m.annuals[0].expKwh, 4);
+      expect(sum("savings")).toBeCloseTo(m.annuals[0].savings, 2);
+    }
+  });
+});
@@ -0,0 +1,119 @@
+import { npv, irrAnalysis, paybackPeriod } from "./finance.js";
+import { clampField } from "./schema.js";
+import { createTaxLedger } from "./tax.js";
+
+/* ---------------- Modelos de negocio: compra, crédito, leasing y PPA ---------------- */
+
+export const BUSINESS_MODELS = [
+  { key: "purchase", label: "Compra de contado" },
+  { key: "loan", label: "Compra con crédito" },
+  { key: "lease", label: "Leasing operativo" },
+  { key: "ppa", label: "PPA (COP/kWh)" }
+];
+
+// Métricas de un flujo; `IRR` solo tiene sentido si hay inversión.
+function metrics(cashflows, rate) {
+  const irrInfo = irrAnalysis(cashflows);
+  return {
+    cashflows,
+    investment: Math.max(0, -cashflows[0]),
+    NPV: npv(rate, cashflows),
+    IRR: irrInfo.irr,
+    irrRoots: irrInfo.roots,
+    irrStatus: irrInfo.status,
+    paybackFrac: paybackPeriod(cashflows),
+    firstYear: cashflows[1] ?? 0,
+    total: cashflows.reduce((a, b) => a + b, 0)
+  };
+}
+
+/** Canon de leasing por año (mensual × 12, escalado desde el año 1). */
+export const leasePayments = (s, years) => {
+  const monthly = clampField(s, "leaseMonthly", 0);
+  const esc = clampField(s, "leaseEscalation", 0);
+  return Array.from({ length: years }, (_, i) => 12 * monthly * Math.pow(1 + esc, i));
+};
+
+/** Precio PPA (COP/kWh) por año, escalado desde el año 1. */
+export const ppaPrices = (s, years) => {
+  const price = clampField(s, "ppaPrice", 0);
+  const esc = clampField(s, "ppaEscalation", 0);
+  return Array.from({ length: years }, (_, i) => price * Math.pow(1 + esc, i));
+};
+
+/**
+ * Renta propia del desarrollador por año (modo corporativo; 0 en simple):
+ * tributa solo sobre su ingreso (`revenue`) menos O&M, con la depreciación de
+ * su inversión y la misma deducción especial que el proyecto. El libro corre
+ * en pesos corrientes; `revenue` y el resultado van en `model.basis`.
+ */
+function developerTaxes(model, revenue) {
+  if (!model.taxConfig) return revenue.map(() => 0);
+  const ledger = createTaxLedger({ ...model.taxConfig, baseIncome: 0 });
+  return model.annuals.map((a, i) => {
+    const d = model.deflators?.[a.year] ?? 1;
+    const { tax } = ledger(a.year, {
+      ebitda: (revenue[i] - a.om) * d,
+      investment: (a.year === 1 ? model.capexNeto : 0) + (a.batteryCost + a.capitalCost) * d
+    });
+    return tax / d;
+  });
+}
+
+/**
+ * Compara los cuatro modelos con la misma generación (`model` de
+ * `computeScenario`). En leasing y PPA el desarrollador pone el CAPEX, recibe
+ * los incentivos y paga O&M, batería, eventos de capital y su propia renta
+ * (la del cliente en estos modelos no se calcula: su flujo es antes de renta):
+ * - leasing: el cliente conserva todo el ahorro (autoconsumo y excedentes) y
+ *   paga el canon;
+ * - PPA: el cliente paga el precio PPA por cada kWh autoconsumido en vez de la
+ *   tarifa; los excedentes son del desarrollador.
+ * Ambos contratos duran todo el horizonte del proyecto.
+ *
+ * @returns {{ key: string, label: string, client: object|null, developer: object|null }[]}
+ *   `client`/`developer`: `{ cashflows, investment, NPV, IRR, irrStatus, irrRoots,
+ *   paybackFrac, firstYear, total }`; `client` null en "loan" sin crédito.
+ */
+export function compareBusinessModels(s, model) {
+  const rate = model.discountRate;
+  const years = model.annuals.length;
+  // Los contratos se pactan en pesos corrientes: en base real se deflactan.
+  const deflate = (values) => values.map((v, i) => v / (model.deflators?.[i + 1] ?? 1));
+  const lease = deflate(leasePayments(s, years));
+  const ppa = deflate(ppaPrices(s, years));
+  // Costos del dueño del sistema antes de renta, año a año.
+  const ownerCosts = model.annuals.map((a) => a.om + a.batteryCost + a.capitalCost - a.taxBenefit);
+  const developerFlows = (revenue) => {
+    const taxes = developerTaxes(model, revenue);
+    return revenue.map((r, i) => r - ownerCosts[i] - taxes[i]);
+  };
+  const withYear0 = (year0, values) => [year0, ...values];
+
+  return BUSINESS_MODELS.map(({ key, label }) => {
+    if (key === "purchase") {
+      return { key, label, client: metrics(model.cashflows, rate), developer: null };
+    }
+    if (key === "loan") {
+      return { key, label, client: model.financing ? metrics(model.financing.equityCashflows, rate) : null, developer: null };
+    }
+    if (key === "lease") {
+      const client = model.annuals.map((a, i) => a.savings - lease[i]);
+      const developer = developerFlows(lease);
+      return {
+        key,
+        label,
+        client: metrics(withYear0(0, client), rate),
+        developer: metrics(withYear0(model.cashflows[0], developer), rate)
+      };
+    }
+    const client = model.annuals.map((a, i) => a.selfKwh * (a.tariff - ppa[i]));
+    const developer = developerFlows(model.annuals.map((a, i) => a.selfKwh * ppa[i] + a.revenueExp));
+    return {
+      key,
+      label,
+      client: metrics(withYear0(0, client), rate),
+      developer: metrics(withYear0(model.cashflows[0], developer), rate)
+    };
+  });
+}
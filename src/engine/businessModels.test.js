@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { compareBusinessModels, leasePayments, ppaPrices } from "./businessModels.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const global = defaultGlobal();
+const base = {
+  ...defaultScenario("Base", "#3b82f6", "B"),
+  capitalEvents: [{ year: 12, description: "Inversor", cost: 8000000 }]
+};
+const byKey = (rows) => Object.fromEntries(rows.map((r) => [r.key, r]));
+
+describe("leasePayments / ppaPrices", () => {
+  it("escalan desde el año 1", () => {
+    const s = { leaseMonthly: 1000, leaseEscalation: 0.1, ppaPrice: 500, ppaEscalation: 0.05 };
+    expect(leasePayments(s, 3)).toEqual([12000, 13200, 14520].map((v) => expect.closeTo(v, 6)));
+    expect(ppaPrices(s, 2)).toEqual([500, 525].map((v) => expect.closeTo(v, 9)));
+  });
+});
+
+describe("compareBusinessModels", () => {
+  const model = computeScenario(base, global, "B");
+  const rows = byKey(compareBusinessModels(base, model));
+
+  it("compra de contado = flujo del proyecto; crédito solo si está configurado", () => {
+    expect(rows.purchase.client.NPV).toBe(model.NPV);
+    expect(rows.purchase.developer).toBeNull();
+    expect(rows.loan.client).toBeNull();
+
+    const financed = { ...base, loanShare: 0.6 };
+    const m = computeScenario(financed, global, "B");
+    expect(byKey(compareBusinessModels(financed, m)).loan.client.NPV).toBeCloseTo(m.financing.NPV, 6);
+  });
+
+  it("leasing y PPA reparten el flujo del proyecto entre cliente y desarrollador", () => {
+    for (const key of ["lease", "ppa"]) {
+      const { client, developer } = rows[key];
+      expect(client.investment).toBe(0);
+      expect(developer.cashflows[0]).toBe(model.cashflows[0]);
+      client.cashflows.forEach((cf, t) => expect(cf + developer.cashflows[t]).toBeCloseTo(model.cashflows[t], 4));
+      expect(client.NPV + developer.NPV).toBeCloseTo(model.NPV, 3);
+    }
+  });
+
+  it("el ahorro del cliente con PPA es (tarifa − precio PPA) × autoconsumo", () => {
+    const y1 = model.annuals[0];
+    expect(rows.ppa.client.firstYear).toBeCloseTo(y1.selfKwh * (y1.tariff - base.ppaPrice), 4);
+    expect(rows.lease.client.firstYear).toBeCloseTo(y1.savings - 12 * base.leaseMonthly, 4);
+  });
+
+  it("en base real los contratos se deflactan y los VPN no cambian", () => {
+    const realModel = computeScenario(base, { ...global, realTerms: true }, "B");
+    const r = byKey(compareBusinessModels(base, realModel));
+    for (const key of ["lease", "ppa"]) {
+      expect(r[key].client.NPV).toBeCloseTo(rows[key].client.NPV, 3);
+      expect(r[key].developer.NPV).toBeCloseTo(rows[key].developer.NPV, 3);
+    }
+  });
+
+  it("un precio PPA mayor pasa valor del cliente al desarrollador", () => {
+    const pricier = { ...base, ppaPrice: 1000 };
+    const p = byKey(compareBusinessModels(pricier, computeScenario(pricier, global, "B"))).ppa;
+    expect(p.client.NPV).toBeLessThan(rows.ppa.client.NPV);
+    expect(p.developer.NPV).toBeGreaterThan(rows.ppa.developer.NPV);
+  });
+
+  describe("modo corporativo: el desarrollador tributa sobre su propio ingreso", () => {
+    const corp = { ...base, taxMode: "corporate", depreciationYears: 3 };
+    const lease = (leaseMonthly, g = global) => {
+      const s = { ...corp, leaseMonthly };
+      return byKey(compareBusinessModels(s, computeScenario(s, g, "B"))).lease;
+    };
+
+    it("sin ingreso no paga la renta del cliente", () => {
+      const m = computeScenario(corp, global, "B");
+      const { developer } = lease(0);
+      m.annuals.forEach((a) =>
+        expect(developer.cashflows[a.year]).toBeCloseTo(-(a.om + a.batteryCost + a.capitalCost), 4)
+      );
+    });
+
+    it("fuera de la depreciación y la deducción, cada peso de canon deja (1 − tarifa)", () => {
+      const y = 20;
+      const low = lease(1000000).developer.cashflows[y];
+      const high = lease(1100000).developer.cashflows[y];
+      const extra = 12 * 100000 * Math.pow(1 + corp.leaseEscalation, y - 1);
+      expect(high - low).toBeCloseTo(extra * (1 - corp.taxRate), 2);
+    });
+
+    it("en base real el VPN del desarrollador no cambia", () => {
+      const nominal = lease(1200000);
+      const real = lease(1200000, { ...global, realTerms: true });
+      expect(real.developer.NPV).toBeCloseTo(nominal.developer.NPV, 2);
+    });
+  });
+});
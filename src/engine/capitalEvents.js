@@ -0,0 +1,40 @@
+/* ---------------- Eventos de capital ---------------- */
+
+/** Año máximo de un evento (mismo tope que `lifeYears`). */
+export const MAX_EVENT_YEAR = 60;
+
+const isEvent = (e) =>
+  e != null &&
+  typeof e === "object" &&
+  Number.isInteger(e.year) &&
+  e.year >= 1 &&
+  e.year <= MAX_EVENT_YEAR &&
+  typeof e.cost === "number" &&
+  Number.isFinite(e.cost) &&
+  (e.escalation == null || (typeof e.escalation === "number" && Number.isFinite(e.escalation))) &&
+  (e.description == null || typeof e.description === "string");
+
+/** true si `list` es un arreglo de eventos `{ year, description, cost, escalation? }`. */
+export const isCapitalEvents = (list) => Array.isArray(list) && list.every(isEvent);
+
+/** Evento nuevo para el editor: reemplazo de inversor en el año 12. */
+export const defaultCapitalEvent = () => ({ year: 12, description: "Reemplazo de inversor", cost: 8000000, escalation: 0 });
+
+/**
+ * Costo del evento en el año en que ocurre: `cost` está en pesos de hoy y
+ * crece con `escalation` anual hasta `year`.
+ */
+export const eventCost = (e) => e.cost * Math.pow(1 + (e.escalation ?? 0), e.year);
+
+/**
+ * Eventos dentro del horizonte, ordenados por año y con su costo escalado.
+ *
+ * @returns {{ year: number, description: string, cost: number }[]}
+ */
+export function scheduleCapitalEvents(events, years) {
+  if (!isCapitalEvents(events)) return [];
+  return events
+    .filter((e) => e.year <= years)
+    .map((e) => ({ year: e.year, description: e.description || "", cost: eventCost(e) }))
+    .sort((a, b) => a.year - b.year);
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { isCapitalEvents, eventCost, scheduleCapitalEvents } from "./capitalEvents.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const global = defaultGlobal();
+const base = defaultScenario("Base", "#3b82f6", "B");
+
+describe("isCapitalEvents", () => {
+  it("acepta eventos con año entero 1–60 y costo numérico", () => {
+    expect(isCapitalEvents([])).toBe(true);
+    expect(isCapitalEvents([{ year: 12, description: "Inversor", cost: 8e6, escalation: 0.04 }])).toBe(true);
+    expect(isCapitalEvents([{ year: 12.5, cost: 1 }])).toBe(false);
+    expect(isCapitalEvents([{ year: 61, cost: 1 }])).toBe(false);
+    expect(isCapitalEvents([{ year: 3, cost: "1" }])).toBe(false);
+    expect(isCapitalEvents(null)).toBe(false);
+  });
+});
+
+describe("scheduleCapitalEvents", () => {
+  it("escala el costo hasta el año del evento", () => {
+    expect(eventCost({ year: 10, cost: 100 })).toBe(100);
+    expect(eventCost({ year: 2, cost: 100, escalation: 0.1 })).toBeCloseTo(121, 9);
+  });
+
+  it("ordena por año y deja fuera lo que cae después del horizonte", () => {
+    const events = [
+      { year: 30, description: "Fuera", cost: 1 },
+      { year: 15, description: "Inversor 2", cost: 2 },
+      { year: 5, description: "Ampliación", cost: 3 }
+    ];
+    expect(scheduleCapitalEvents(events, 25).map((e) => e.year)).toEqual([5, 15]);
+    expect(scheduleCapitalEvents("x", 25)).toEqual([]);
+  });
+});
+
+describe("computeScenario con eventos de capital", () => {
+  const cost = 8000000;
+  const withEvent = { ...base, capitalEvents: [{ year: 12, description: "Reemplazo de inversor", cost, escalation: 0.05 }] };
+  const plain = computeScenario(base, global, "B");
+  const m = computeScenario(withEvent, global, "B");
+  const escalated = cost * Math.pow(1.05, 12);
+
+  it("resta el costo escalado del flujo neto de su año", () => {
+    expect(m.annuals[11].capitalCost).toBeCloseTo(escalated, 6);
+    expect(m.annuals[11].net).toBeCloseTo(plain.annuals[11].net - escalated, 6);
+    expect(m.annuals.filter((r) => r.capitalCost > 0)).toHaveLength(1);
+    expect(m.capitalEvents).toEqual([{ year: 12, description: "Reemplazo de inversor", cost: escalated }]);
+  });
+
+  it("el VPN baja en el valor presente del desembolso", () => {
+    const pv = escalated / Math.pow(1 + m.discountRate, 12);
+    expect(plain.NPV - m.NPV).toBeCloseTo(pv, 4);
+    expect(m.lcoe).toBeGreaterThan(plain.lcoe);
+  });
+
+  it("un desembolso que vuelve negativo el acumulado retrasa el payback", () => {
+    const year = plain.payback + 1;
+    const cumAt = plain.annuals[year - 1].cum;
+    const dip = computeScenario({ ...base, capitalEvents: [{ year, description: "Ampliación", cost: cumAt + 1 }] }, global, "B");
+    expect(dip.annuals[year - 1].cum).toBeCloseTo(-1, 4);
+    expect(dip.payback).toBe(year + 1);
+  });
+});
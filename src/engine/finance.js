@@ -0,0 +1,169 @@
+/* ---------------- Matemática financiera ---------------- */
+
+/**
+ * Valor presente neto. `cashflows[0]` es el año 0 (sin descontar).
+ */
+export function npv(rate, cashflows) {
+  return cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
+}
+
+/* ---------------- TIR ---------------- */
+const IRR_MIN = -0.99;
+const IRR_MAX = 5.0;
+
+// Malla para buscar cambios de signo del VPN: fina hasta 100%, gruesa después.
+const IRR_GRID = (() => {
+  const g = [];
+  for (let r = IRR_MIN; r < 1; r += 0.01) g.push(r);
+  for (let r = 1; r <= IRR_MAX + 1e-9; r += 0.05) g.push(r);
+  return g;
+})();
+
+/** Cambios de signo en la secuencia de flujos (ignorando ceros). */
+export function signChanges(cashflows) {
+  let changes = 0;
+  let prev = 0;
+  for (const cf of cashflows) {
+    if (cf === 0) continue;
+    if (prev !== 0 && Math.sign(cf) !== Math.sign(prev)) changes++;
+    prev = cf;
+  }
+  return changes;
+}
+
+// Bisección en [low, high] (con cambio de signo). `converged` = el VPN en la
+// raíz es despreciable frente al tamaño de los flujos.
+function bisect(cashflows, low, high, tol) {
+  let fLow = npv(low, cashflows);
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const v = npv(mid, cashflows);
+    if (v === 0 || high - low < 1e-12) {
+      return { root: mid, converged: Math.abs(v) <= tol };
+    }
+    if (fLow * v > 0) {
+      low = mid;
+      fLow = v;
+    } else {
+      high = mid;
+    }
+  }
+  const root = (low + high) / 2;
+  return { root, converged: Math.abs(npv(root, cashflows)) <= tol };
+}
+
+/**
+ * Análisis de TIR en [-0.99, 5]:
+ * - `status`: "ok" (una raíz), "multiple" (varias; la TIR es ambigua),
+ *   "no-sign-change" (el flujo no cambia de signo), "no-root" (sin raíz en el
+ *   intervalo) o "no-convergence".
+ * - `irr`: la TIR si `status === "ok"`, si no null.
+ * - `roots`: todas las raíces encontradas, ascendentes.
+ */
+export function irrAnalysis(cashflows) {
+  const changes = signChanges(cashflows);
+  if (changes === 0) return { irr: null, roots: [], signChanges: 0, status: "no-sign-change" };
+
+  const tol = 1e-6 * Math.max(1, cashflows.reduce((acc, cf) => acc + Math.abs(cf), 0));
+
+  // Con un solo cambio de signo (regla de Descartes) hay a lo sumo una raíz.
+  const grid = changes === 1 ? [IRR_MIN, IRR_MAX] : IRR_GRID;
+
+  const roots = [];
+  let converged = true;
+  let fPrev = npv(grid[0], cashflows);
+  for (let k = 1; k < grid.length; k++) {
+    const f = npv(grid[k], cashflows);
+    if (!Number.isFinite(f) || !Number.isFinite(fPrev)) {
+      fPrev = f;
+      continue;
+    }
+    if (f === 0) roots.push(grid[k]);
+    else if (fPrev !== 0 && fPrev * f < 0) {
+      const r = bisect(cashflows, grid[k - 1], grid[k], tol);
+      roots.push(r.root);
+      converged = converged && r.converged;
+    }
+    fPrev = f;
+  }
+
+  if (!converged) return { irr: null, roots, signChanges: changes, status: "no-convergence" };
+  if (roots.length === 0) return { irr: null, roots, signChanges: changes, status: "no-root" };
+  if (roots.length > 1) return { irr: null, roots, signChanges: changes, status: "multiple" };
+  return { irr: roots[0], roots, signChanges: changes, status: "ok" };
+}
+
+/**
+ * TIR única en [-0.99, 5], o null si no existe, no converge o hay varias
+ * raíces (ver `irrAnalysis`).
+ */
+export function irr(cashflows) {
+  return irrAnalysis(cashflows).irr;
+}
+
+/**
+ * TIR modificada: negativos traídos a valor presente a `financeRate` y
+ * positivos llevados al último año a `reinvestRate` (convención de Excel
+ * TIRM). Null si no hay flujos de ambos signos.
+ */
+export function mirr(cashflows, financeRate, reinvestRate) {
+  const n = cashflows.length - 1;
+  if (n < 1) return null;
+  let pvNeg = 0;
+  let fvPos = 0;
+  cashflows.forEach((cf, t) => {
+    if (cf < 0) pvNeg += cf / Math.pow(1 + financeRate, t);
+    else fvPos += cf * Math.pow(1 + reinvestRate, n - t);
+  });
+  if (pvNeg === 0 || fvPos === 0) return null;
+  return Math.pow(fvPos / -pvNeg, 1 / n) - 1;
+}
+
+// Último año con acumulado < 0 (-1 si nunca lo es) y el acumulado en ese año.
+function lastNegative(cashflows) {
+  let cum = 0;
+  let last = -1;
+  let cumAtLast = 0;
+  for (let t = 0; t < cashflows.length; t++) {
+    cum += cashflows[t];
+    if (cum < 0) {
+      last = t;
+      cumAtLast = cum;
+    }
+  }
+  return { last, cumAtLast };
+}
+
+/**
+ * Año desde el cual el flujo acumulado (sin descontar) queda >= 0. Si un
+ * desembolso posterior (reemplazo, ampliación) lo vuelve negativo, cuenta
+ * la recuperación definitiva. Null si termina negativo.
+ */
+export function paybackYear(cashflows) {
+  const { last } = lastNegative(cashflows);
+  return last === cashflows.length - 1 ? null : last + 1;
+}
+
+/**
+ * Payback fraccional: interpola dentro del año en que el acumulado cruza a
+ * >= 0 por última vez (p. ej. 6.4 años). null si no recupera.
+ */
+export function paybackPeriod(cashflows) {
+  const { last, cumAtLast } = lastNegative(cashflows);
+  if (last === cashflows.length - 1) return null;
+  const t = last + 1;
+  return t === 0 ? 0 : t - 1 + -cumAtLast / cashflows[t];
+}
+
+/** Flujos traídos a valor presente (año 0 sin descontar). */
+export function discountCashflows(rate, cashflows) {
+  return cashflows.map((cf, t) => cf / Math.pow(1 + rate, t));
+}
+
+/**
+ * Payback descontado: año entero y fraccional sobre los flujos descontados.
+ */
+export function discountedPayback(rate, cashflows) {
+  const discounted = discountCashflows(rate, cashflows);
+  return { year: paybackYear(discounted), period: paybackPeriod(discounted) };
+}
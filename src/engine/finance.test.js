@@ -0,0 +1,175 @@
+import { describe, it, expect } from "vitest";
+import {
+  npv,
+  irr,
+  irrAnalysis,
+  signChanges,
+  mirr,
+  paybackYear,
+  paybackPeriod,
+  discountCashflows,
+  discountedPayback
+} from "./finance.js";
+
+describe("npv", () => {
+  it("descuenta cada flujo desde el año 0", () => {
+    expect(npv(0.1, [-100, 60, 60])).toBeCloseTo(4.132231, 5);
+  });
+
+  it("con tasa 0 es la suma simple", () => {
+    expect(npv(0, [-100, 30, 30, 30, 30])).toBe(20);
+  });
+
+  it("flujo vacío vale 0", () => {
+    expect(npv(0.12, [])).toBe(0);
+  });
+});
+
+describe("irr", () => {
+  it("resuelve el caso de dos periodos", () => {
+    // 60x + 60x² = 100 → x = (−1 + √(23/3)) / 2
+    const x = (-1 + Math.sqrt(23 / 3)) / 2;
+    expect(irr([-100, 60, 60])).toBeCloseTo(1 / x - 1, 5);
+  });
+
+  it("coincide con la anualidad clásica (Excel TIR = 15,24%)", () => {
+    expect(irr([-1000, 300, 300, 300, 300, 300])).toBeCloseTo(0.152382, 5);
+  });
+
+  it("el VPN a la TIR es ~0", () => {
+    const cf = [-64727982, 9000000, 9500000, 10000000, 10500000, 11000000, 11500000, 12000000];
+    const r = irr(cf);
+    expect(Math.abs(npv(r, cf))).toBeLessThan(1);
+  });
+
+  it("devuelve null sin cambio de signo", () => {
+    expect(irr([100, 50, 50])).toBeNull();
+    expect(irr([-100, -50, -50])).toBeNull();
+    expect(irr([0, 0, 0])).toBeNull();
+  });
+
+  it("devuelve null si la raíz queda fuera del intervalo", () => {
+    expect(irr([-1, 1000])).toBeNull();
+  });
+});
+
+describe("irrAnalysis", () => {
+  it("una raíz con un solo cambio de signo", () => {
+    const a = irrAnalysis([-1000, 300, 300, 300, 300, 300]);
+    expect(a.status).toBe("ok");
+    expect(a.signChanges).toBe(1);
+    expect(a.irr).toBeCloseTo(0.152382, 6);
+  });
+
+  it("detecta múltiples raíces (reemplazo de inversor a mitad de vida)", () => {
+    // −100 + 230/(1+r) − 132/(1+r)² = 0 → r = 10% y 20%
+    const a = irrAnalysis([-100, 230, -132]);
+    expect(a.status).toBe("multiple");
+    expect(a.irr).toBeNull();
+    expect(a.roots).toHaveLength(2);
+    expect(a.roots[0]).toBeCloseTo(0.1, 8);
+    expect(a.roots[1]).toBeCloseTo(0.2, 8);
+    expect(irr([-100, 230, -132])).toBeNull();
+  });
+
+  it("varios cambios de signo pero una sola raíz", () => {
+    const a = irrAnalysis([-1000, 400, 400, -100, 400, 400]);
+    expect(a.signChanges).toBe(3);
+    expect(a.status).toBe("ok");
+    expect(Math.abs(npv(a.irr, [-1000, 400, 400, -100, 400, 400]))).toBeLessThan(1e-3);
+  });
+
+  it("reporta explícitamente la falta de raíz o de cambio de signo", () => {
+    expect(irrAnalysis([100, 50]).status).toBe("no-sign-change");
+    expect(irrAnalysis([-1, 1000]).status).toBe("no-root");
+  });
+});
+
+describe("signChanges", () => {
+  it("ignora los ceros", () => {
+    expect(signChanges([-1, 0, 2, 0, -3, 4])).toBe(3);
+    expect(signChanges([0, 0])).toBe(0);
+  });
+});
+
+describe("mirr", () => {
+  it("coincide con TIRM de Excel", () => {
+    const cf = [-120000, 39000, 30000, 21000, 37000, 46000];
+    expect(mirr(cf, 0.1, 0.12)).toBeCloseTo(0.1260941, 6);
+  });
+
+  it("descuenta los negativos posteriores a la tasa de financiación", () => {
+    const cf = [-100, 230, -132];
+    const fv = 230 * 1.1;
+    const pv = 100 + 132 / 1.08 ** 2;
+    expect(mirr(cf, 0.08, 0.1)).toBeCloseTo(Math.sqrt(fv / pv) - 1, 12);
+  });
+
+  it("null sin flujos de ambos signos", () => {
+    expect(mirr([100, 10], 0.1, 0.1)).toBeNull();
+    expect(mirr([-100], 0.1, 0.1)).toBeNull();
+  });
+});
+
+describe("paybackYear", () => {
+  it("primer año con acumulado >= 0", () => {
+    expect(paybackYear([-100, 30, 30, 30, 30])).toBe(4);
+    expect(paybackYear([-100, 50, 50])).toBe(2);
+  });
+
+  it("sin inversión recupera en el año 0", () => {
+    expect(paybackYear([0, 10, 10])).toBe(0);
+  });
+
+  it("null si no recupera dentro del horizonte", () => {
+    expect(paybackYear([-100, 10, 10])).toBeNull();
+  });
+
+  it("cuenta la recuperación definitiva si un desembolso vuelve negativo el acumulado", () => {
+    expect(paybackYear([-100, 60, 60, -80, 50, 60])).toBe(5);
+    expect(paybackYear([-100, 60, 60, -80, 30])).toBeNull();
+  });
+});
+
+describe("paybackPeriod", () => {
+  it("interpola dentro del año de recuperación", () => {
+    expect(paybackPeriod([-100, 30, 30, 30, 30])).toBeCloseTo(10 / 3 + 0, 9);
+    expect(paybackPeriod([-100, 50, 50])).toBe(2);
+    expect(paybackPeriod([-100, 60, 60])).toBeCloseTo(1 + 40 / 60, 9);
+  });
+
+  it("0 sin inversión y null sin recuperación", () => {
+    expect(paybackPeriod([0, 10])).toBe(0);
+    expect(paybackPeriod([-100, 10, 10])).toBeNull();
+  });
+
+  it("interpola en el último cruce a >= 0", () => {
+    // Acumulado: -100, -40, 20, -60, 0 → recupera al cerrar el año 4.
+    expect(paybackPeriod([-100, 60, 60, -80, 60])).toBe(4);
+    expect(paybackPeriod([-100, 60, 60, -80, 120])).toBeCloseTo(3.5, 9);
+  });
+});
+
+describe("discountedPayback", () => {
+  it("descuenta antes de acumular", () => {
+    const d = discountCashflows(0.1, [-100, 110, 121]);
+    expect(d[0]).toBe(-100);
+    expect(d[1]).toBeCloseTo(100, 9);
+    expect(d[2]).toBeCloseTo(100, 9);
+    const { year, period } = discountedPayback(0.1, [-100, 66, 60.5]);
+    expect(year).toBe(2);
+    expect(period).toBeCloseTo(1.8, 9);
+  });
+
+  it("tarda más que el payback simple", () => {
+    const cf = [-1000, 300, 300, 300, 300, 300];
+    const { year, period } = discountedPayback(0.1, cf);
+    expect(year).toBe(5);
+    expect(period).toBeGreaterThan(paybackPeriod(cf));
+    expect(period).toBeCloseTo(4 + (1000 - 300 * 3.169865) / (300 / 1.61051), 4);
+  });
+
+  it("null si no recupera en valor presente", () => {
+    expect(discountedPayback(0.5, [-100, 60, 60])).toEqual({ year: null, period: null });
+  });
+});
@@ -0,0 +1,96 @@
+import { npv, irrAnalysis, paybackPeriod } from "./finance.js";
+
+/* ---------------- Financiación con deuda ---------------- */
+
+export const AMORTIZATION_METHODS = ["french", "german"];
+
+/**
+ * Tabla de amortización anual. Los años de gracia pagan solo intereses y
+ * cuentan dentro del plazo; el capital se amortiza en los años restantes
+ * con cuota fija ("french") o abono a capital constante ("german").
+ *
+ * @param {{ principal: number, rate: number, termYears: number, graceYears?: number,
+ *   method?: "french"|"german" }} p
+ * @returns {{ year: number, opening: number, interest: number, principal: number,
+ *   payment: number, closing: number }[]}
+ */
+export function amortizationSchedule({ principal, rate, termYears, graceYears = 0, method = "french" }) {
+  const term = Math.max(1, Math.round(termYears));
+  const grace = Math.min(Math.max(0, Math.round(graceYears)), term - 1);
+  const n = term - grace;
+  const frenchPayment =
+    rate > 0 ? (principal * rate) / (1 - Math.pow(1 + rate, -n)) : principal / n;
+
+  const rows = [];
+  let balance = principal;
+  for (let year = 1; year <= term; year++) {
+    const interest = balance * rate;
+    let amort = 0;
+    if (year > grace) {
+      amort = method === "german" ? principal / n : frenchPayment - interest;
+      // El último año cierra el saldo (sin residuos de redondeo).
+      if (year === term) amort = balance;
+    }
+    const closing = balance - amort;
+    rows.push({ year, opening: balance, interest, principal: amort, payment: interest + amort, closing });
+    balance = closing;
+  }
+  return rows;
+}
+
+/**
+ * Flujos del inversionista con un crédito por `loanShare` de la inversión
+ * del año 0 (CAPEX neto). La comisión de apertura se paga en el año 0 con
+ * recursos propios; el plazo se recorta al horizonte del proyecto.
+ * DSCR = flujo del proyecto / servicio de la deuda en los años con cuota.
+ * La tabla y el DSCR son nominales (el crédito se pacta en pesos
+ * corrientes); con `deflators` los flujos del inversionista y sus métricas
+ * pasan a base real.
+ *
+ * @param {number[]} cashflows Flujos nominales del proyecto (año 0 negativo).
+ * @param {{ loanShare: number, loanRate: number, loanTermYears: number, loanGraceYears: number,
+ *   loanAmortization: string, loanFeeRate: number, discountRate: number, deflators?: number[] }} p
+ */
+export function financeCashflows(
+  cashflows,
+  { loanShare, loanRate, loanTermYears, loanGraceYears, loanAmortization, loanFeeRate, discountRate, deflators }
+) {
+  const investment = Math.max(0, -cashflows[0]);
+  const loan = investment * loanShare;
+  const fee = loan * loanFeeRate;
+  const schedule = amortizationSchedule({
+    principal: loan,
+    rate: loanRate,
+    termYears: Math.min(loanTermYears, cashflows.length - 1),
+    graceYears: loanGraceYears,
+    method: loanAmortization
+  });
+
+  const equityCashflows = cashflows.map((cf, t) => {
+    const nominal = t === 0 ? cf + loan - fee : cf - (schedule[t - 1]?.payment ?? 0);
+    return nominal / (deflators?.[t] ?? 1);
+  });
+
+  const dscr = schedule
+    .filter((r) => r.payment > 0)
+    .map((r) => ({ year: r.year, cfads: cashflows[r.year], debtService: r.payment, dscr: cashflows[r.year] / r.payment }));
+  const minDscr = dscr.length ? dscr.reduce((a, r) => (r.dscr < a.dscr ? r : a)) : null;
+
+  const irrInfo = irrAnalysis(equityCashflows);
+  return {
+    loan,
+    fee,
+    equity0: -equityCashflows[0],
+    schedule,
+    totalInterest: schedule.reduce((a, r) => a + r.interest, 0),
+    equityCashflows,
+    NPV: npv(discountRate, equityCashflows),
+    IRR: irrInfo.irr,
+    irrRoots: irrInfo.roots,
+    irrStatus: irrInfo.status,
+    paybackFrac: paybackPeriod(equityCashflows),
+    dscr,
+    minDscr: minDscr?.dscr ?? null,
+    minDscrYear: minDscr?.year ?? null
+  };
+}
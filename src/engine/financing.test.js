@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { amortizationSchedule, financeCashflows } from "./financing.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal, validateScenario } from "./schema.js";
+
+const global = defaultGlobal();
+const base = defaultScenario("Base", "#3b82f6", "B");
+const sum = (rows, k) => rows.reduce((a, r) => a + r[k], 0);
+
+describe("amortizationSchedule", () => {
+  it("francés: cuota fija que cancela el saldo", () => {
+    const rows = amortizationSchedule({ principal: 1000, rate: 0.1, termYears: 3 });
+    expect(rows).toHaveLength(3);
+    for (const r of rows) expect(r.payment).toBeCloseTo(402.1148, 4);
+    expect(rows[2].closing).toBe(0);
+    expect(sum(rows, "principal")).toBeCloseTo(1000, 9);
+  });
+
+  it("alemán: abono a capital constante e intereses decrecientes", () => {
+    const rows = amortizationSchedule({ principal: 1200, rate: 0.1, termYears: 4, method: "german" });
+    expect(rows.map((r) => r.principal)).toEqual([300, 300, 300, 300]);
+    expect(rows.map((r) => r.interest)).toEqual([120, 90, 60, 30].map((v) => expect.closeTo(v, 9)));
+  });
+
+  it("gracia: solo intereses y el capital en los años restantes del plazo", () => {
+    const rows = amortizationSchedule({ principal: 1000, rate: 0.1, termYears: 5, graceYears: 2, method: "german" });
+    expect(rows.slice(0, 2).map((r) => r.payment)).toEqual([100, 100]);
+    expect(rows.slice(2).map((r) => r.principal)).toEqual([1000 / 3, 1000 / 3, 1000 / 3].map((v) => expect.closeTo(v, 9)));
+  });
+
+  it("sin interés reparte el capital en partes iguales", () => {
+    const rows = amortizationSchedule({ principal: 900, rate: 0, termYears: 3 });
+    expect(rows.map((r) => r.payment)).toEqual([300, 300, 300]);
+  });
+});
+
+describe("financeCashflows", () => {
+  const cashflows = [-1000, 400, 400, 400, 400];
+  const f = financeCashflows(cashflows, {
+    loanShare: 0.6,
+    loanRate: 0.1,
+    loanTermYears: 2,
+    loanGraceYears: 0,
+    loanAmortization: "german",
+    loanFeeRate: 0.02,
+    discountRate: 0.1
+  });
+
+  it("aporte propio = inversión − crédito + comisión; resta el servicio de la deuda", () => {
+    expect(f.loan).toBe(600);
+    expect(f.fee).toBeCloseTo(12, 9);
+    expect(f.equity0).toBeCloseTo(412, 9);
+    expect(f.equityCashflows.slice(1)).toEqual([400 - 360, 400 - 330, 400, 400].map((v) => expect.closeTo(v, 9)));
+    expect(f.totalInterest).toBeCloseTo(90, 9);
+  });
+
+  it("DSCR por año con cuota y el mínimo", () => {
+    expect(f.dscr.map((r) => r.year)).toEqual([1, 2]);
+    expect(f.dscr[0].dscr).toBeCloseTo(400 / 360, 9);
+    expect(f.minDscr).toBeCloseTo(400 / 360, 9);
+    expect(f.minDscrYear).toBe(1);
+  });
+
+  it("recorta el plazo al horizonte del proyecto", () => {
+    const long = financeCashflows([-100, 50, 50, 50], { loanShare: 1, loanRate: 0.1, loanTermYears: 10, loanGraceYears: 0, loanAmortization: "french", loanFeeRate: 0, discountRate: 0.1 });
+    expect(long.schedule).toHaveLength(3);
+    expect(long.schedule[2].closing).toBe(0);
+  });
+});
+
+describe("computeScenario con crédito", () => {
+  it("sin crédito no hay financiación", () => {
+    expect(computeScenario(base, global, "B").financing).toBeNull();
+  });
+
+  it("no cambia el VPN del proyecto y apalanca la TIR del inversionista", () => {
+    const plain = computeScenario(base, global, "B");
+    const m = computeScenario({ ...base, loanShare: 0.7, loanRate: 0.1, loanTermYears: 7 }, global, "B");
+    expect(m.NPV).toBe(plain.NPV);
+    expect(m.financing.loan).toBeCloseTo(0.7 * m.capexNeto, 6);
+    expect(m.financing.IRR).toBeGreaterThan(m.IRR);
+    expect(m.financing.dscr).toHaveLength(7);
+    expect(m.financing.minDscr).toBe(Math.min(...m.financing.dscr.map((r) => r.dscr)));
+  });
+
+  it("valida el método de amortización", () => {
+    expect(validateScenario({ loanAmortization: "bullet" }).map((i) => i.field)).toEqual(["loanAmortization"]);
+    expect(validateScenario({ loanAmortization: "german" })).toEqual([]);
+  });
+});
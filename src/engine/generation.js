@@ -0,0 +1,46 @@
+/* ---------------- Generación FV ---------------- */
+
+/**
+ * Energía generada en el año `year` (1..N) con degradación compuesta.
+ */
+export function yearlyGenerationKwh({ kW, psh, pr, deg, year }) {
+  const base = kW * psh * 365 * pr;
+  const factor = Math.pow(1 - deg, year - 1);
+  return base * factor;
+}
+
+/* ---------------- Generación mensual ---------------- */
+
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/** true si `p` son 12 HSP mensuales (números finitos ≥ 0). */
+export const isMonthlyPsh = (p) =>
+  Array.isArray(p) && p.length === 12 && p.every((v) => typeof v === "number" && Number.isFinite(v) && v >= 0);
+
+/** HSP anual equivalente: promedio de los meses ponderado por días. */
+export const averagePsh = (pshMonthly) =>
+  pshMonthly.reduce((acc, v, m) => acc + v * DAYS_IN_MONTH[m], 0) / 365;
+
+/**
+ * Energía de cada mes del año `year`. La tabla `pshMonthly` da la forma
+ * estacional y se escala para que su promedio sea `psh`: así el total anual
+ * coincide con `yearlyGenerationKwh` y los análisis que mueven `psh`
+ * (tornado, Monte Carlo) siguen aplicando.
+ *
+ * @returns {number[]} 12 valores en kWh.
+ */
+export function monthlyGenerationKwh({ kW, psh, pshMonthly, pr, deg, year }) {
+  const avg = pshMonthly ? averagePsh(pshMonthly) : 0;
+  const factor = Math.pow(1 - deg, year - 1);
+  return DAYS_IN_MONTH.map((days, m) => {
+    const pshM = avg > 0 ? (pshMonthly[m] * psh) / avg : psh;
+    return kW * pshM * days * pr * factor;
+  });
+}
+
+/** Tabla mensual escalada para que su promedio sea `psh` (3 decimales). */
+export function scaleMonthlyPsh(pshMonthly, psh) {
+  const avg = averagePsh(pshMonthly);
+  const k = avg > 0 ? psh / avg : 0;
+  return pshMonthly.map((v) => (avg > 0 ? Math.round(v * k * 1000) / 1000 : psh));
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  yearlyGenerationKwh,
+  monthlyGenerationKwh,
+  averagePsh,
+  isMonthlyPsh,
+  scaleMonthlyPsh,
+  DAYS_IN_MONTH
+} from "./generation.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal, validateScenario } from "./schema.js";
+import { simulateHourlyByMonth, seasonalSolar } from "./hourly.js";
+
+const SEASONAL = [4.6, 4.7, 4.5, 4.0, 3.8, 4.1, 4.6, 4.7, 4.3, 3.7, 3.6, 4.1];
+
+describe("generación mensual", () => {
+  it("HSP anual = promedio ponderado por días", () => {
+    expect(averagePsh(new Array(12).fill(4))).toBeCloseTo(4, 12);
+    expect(DAYS_IN_MONTH.reduce((a, b) => a + b, 0)).toBe(365);
+  });
+
+  it("los meses suman el año y siguen la forma de la tabla", () => {
+    const input = { kW: 10, psh: 4.2, pr: 0.8, deg: 0.005, year: 3 };
+    const months = monthlyGenerationKwh({ ...input, pshMonthly: SEASONAL });
+    expect(months.reduce((a, b) => a + b, 0)).toBeCloseTo(yearlyGenerationKwh(input), 6);
+    // Por día, enero (4.6) genera más que noviembre (3.6).
+    expect(months[0] / 31).toBeGreaterThan(months[10] / 30);
+    expect((months[0] / 31) / (months[10] / 30)).toBeCloseTo(4.6 / 3.6, 9);
+  });
+
+  it("sin tabla reparte el HSP anual por días", () => {
+    const months = monthlyGenerationKwh({ kW: 1, psh: 4, pr: 1, deg: 0, year: 1, pshMonthly: null });
+    expect(months[1]).toBeCloseTo(4 * 28, 12);
+  });
+
+  it("escala la tabla a un nuevo promedio", () => {
+    const t = scaleMonthlyPsh(SEASONAL, 5);
+    expect(averagePsh(t)).toBeCloseTo(5, 2);
+    expect(t[0] / t[10]).toBeCloseTo(4.6 / 3.6, 2);
+    expect(scaleMonthlyPsh(new Array(12).fill(0), 4)).toEqual(new Array(12).fill(4));
+  });
+
+  it("valida la tabla", () => {
+    expect(isMonthlyPsh(SEASONAL)).toBe(true);
+    expect(isMonthlyPsh([1, 2])).toBe(false);
+    expect(isMonthlyPsh(new Array(12).fill(-1))).toBe(false);
+    expect(validateScenario({ pshMode: "mensual", pshMonthly: [1] }).map((i) => i.field)).toEqual(["pshMode", "pshMonthly"]);
+  });
+});
+
+describe("computeScenario en modo mensual", () => {
+  const global = defaultGlobal();
+  const base = { ...defaultScenario("Base", "#3b82f6", "B"), psh: averagePsh(SEASONAL) };
+  const monthly = { ...base, pshMode: "monthly", pshMonthly: SEASONAL };
+
+  it("con autoconsumo fijo los meses suman la fila anual", () => {
+    const m = computeScenario(monthly, global);
+    const y1 = m.annuals[0];
+    const sum = (k) => m.monthlyY1.reduce((a, r) => a + r[k], 0);
+    expect(m.pshSource).toBe("monthly");
+    expect(m.monthlyY1).toHaveLength(12);
+    for (const k of ["generationKwh", "selfKwh", "expKwh", "savings"]) expect(sum(k)).toBeCloseTo(y1[k], 4);
+    expect(m.NPV).toBeCloseTo(computeScenario(base, global).NPV, 2);
+  });
+
+  it("con perfil horario la estacionalidad cambia el autoconsumo", () => {
+    // Estacionalidad marcada: medio año con el triple de sol.
+    const extreme = [6, 6, 6, 6, 6, 6, 2, 2, 2, 2, 2, 2];
+    const load = new Array(8760).fill(5);
+    const hourly = { selfConsumptionMode: "hourly", loadProfile: load };
+    const flat = computeScenario({ ...base, ...hourly }, global);
+    const seasonal = computeScenario({ ...base, ...hourly, pshMode: "monthly", pshMonthly: extreme }, global);
+    expect(seasonal.annuals[0].generationKwh).toBeCloseTo(flat.annuals[0].generationKwh, 4);
+    expect(Math.abs(seasonal.annuals[0].selfKwh - flat.annuals[0].selfKwh)).toBeGreaterThan(10);
+
+    const byMonth = simulateHourlyByMonth({ load, solar: seasonalSolar(undefined, extreme), genKwh: 1000 });
+    expect(byMonth.reduce((a, r) => a + r.generationKwh, 0)).toBeCloseTo(1000, 9);
+    const y1 = seasonal.annuals[0];
+    expect(seasonal.monthlyY1.reduce((a, r) => a + r.selfKwh, 0)).toBeCloseTo(y1.selfKwh, 4);
+  });
+});
@@ -0,0 +1,94 @@
+import { SCENARIO_RANGES, clampField } from "./schema.js";
+import { computeScenario } from "./scenario.js";
+
+/* ---------------- Buscar objetivo ---------------- */
+
+/** Métricas que se pueden fijar como objetivo. */
+export const GOAL_METRICS = ["NPV", "IRR", "payback", "lcoe"];
+
+const SCAN_POINTS = 200;
+const MAX_BISECT = 100;
+
+/** Valor de la métrica en un modelo; payback sin recuperar = vida + 1. */
+function metricOf(m, metric) {
+  if (metric === "IRR") return m.irrStatus === "ok" ? m.IRR : null;
+  if (metric === "payback") return m.paybackFrac ?? m.years + 1;
+  if (metric === "lcoe") return m.lcoe;
+  return m.NPV;
+}
+
+/** Intervalo de búsqueda: el rango del esquema o ±10× el valor base. */
+function searchInterval(field, base) {
+  const r = SCENARIO_RANGES[field] ?? {};
+  const span = 10 * Math.abs(base) || 1;
+  return [r.min ?? base - span, r.max ?? base + span];
+}
+
+/**
+ * Resuelve el valor de `field` que lleva `metric` a `target`, recalculando
+ * el escenario con el motor (barrido para acotar la raíz más cercana al
+ * valor actual y luego bisección).
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {{ metric: "NPV"|"IRR"|"payback"|"lcoe", target: number, field: string,
+ *   low?: number, high?: number }} goal
+ * @param {string} [seedTag]
+ * @returns {{ status: "ok"|"no-solution"|"no-convergence", value: number|null,
+ *   achieved: number|null, model: object|null }}
+ */
+export function goalSeek(s, global, { metric, target, field, low, high }, seedTag = "base") {
+  const base = clampField(s, field);
+  const [lo0, hi0] = searchInterval(field, base);
+  const lo = low ?? lo0;
+  const hi = high ?? hi0;
+
+  const evalAt = (v) => {
+    const m = computeScenario({ ...s, [field]: v }, global, seedTag);
+    const x = metricOf(m, metric);
+    return { m, f: x == null || !Number.isFinite(x) ? null : x - target };
+  };
+
+  // Barrido: intervalos con cambio de signo, se elige el más cercano a `base`.
+  let bracket = null;
+  let prev = null;
+  for (let i = 0; i <= SCAN_POINTS; i++) {
+    const v = lo + ((hi - lo) * i) / SCAN_POINTS;
+    const { m, f } = evalAt(v);
+    if (f === 0) return { status: "ok", value: v, achieved: metricOf(m, metric), model: m };
+    if (prev && f != null && prev.f != null && Math.sign(f) !== Math.sign(prev.f)) {
+      const dist = Math.min(Math.abs(prev.v - base), Math.abs(v - base));
+      if (!bracket || dist < bracket.dist) bracket = { a: prev.v, fa: prev.f, b: v, dist };
+    }
+    prev = { v, f };
+  }
+  if (!bracket) return { status: "no-solution", value: null, achieved: null, model: null };
+
+  let { a, fa, b } = bracket;
+  // Escala para la tolerancia final: una discontinuidad deja |f| grande.
+  const scale = Math.max(1, Math.abs(target), Math.abs(fa), Math.abs(evalAt(b).f));
+  for (let k = 0; k < MAX_BISECT; k++) {
+    const mid = (a + b) / 2;
+    const { f } = evalAt(mid);
+    if (f === 0 || Math.abs(b - a) <= 1e-12 * Math.max(1, Math.abs(mid))) {
+      a = b = mid;
+      break;
+    }
+    if (f == null) break;
+    if (Math.sign(f) === Math.sign(fa)) {
+      a = mid;
+      fa = f;
+    } else {
+      b = mid;
+    }
+  }
+
+  const value = (a + b) / 2;
+  const { m, f } = evalAt(value);
+  return {
+    status: f != null && Math.abs(f) <= 1e-6 * scale ? "ok" : "no-convergence",
+    value,
+    achieved: metricOf(m, metric),
+    model: m
+  };
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { goalSeek } from "./goalSeek.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const s = defaultScenario("Base", "#3b82f6", "B");
+const global = defaultGlobal();
+
+describe("goalSeek", () => {
+  it("CAPEX que hace VPN = 0", () => {
+    const r = goalSeek(s, global, { metric: "NPV", target: 0, field: "capex" });
+    expect(r.status).toBe("ok");
+    expect(Math.abs(computeScenario({ ...s, capex: r.value }, global).NPV)).toBeLessThan(1);
+    expect(r.value).toBeGreaterThan(s.capex);
+  });
+
+  it("tarifa que da TIR = 15%", () => {
+    const r = goalSeek(s, global, { metric: "IRR", target: 0.15, field: "tariff" });
+    expect(r.status).toBe("ok");
+    expect(computeScenario({ ...s, tariff: r.value }, global).IRR).toBeCloseTo(0.15, 6);
+  });
+
+  it("autoconsumo para payback de 3 años y HSP para un LCOE dado", () => {
+    const p = goalSeek(s, global, { metric: "payback", target: 3, field: "selfConsumption" });
+    expect(p.status).toBe("ok");
+    expect(p.achieved).toBeCloseTo(3, 5);
+
+    const l = goalSeek(s, global, { metric: "lcoe", target: 300, field: "psh" });
+    expect(l.status).toBe("ok");
+    expect(l.achieved).toBeCloseTo(300, 4);
+  });
+
+  it("sin solución dentro del rango del campo", () => {
+    // El autoconsumo no puede pasar de 1: no alcanza una TIR del 500%.
+    const r = goalSeek(s, global, { metric: "IRR", target: 4, field: "selfConsumption" });
+    expect(r.status).toBe("no-solution");
+    expect(r.value).toBeNull();
+  });
+});
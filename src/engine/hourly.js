@@ -0,0 +1,200 @@
+import { n } from "./utils.js";
+import { DAYS_IN_MONTH } from "./generation.js";
+
+/* ---------------- Perfil horario (8760) ---------------- */
+
+export const HOURS_PER_YEAR = 8760;
+
+/**
+ * Lee un CSV de consumo o de generación: un valor por fila (la última
+ * columna numérica; separador `;`, tab o `,`; admite coma decimal). Acepta
+ * 8760 valores horarios o 35040 de 15 minutos (se suman por hora); los años
+ * bisiestos (8784 / 35136) pierden el último día. Lanza `Error` si la
+ * cantidad de valores no corresponde.
+ *
+ * @returns {number[]} 8760 valores horarios.
+ */
+export function parseProfileCsv(text) {
+  const values = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    // "1,25" sola = coma decimal; si no, la coma separa columnas.
+    const cols = /[;\t]/.test(trimmed)
+      ? trimmed.split(/[;\t]/)
+      : /^-?\d+,\d+$/.test(trimmed)
+        ? [trimmed]
+        : trimmed.split(",");
+    const v = n(cols[cols.length - 1].trim().replace(/^"|"$/g, ""), NaN);
+    // Encabezados y filas sin número se ignoran.
+    if (Number.isFinite(v)) values.push(Math.max(0, v));
+  }
+
+  let hourly;
+  if (values.length === 8760 || values.length === 8784) hourly = values;
+  else if (values.length === 35040 || values.length === 35136) {
+    hourly = [];
+    for (let i = 0; i + 3 < values.length; i += 4) {
+      hourly.push(values[i] + values[i + 1] + values[i + 2] + values[i + 3]);
+    }
+  } else {
+    throw new Error(
+      `El perfil debe tener 8760 valores horarios o 35040 de 15 minutos; tiene ${values.length}.`
+    );
+  }
+  // 4 decimales bastan (kWh) y mantienen liviano el estudio guardado.
+  return hourly.slice(0, HOURS_PER_YEAR).map((v) => Math.round(v * 1e4) / 1e4);
+}
+
+// Perfiles ya revisados (el mismo arreglo se revisa en cada cálculo).
+const validProfiles = new WeakSet();
+
+/** true si `p` es un perfil de 8760 números finitos. */
+export function isHourlyProfile(p) {
+  if (!Array.isArray(p) || p.length !== HOURS_PER_YEAR) return false;
+  if (validProfiles.has(p)) return true;
+  const ok = p.every((v) => typeof v === "number" && Number.isFinite(v));
+  if (ok) validProfiles.add(p);
+  return ok;
+}
+
+/**
+ * Perfil solar genérico: media senoide entre las 6:00 y las 18:00, igual
+ * todos los días (latitudes tropicales, poca estacionalidad).
+ */
+export function genericSolarProfile() {
+  const day = Array.from({ length: 24 }, (_, h) =>
+    h >= 6 && h < 18 ? Math.sin((Math.PI * (h + 0.5 - 6)) / 12) : 0
+  );
+  const out = [];
+  for (let d = 0; d < 365; d++) out.push(...day);
+  return out;
+}
+
+const GENERIC_SOLAR = genericSolarProfile();
+
+const shapeCache = new WeakMap();
+
+/**
+ * Fracción de la generación anual que cae en cada hora (suma 1).
+ * `solar` omitido = perfil genérico.
+ */
+export function solarShape(solar) {
+  const sol = solar ?? GENERIC_SOLAR;
+  if (!shapeCache.has(sol)) {
+    const total = sol.reduce((a, b) => a + b, 0);
+    shapeCache.set(sol, Float64Array.from(sol, (v) => (total > 0 ? v / total : 0)));
+  }
+  return shapeCache.get(sol);
+}
+
+// Curvas ya calculadas por perfil de carga → perfil solar (Monte Carlo y
+// barridos repiten los mismos arreglos miles de veces).
+const curveCache = new WeakMap();
+
+/**
+ * Autoconsumo anual en función de la generación anual: cada hora se
+ * autoconsume min(generación, consumo) con la generación repartida según la
+ * forma de `solar` (solo importa la forma, no el total).
+ *
+ * @param {number[]} load   Consumo horario (kWh), 8760 valores.
+ * @param {number[]} [solar] Perfil solar horario; genérico si se omite.
+ * @returns {(genKwh: number) => number} kWh autoconsumidos en el año.
+ */
+export function selfConsumptionCurve(load, solar) {
+  const sol = solar ?? GENERIC_SOLAR;
+  let bySolar = curveCache.get(load);
+  if (bySolar?.has(sol)) return bySolar.get(sol);
+
+  const total = sol.reduce((a, b) => a + b, 0);
+  // Horas con sol, ordenadas por consumo / generación unitaria.
+  const hours = [];
+  for (let h = 0; h < HOURS_PER_YEAR; h++) {
+    const w = total > 0 ? sol[h] / total : 0;
+    if (w > 0) hours.push({ r: load[h] / w, load: load[h], w });
+  }
+  hours.sort((a, b) => a.r - b.r);
+
+  const k = hours.length;
+  const cumLoad = new Float64Array(k + 1);
+  const sufShape = new Float64Array(k + 1);
+  for (let i = 0; i < k; i++) cumLoad[i + 1] = cumLoad[i] + hours[i].load;
+  for (let i = k - 1; i >= 0; i--) sufShape[i] = sufShape[i + 1] + hours[i].w;
+  const ratios = Float64Array.from(hours, (x) => x.r);
+
+  // Horas con r ≤ gen quedan limitadas por el consumo; el resto, por la generación.
+  const curve = (genKwh) => {
+    const g = Math.max(0, genKwh);
+    let lo = 0;
+    let hi = k;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (ratios[mid] <= g) lo = mid + 1;
+      else hi = mid;
+    }
+    return cumLoad[lo] + g * sufShape[lo];
+  };
+
+  if (!bySolar) curveCache.set(load, (bySolar = new WeakMap()));
+  bySolar.set(sol, curve);
+  return curve;
+}
+
+// Mes (0–11) de cada hora del año.
+const MONTH_OF_HOUR = (() => {
+  const out = new Uint8Array(HOURS_PER_YEAR);
+  let h = 0;
+  DAYS_IN_MONTH.forEach((days, m) => {
+    for (let i = 0; i < days * 24; i++) out[h++] = m;
+  });
+  return out;
+})();
+
+const seasonalCache = new WeakMap();
+
+/**
+ * Perfil solar con estacionalidad: cada hora se pondera por las HSP de su
+ * mes. `solar` omitido = perfil genérico.
+ */
+export function seasonalSolar(solar, pshMonthly) {
+  const sol = solar ?? GENERIC_SOLAR;
+  const key = pshMonthly.join(",");
+  let byKey = seasonalCache.get(sol);
+  if (!byKey) seasonalCache.set(sol, (byKey = new Map()));
+  if (!byKey.has(key)) byKey.set(key, sol.map((v, h) => v * pshMonthly[MONTH_OF_HOUR[h]]));
+  return byKey.get(key);
+}
+
+/**
+ * Simulación hora a hora de un año agrupada por mes: `[{ generationKwh,
+ * selfKwh }]` × 12.
+ */
+export function simulateHourlyByMonth({ load, solar, genKwh }) {
+  const sol = solar ?? GENERIC_SOLAR;
+  const total = sol.reduce((a, b) => a + b, 0);
+  const out = DAYS_IN_MONTH.map(() => ({ generationKwh: 0, selfKwh: 0 }));
+  for (let h = 0; h < HOURS_PER_YEAR; h++) {
+    const gen = total > 0 ? (genKwh * sol[h]) / total : 0;
+    const m = out[MONTH_OF_HOUR[h]];
+    m.generationKwh += gen;
+    m.selfKwh += Math.min(gen, load[h]);
+  }
+  return out;
+}
+
+/**
+ * Simulación hora a hora de un año: generación repartida según `solar`,
+ * autoconsumo = min(generación, consumo) y excedentes = el resto.
+ */
+export function simulateHourly({ load, solar, genKwh }) {
+  const sol = solar ?? GENERIC_SOLAR;
+  const total = sol.reduce((a, b) => a + b, 0);
+  let selfKwh = 0;
+  let loadKwh = 0;
+  for (let h = 0; h < HOURS_PER_YEAR; h++) {
+    const gen = total > 0 ? (genKwh * sol[h]) / total : 0;
+    selfKwh += Math.min(gen, load[h]);
+    loadKwh += load[h];
+  }
+  return { generationKwh: genKwh, selfKwh, expKwh: genKwh - selfKwh, loadKwh };
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseProfileCsv,
+  isHourlyProfile,
+  genericSolarProfile,
+  selfConsumptionCurve,
+  simulateHourly,
+  HOURS_PER_YEAR
+} from "./hourly.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal, migrateScenario } from "./schema.js";
+
+const flat = (v) => new Array(HOURS_PER_YEAR).fill(v);
+
+describe("parseProfileCsv", () => {
+  it("lee 8760 filas con encabezado, fecha y coma decimal", () => {
+    const rows = ["fecha;kWh", ...Array.from({ length: 8760 }, (_, i) => `2024-01-01 ${i};1,5`)];
+    const p = parseProfileCsv(rows.join("\n"));
+    expect(p).toHaveLength(8760);
+    expect(p[0]).toBe(1.5);
+  });
+
+  it("acepta una columna con coma decimal o columnas separadas por coma", () => {
+    expect(parseProfileCsv(new Array(8760).fill("2,5").join("\n"))[10]).toBe(2.5);
+    expect(parseProfileCsv(new Array(8760).fill("x,3.25").join("\r\n"))[10]).toBe(3.25);
+  });
+
+  it("suma los intervalos de 15 minutos por hora", () => {
+    const p = parseProfileCsv(new Array(35040).fill("0.25").join("\n"));
+    expect(p).toHaveLength(8760);
+    expect(p[123]).toBeCloseTo(1, 12);
+  });
+
+  it("recorta el año bisiesto y rechaza otras longitudes", () => {
+    expect(parseProfileCsv(new Array(8784).fill("1").join("\n"))).toHaveLength(8760);
+    expect(() => parseProfileCsv("1\n2\n3")).toThrow(/8760/);
+  });
+});
+
+describe("selfConsumptionCurve", () => {
+  it("coincide con la simulación hora a hora", () => {
+    const load = Array.from({ length: HOURS_PER_YEAR }, (_, h) => 1 + Math.sin(h / 7) ** 2 * 3);
+    const curve = selfConsumptionCurve(load);
+    for (const gen of [0, 5000, 20000, 60000, 200000]) {
+      expect(curve(gen)).toBeCloseTo(simulateHourly({ load, genKwh: gen }).selfKwh, 6);
+    }
+  });
+
+  it("sin sol nocturno: una carga plana se cubre solo de día", () => {
+    const load = flat(1);
+    const curve = selfConsumptionCurve(load);
+    // Generación enorme: autoconsume todas las horas con sol (12 por día).
+    expect(curve(1e9)).toBeCloseTo(12 * 365, 6);
+    // Generación chica: todo se autoconsume.
+    expect(curve(100)).toBeCloseTo(100, 9);
+  });
+
+  it("usa la forma del perfil solar, no su total", () => {
+    const load = flat(1);
+    const solar = genericSolarProfile().map((v) => v * 1000);
+    expect(selfConsumptionCurve(load, solar)(30000)).toBeCloseTo(selfConsumptionCurve(load)(30000), 6);
+  });
+});
+
+describe("computeScenario en modo horario", () => {
+  const global = defaultGlobal();
+  const base = defaultScenario("Base", "#3b82f6", "B");
+
+  it("deriva autoconsumo y excedentes por año desde el perfil", () => {
+    const s = { ...base, selfConsumptionMode: "hourly", loadProfile: flat(3) };
+    const m = computeScenario(s, global);
+    const curve = selfConsumptionCurve(s.loadProfile);
+    for (const a of m.annuals) {
+      expect(a.selfKwh).toBeCloseTo(curve(a.generationKwh), 6);
+      expect(a.selfKwh + a.expKwh).toBeCloseTo(a.generationKwh, 6);
+    }
+    expect(m.selfConsumptionSource).toBe("hourly");
+    expect(m.loadKwh).toBeCloseTo(3 * 8760, 6);
+    // La degradación baja la generación y sube la fracción autoconsumida.
+    const frac = (a) => a.selfKwh / a.generationKwh;
+    expect(frac(m.annuals.at(-1))).toBeGreaterThan(frac(m.annuals[0]));
+  });
+
+  it("sin perfil válido usa la fracción fija", () => {
+    const m = computeScenario({ ...base, selfConsumptionMode: "hourly", loadProfile: [1, 2] }, global);
+    expect(m.selfConsumptionSource).toBe("fixed");
+    expect(m.selfConsumptionY1).toBeCloseTo(base.selfConsumption, 12);
+  });
+
+  it("migrateScenario conserva perfiles válidos y descarta los dañados", () => {
+    const load = flat(2);
+    expect(isHourlyProfile(load)).toBe(true);
+    expect(migrateScenario({ loadProfile: load }).loadProfile).toBe(load);
+    expect(migrateScenario({ loadProfile: [1, "x"] }).loadProfile).toBeNull();
+  });
+});
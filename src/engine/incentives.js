@@ -0,0 +1,89 @@
+import { clamp, int, n } from "./utils.js";
+import { clampField } from "./schema.js";
+
+/* ---------------- Incentivos Colombia (simulación) ---------------- */
+
+/**
+ * Esquemas disponibles. `iva`/`arancel` reducen el CAPEX; `renta` genera un
+ * beneficio anual por deducción en renta.
+ */
+export const INCENTIVOS = [
+  { key: "none", name: "Ninguno", iva: false, arancel: false, renta: false },
+  { key: "co_full", name: "Colombia – Paquete completo (IVA + Arancel + Deducción renta)", iva: true, arancel: true, renta: true },
+  { key: "co_iva", name: "Colombia – Solo exclusión de IVA (simulación)", iva: true, arancel: false, renta: false },
+  { key: "co_arancel", name: "Colombia – Exención de arancel (simulación)", iva: false, arancel: true, renta: false },
+  { key: "co_iva_arancel", name: "Colombia – IVA + Arancel (simulación)", iva: true, arancel: true, renta: false },
+  { key: "co_renta", name: "Colombia – Deducción en renta (hasta 50% inversión, hasta 15 años)", iva: false, arancel: false, renta: true },
+  { key: "co_iva_renta", name: "Colombia – IVA + Deducción renta", iva: true, arancel: false, renta: true }
+];
+
+export const findIncentive = (key) => INCENTIVOS.find((x) => x.key === key) || INCENTIVOS[0];
+
+/**
+ * Beneficio tributario por año (índice 0 = año 1): deducción de hasta el 50%
+ * del CAPEX neto repartida en `anosAplicacion` años (1–15). Si hay ingreso
+ * gravable anual se topa en el 50% de ese ingreso (con ingreso 0 no hay
+ * deducción); `sinTope` quita el tope.
+ */
+export function beneficioDeduccionRentaPorAno({
+  capexNeto,
+  vida,
+  aplica,
+  anosAplicacion,
+  ingresoGravableAnual,
+  tasaImpuestoRenta,
+  sinTope = false,
+}) {
+  const vidaN = Math.max(1, int(vida, 25));
+  if (!aplica) return Array(vidaN).fill(0);
+
+  const anos = clamp(int(anosAplicacion, 5), 1, 15);
+  const capex = Math.max(0, n(capexNeto, 0));
+  const ingreso = Math.max(0, n(ingresoGravableAnual, 0));
+  const tasa = clamp(n(tasaImpuestoRenta, 0.35), 0, 0.5);
+
+  const totalDeducible = 0.5 * capex;
+  const cuota = totalDeducible / anos;
+  const topeAnual = sinTope ? Infinity : 0.5 * ingreso;
+
+  let restante = totalDeducible;
+  const out = Array(vidaN).fill(0);
+
+  for (let y = 1; y <= vidaN; y++) {
+    if (y > anos || restante <= 0) break;
+    const ded = Math.min(cuota, restante, topeAnual);
+    out[y - 1] = ded * tasa;
+    restante -= ded;
+  }
+  return out;
+}
+
+/**
+ * CAPEX neto y beneficio de renta por año según el esquema `opt.scheme`.
+ */
+export function applyIncentives(capexBruto, opt) {
+  const inc = findIncentive(opt.scheme);
+  const ivaRate = clampField(opt, "ivaRate");
+  const arancelRate = clampField(opt, "arancelRate");
+
+  let capexNeto = Math.max(0, capexBruto);
+
+  // IVA (si capexBruto incluye IVA)
+  if (inc.iva) capexNeto = capexNeto / (1 + ivaRate);
+
+  // Arancel (simulación como reducción)
+  if (inc.arancel) capexNeto = capexNeto * (1 - arancelRate);
+
+  // Deducción renta (flujo anual adicional simulado)
+  const taxBenefitByYear = beneficioDeduccionRentaPorAno({
+    capexNeto,
+    vida: opt.years,
+    aplica: inc.renta,
+    anosAplicacion: opt.deductionYears,
+    ingresoGravableAnual: opt.taxableIncome,
+    tasaImpuestoRenta: opt.taxRate,
+    sinTope: opt.deductionCap !== "income"
+  });
+
+  return { capexNeto, taxBenefitByYear };
+}
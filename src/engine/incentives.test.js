@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { applyIncentives, beneficioDeduccionRentaPorAno, findIncentive } from "./incentives.js";
+
+const opt = { ivaRate: 0.19, arancelRate: 0.05, taxRate: 0.35, deductionYears: 15, taxableIncome: 0, years: 25 };
+
+describe("applyIncentives", () => {
+  it("sin esquema no cambia el CAPEX", () => {
+    const { capexNeto, taxBenefitByYear } = applyIncentives(1190, { ...opt, scheme: "none" });
+    expect(capexNeto).toBe(1190);
+    expect(taxBenefitByYear.every((v) => v === 0)).toBe(true);
+  });
+
+  it("IVA + arancel", () => {
+    const { capexNeto } = applyIncentives(1190, { ...opt, scheme: "co_iva_arancel" });
+    expect(capexNeto).toBeCloseTo(950, 9);
+  });
+
+  it("solo arancel", () => {
+    const { capexNeto } = applyIncentives(1000, { ...opt, scheme: "co_arancel" });
+    expect(capexNeto).toBeCloseTo(950, 9);
+  });
+
+  it("paquete completo reparte 50% del CAPEX neto × renta solo en los años de deducción", () => {
+    const { capexNeto, taxBenefitByYear } = applyIncentives(1190, { ...opt, scheme: "co_full" });
+    expect(taxBenefitByYear).toHaveLength(25);
+    expect(taxBenefitByYear[0]).toBeCloseTo((0.5 * capexNeto / 15) * 0.35, 9);
+    expect(taxBenefitByYear[14]).toBeCloseTo(taxBenefitByYear[0], 9);
+    expect(taxBenefitByYear[15]).toBe(0);
+  });
+
+  it("deducción en renta sin reducir el CAPEX", () => {
+    const { capexNeto, taxBenefitByYear } = applyIncentives(1000, { ...opt, scheme: "co_renta" });
+    expect(capexNeto).toBe(1000);
+    expect(taxBenefitByYear[0]).toBeGreaterThan(0);
+  });
+
+  it("acota las tasas", () => {
+    const { capexNeto } = applyIncentives(1000, { ...opt, scheme: "co_iva", ivaRate: 5 });
+    expect(capexNeto).toBeCloseTo(1000 / 1.3, 9);
+  });
+
+  it("esquema desconocido equivale a ninguno", () => {
+    expect(findIncentive("xx").key).toBe("none");
+  });
+});
+
+describe("beneficioDeduccionRentaPorAno", () => {
+  const args = { capexNeto: 1000, vida: 10, aplica: true, anosAplicacion: 5, ingresoGravableAnual: 1e9, tasaImpuestoRenta: 0.35 };
+
+  it("reparte la deducción en los años indicados", () => {
+    const out = beneficioDeduccionRentaPorAno(args);
+    expect(out).toHaveLength(10);
+    expect(out.slice(0, 5).every((v) => Math.abs(v - 35) < 1e-9)).toBe(true);
+    expect(out.slice(5).every((v) => v === 0)).toBe(true);
+  });
+
+  it("respeta el tope del 50% del ingreso gravable", () => {
+    const out = beneficioDeduccionRentaPorAno({ ...args, ingresoGravableAnual: 100 });
+    expect(out[0]).toBeCloseTo(50 * 0.35, 9);
+  });
+
+  it("con tope, ingreso gravable 0 no deja deducir (como el modelo antiguo)", () => {
+    const out = beneficioDeduccionRentaPorAno({ ...args, ingresoGravableAnual: 0 });
+    expect(out).toEqual(Array(10).fill(0));
+  });
+
+  it("sinTope ignora el ingreso gravable", () => {
+    const out = beneficioDeduccionRentaPorAno({ ...args, ingresoGravableAnual: 0, sinTope: true });
+    expect(out[0]).toBeCloseTo(35, 9);
+  });
+
+  it("sin aplicar devuelve ceros", () => {
+    expect(beneficioDeduccionRentaPorAno({ ...args, aplica: false })).toEqual(Array(10).fill(0));
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Motor financiero Smart Energy ROI: funciones puras, sin React ni DOM, para
+ * usar desde la UI o desde scripts (`node`).
+ */
+export { clamp, n, int } from "./utils.js";
+export {
+  npv,
+  irr,
+  irrAnalysis,
+  signChanges,
+  mirr,
+  paybackYear,
+  paybackPeriod,
+  discountCashflows,
+  discountedPayback
+} from "./finance.js";
+export {
+  yearlyGenerationKwh,
+  DAYS_IN_MONTH,
+  isMonthlyPsh,
+  averagePsh,
+  monthlyGenerationKwh,
+  scaleMonthlyPsh
+} from "./generation.js";
+export {
+  HOURS_PER_YEAR,
+  parseProfileCsv,
+  isHourlyProfile,
+  genericSolarProfile,
+  selfConsumptionCurve,
+  seasonalSolar,
+  solarShape,
+  simulateHourly,
+  simulateHourlyByMonth
+} from "./hourly.js";
+export { levelizedCost, levelizedValue, gridParityYear } from "./lcoe.js";
+export { stableNoise01, parseTariffList, tariffForYear } from "./tariff.js";
+export { dispatchHourly, dispatchDaily, fadePerCycle } from "./battery.js";
+export { AMORTIZATION_METHODS, amortizationSchedule, financeCashflows } from "./financing.js";
+export { TAX_MODES, LOSS_CARRY_YEARS, createTaxLedger } from "./tax.js";
+export {
+  MAX_EVENT_YEAR,
+  isCapitalEvents,
+  defaultCapitalEvent,
+  eventCost,
+  scheduleCapitalEvents
+} from "./capitalEvents.js";
+export { SITES, SITES_SOURCE, findSite, sitePatch, matchesSite } from "./sites.js";
+export {
+  INCENTIVOS,
+  findIncentive,
+  applyIncentives,
+  beneficioDeduccionRentaPorAno
+} from "./incentives.js";
+export {
+  defaultScenario,
+  defaultScenarios,
+  SCENARIO_PALETTE,
+  defaultGlobal,
+  migrateScenario,
+  MIGRATED_FIELDS,
+  SCENARIO_RANGES,
+  TARIFF_MODES,
+  SELF_CONSUMPTION_MODES,
+  PSH_MODES,
+  DEDUCTION_CAPS,
+  clampField,
+  validateScenario
+} from "./schema.js";
+export { computeScenario } from "./scenario.js";
+export { BUSINESS_MODELS, leasePayments, ppaPrices, compareBusinessModels } from "./businessModels.js";
+export {
+  TORNADO_FIELDS,
+  tornadoAnalysis,
+  linspace,
+  sensitivityGrid,
+  breakEvenEdges
+} from "./sensitivity.js";
+export { GOAL_METRICS, goalSeek } from "./goalSeek.js";
+export { sizeScenario, optimizeSize } from "./sizing.js";
+export {
+  MC_FIELDS,
+  MC_DISTRIBUTIONS,
+  defaultDistributions,
+  createRng,
+  sampleDistribution,
+  percentile,
+  histogram,
+  runMonteCarlo
+} from "./montecarlo.js";
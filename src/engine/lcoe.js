@@ -0,0 +1,36 @@
+/* ---------------- Costo nivelado (LCOE) ---------------- */
+
+// Suma de `values[t-1] / (1+rate)^t` para t = 1..N (índice 0 = año 1).
+const pvFromYear1 = (rate, values) =>
+  values.reduce((acc, v, i) => acc + v / Math.pow(1 + rate, i + 1), 0);
+
+/**
+ * LCOE (COP/kWh) = (CAPEX + VP O&M) / VP generación. Null si no hay
+ * generación.
+ *
+ * @param {{ capex: number, omByYear: number[], genByYear: number[], rate: number }} p
+ */
+export function levelizedCost({ capex, omByYear, genByYear, rate }) {
+  const energy = pvFromYear1(rate, genByYear);
+  if (!(energy > 0)) return null;
+  return (capex + pvFromYear1(rate, omByYear)) / energy;
+}
+
+/**
+ * Valor nivelado por kWh de un flujo anual (ahorro, tarifa × energía, …):
+ * VP valores / VP generación.
+ */
+export function levelizedValue({ valuesByYear, genByYear, rate }) {
+  const energy = pvFromYear1(rate, genByYear);
+  if (!(energy > 0)) return null;
+  return pvFromYear1(rate, valuesByYear) / energy;
+}
+
+/**
+ * Primer año (1..N) en que la tarifa alcanza el LCOE. Null si nunca.
+ */
+export function gridParityYear(tariffs, lcoe) {
+  if (lcoe == null) return null;
+  const i = tariffs.findIndex((t) => t >= lcoe);
+  return i < 0 ? null : i + 1;
+}
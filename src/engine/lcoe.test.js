@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { levelizedCost, levelizedValue, gridParityYear } from "./lcoe.js";
+
+describe("levelizedCost", () => {
+  it("con tasa 0 es costo total / energía total", () => {
+    expect(levelizedCost({ capex: 1000, omByYear: [100, 100], genByYear: [550, 550], rate: 0 })).toBeCloseTo(1200 / 1100, 12);
+  });
+
+  it("descuenta O&M y energía desde el año 1", () => {
+    const rate = 0.1;
+    const energy = 100 / 1.1 + 100 / 1.21;
+    const om = 10 / 1.1 + 10 / 1.21;
+    expect(levelizedCost({ capex: 500, omByYear: [10, 10], genByYear: [100, 100], rate })).toBeCloseTo((500 + om) / energy, 12);
+  });
+
+  it("null sin generación", () => {
+    expect(levelizedCost({ capex: 1, omByYear: [0], genByYear: [0], rate: 0.1 })).toBeNull();
+  });
+});
+
+describe("levelizedValue", () => {
+  it("una tarifa constante se nivela en sí misma", () => {
+    const gen = [100, 90, 80];
+    expect(levelizedValue({ valuesByYear: gen.map((g) => g * 700), genByYear: gen, rate: 0.12 })).toBeCloseTo(700, 9);
+  });
+});
+
+describe("gridParityYear", () => {
+  it("primer año con tarifa >= LCOE", () => {
+    expect(gridParityYear([500, 600, 700], 650)).toBe(3);
+    expect(gridParityYear([700], 650)).toBe(1);
+    expect(gridParityYear([500, 600], 650)).toBeNull();
+    expect(gridParityYear([500], null)).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+import { clampField } from "./schema.js";
+import { computeScenario } from "./scenario.js";
+
+/* ---------------- Monte Carlo ---------------- */
+
+/** Supuestos que admiten distribución, en el orden en que se muestran. */
+export const MC_FIELDS = ["psh", "pr", "degAnnual", "tariffEscalation", "selfConsumption", "capex"];
+
+export const MC_DISTRIBUTIONS = ["none", "normal", "triangular", "uniform"];
+
+/**
+ * Distribución de cada supuesto, relativa al valor del escenario:
+ * `spread` es la desviación estándar (normal) o la semiamplitud
+ * (triangular/uniforme) como fracción del valor base.
+ *
+ * @typedef {{ type: "none"|"normal"|"triangular"|"uniform", spread: number }} McDistribution
+ */
+
+/** @returns {Record<string, McDistribution>} */
+export const defaultDistributions = () => ({
+  psh: { type: "normal", spread: 0.07 },
+  pr: { type: "triangular", spread: 0.06 },
+  degAnnual: { type: "uniform", spread: 0.5 },
+  tariffEscalation: { type: "normal", spread: 0.25 },
+  selfConsumption: { type: "triangular", spread: 0.15 },
+  capex: { type: "triangular", spread: 0.1 }
+});
+
+/** PRNG determinista (mulberry32): la misma semilla repite la simulación. */
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Muestra de `dist` centrada en `base`. */
+export function sampleDistribution(dist, base, rng) {
+  const spread = Math.max(0, Number(dist?.spread) || 0);
+  const w = Math.abs(base) * spread;
+  switch (dist?.type) {
+    case "normal": {
+      // Box–Muller; 1 - u evita log(0).
+      const u = 1 - rng();
+      const v = rng();
+      return base + w * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    case "uniform":
+      return base - w + 2 * w * rng();
+    case "triangular": {
+      // Simétrica: moda = base, extremos base ± w.
+      const u = rng();
+      return u < 0.5 ? base - w + w * Math.sqrt(2 * u) : base + w - w * Math.sqrt(2 * (1 - u));
+    }
+    default:
+      return base;
+  }
+}
+
+/** Percentil `p` (0–1) de un arreglo ordenado, con interpolación lineal. */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * Math.min(1, Math.max(0, p));
+  const i = Math.floor(pos);
+  const lo = sorted[i];
+  const hi = sorted[Math.min(i + 1, sorted.length - 1)];
+  const t = pos - i;
+  if (lo === hi || t === 0) return lo;
+  return lo + (hi - lo) * t;
+}
+
+/** Histograma de `values` en `bins` clases iguales: `[{ x0, x1, mid, count }]`. */
+export function histogram(values, bins = 30) {
+  if (!values.length) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min === max) return [{ x0: min, x1: max, mid: min, count: values.length }];
+  const width = (max - min) / bins;
+  const out = Array.from({ length: bins }, (_, k) => {
+    const x0 = min + k * width;
+    return { x0, x1: x0 + width, mid: x0 + width / 2, count: 0 };
+  });
+  for (const v of values) out[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+  return out;
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const finite = sorted.filter(Number.isFinite);
+  const fix = (v) => (v == null || !Number.isFinite(v) ? null : v);
+  return {
+    count: sorted.length,
+    mean: finite.length ? finite.reduce((a, b) => a + b, 0) / finite.length : null,
+    p10: fix(percentile(sorted, 0.1)),
+    p50: fix(percentile(sorted, 0.5)),
+    p90: fix(percentile(sorted, 0.9))
+  };
+}
+
+/**
+ * Corre `iterations` veces `computeScenario` con supuestos muestreados.
+ *
+ * Los valores muestreados se acotan con los mismos rangos del esquema.
+ * La volatilidad estable (si está activa) usa siempre `seedTag`, así que
+ * solo varían los supuestos con distribución.
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {{ iterations?: number, seed?: number, distributions?: Record<string, McDistribution>,
+ *   onProgress?: (done: number, total: number) => void }} [opts]
+ * @param {string} [seedTag]
+ */
+export function runMonteCarlo(s, global, opts = {}, seedTag = "base") {
+  const iterations = Math.max(1, Math.min(100000, Math.round(Number(opts.iterations) || 2000)));
+  const rng = createRng(opts.seed ?? 1);
+  const dists = opts.distributions ?? defaultDistributions();
+
+  const npv = [];
+  const irr = [];
+  const payback = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const trial = { ...s };
+    for (const key of MC_FIELDS) {
+      const d = dists[key];
+      if (!d || d.type === "none") continue;
+      trial[key] = clampField({ [key]: sampleDistribution(d, clampField(s, key), rng) }, key);
+    }
+    const m = computeScenario(trial, global, seedTag);
+    npv.push(m.NPV);
+    if (m.irrStatus === "ok") irr.push(m.IRR);
+    // Sin payback en el horizonte cuenta como +∞ para los percentiles.
+    payback.push(m.paybackFrac ?? Infinity);
+    if (opts.onProgress && (i + 1) % 250 === 0) opts.onProgress(i + 1, iterations);
+  }
+
+  return {
+    iterations,
+    npv,
+    irr,
+    payback,
+    summary: {
+      npv: summarize(npv),
+      irr: summarize(irr),
+      payback: summarize(payback),
+      probNegativeNpv: npv.filter((v) => v < 0).length / iterations,
+      irrUndefinedShare: 1 - irr.length / iterations,
+      noPaybackShare: payback.filter((v) => !Number.isFinite(v)).length / iterations
+    }
+  };
+}
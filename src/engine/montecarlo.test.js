@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import {
+  createRng,
+  sampleDistribution,
+  percentile,
+  histogram,
+  runMonteCarlo,
+  MC_FIELDS
+} from "./montecarlo.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+describe("createRng", () => {
+  it("es determinista por semilla y queda en [0, 1)", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const xs = Array.from({ length: 1000 }, a);
+    expect(xs).toEqual(Array.from({ length: 1000 }, b));
+    expect(Math.min(...xs)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...xs)).toBeLessThan(1);
+  });
+});
+
+describe("sampleDistribution", () => {
+  const draw = (dist, n = 20000) => {
+    const rng = createRng(7);
+    return Array.from({ length: n }, () => sampleDistribution(dist, 100, rng));
+  };
+
+  it("none devuelve el valor base", () => {
+    expect(draw({ type: "none", spread: 0.5 }, 10)).toEqual(new Array(10).fill(100));
+  });
+
+  it("uniforme y triangular quedan dentro de base ± spread", () => {
+    for (const type of ["uniform", "triangular"]) {
+      const xs = draw({ type, spread: 0.2 });
+      expect(Math.min(...xs)).toBeGreaterThanOrEqual(80);
+      expect(Math.max(...xs)).toBeLessThanOrEqual(120);
+      expect(mean(xs)).toBeCloseTo(100, 0);
+    }
+  });
+
+  it("normal: media base y desviación base·spread", () => {
+    const xs = draw({ type: "normal", spread: 0.1 });
+    const m = mean(xs);
+    const sd = Math.sqrt(mean(xs.map((x) => (x - m) ** 2)));
+    expect(m).toBeCloseTo(100, 0);
+    expect(sd).toBeGreaterThan(9.7);
+    expect(sd).toBeLessThan(10.3);
+  });
+});
+
+describe("percentile / histogram", () => {
+  it("interpola linealmente", () => {
+    expect(percentile([0, 10, 20, 30, 40], 0.5)).toBe(20);
+    expect(percentile([0, 10], 0.1)).toBeCloseTo(1, 12);
+    expect(percentile([1, 2, Infinity], 0.9)).toBe(Infinity);
+    expect(percentile([], 0.5)).toBeNull();
+  });
+
+  it("reparte todos los valores en las clases", () => {
+    const h = histogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], 5);
+    expect(h).toHaveLength(5);
+    expect(h.reduce((a, b) => a + b.count, 0)).toBe(10);
+    expect(h[4].count).toBe(2);
+    expect(histogram([3, 3])).toEqual([{ x0: 3, x1: 3, mid: 3, count: 2 }]);
+  });
+});
+
+describe("runMonteCarlo", () => {
+  const s = defaultScenario("Base", "#3b82f6", "B");
+  const global = defaultGlobal();
+
+  it("sin distribuciones reproduce el caso determinista", () => {
+    const none = Object.fromEntries(MC_FIELDS.map((k) => [k, { type: "none", spread: 0 }]));
+    const r = runMonteCarlo(s, global, { iterations: 20, distributions: none });
+    const m = computeScenario(s, global);
+    expect(r.npv.every((v) => v === m.NPV)).toBe(true);
+    expect(r.summary.npv.p10).toBe(m.NPV);
+    expect(r.summary.probNegativeNpv).toBe(m.NPV < 0 ? 1 : 0);
+  });
+
+  it("es reproducible con la misma semilla y ordena P10 ≤ P50 ≤ P90", () => {
+    const a = runMonteCarlo(s, global, { iterations: 300, seed: 5 });
+    const b = runMonteCarlo(s, global, { iterations: 300, seed: 5 });
+    expect(a.npv).toEqual(b.npv);
+    const { p10, p50, p90 } = a.summary.npv;
+    expect(p10).toBeLessThan(p50);
+    expect(p50).toBeLessThan(p90);
+    expect(a.payback).toHaveLength(300);
+  });
+
+  it("un CAPEX muy alto da probabilidad de VPN < 0 alta y sin payback", () => {
+    const r = runMonteCarlo({ ...s, capex: 1e10 }, global, { iterations: 100 });
+    expect(r.summary.probNegativeNpv).toBe(1);
+    expect(r.summary.noPaybackShare).toBe(1);
+    expect(r.summary.payback.p50).toBeNull();
+  });
+
+  it("acota los valores muestreados con los rangos del esquema", () => {
+    const wide = { selfConsumption: { type: "uniform", spread: 5 } };
+    const r = runMonteCarlo(s, global, { iterations: 200, distributions: wide });
+    expect(r.npv.every(Number.isFinite)).toBe(true);
+  });
+});
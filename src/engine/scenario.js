@@ -0,0 +1,363 @@
+import { clamp } from "./utils.js";
+import { npv, irrAnalysis, mirr, paybackYear, paybackPeriod, discountedPayback } from "./finance.js";
+import { yearlyGenerationKwh, monthlyGenerationKwh, isMonthlyPsh, DAYS_IN_MONTH } from "./generation.js";
+import { stableNoise01, parseTariffList, tariffForYear } from "./tariff.js";
+import { applyIncentives, findIncentive } from "./incentives.js";
+import { clampField } from "./schema.js";
+import { levelizedCost, levelizedValue, gridParityYear } from "./lcoe.js";
+import { isHourlyProfile, selfConsumptionCurve, seasonalSolar, simulateHourlyByMonth } from "./hourly.js";
+import { dispatchHourly, dispatchDaily, fadePerCycle } from "./battery.js";
+import { scheduleCapitalEvents } from "./capitalEvents.js";
+import { AMORTIZATION_METHODS, financeCashflows } from "./financing.js";
+import { createTaxLedger } from "./tax.js";
+
+/* ---------------- Scenario Model ---------------- */
+
+// Columnas en pesos de la fila anual (se deflactan en base real).
+const MONEY_FIELDS = [
+  "tariff",
+  "savingsSelf",
+  "revenueExp",
+  "savings",
+  "om",
+  "taxBenefit",
+  "batteryCost",
+  "capitalCost",
+  "incomeTax",
+  "net"
+];
+
+// Columnas en pesos de la tabla de renta.
+const TAX_MONEY_FIELDS = [
+  "ebitda",
+  "depreciation",
+  "lossUsed",
+  "specialDeduction",
+  "taxableIncome",
+  "tax",
+  "deductionPending",
+  "deductionExpired",
+  "lossPending"
+];
+
+/**
+ * Flujo de caja anual y métricas de un escenario.
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {string} [seedTag] Semilla de la volatilidad estable.
+ */
+export function computeScenario(s, global, seedTag = "base") {
+  const years = Math.round(clampField(s, "lifeYears"));
+  const discount = clampField(s, "discountRate");
+
+  // Batería opcional: su CAPEX se suma al del FV (mismos incentivos).
+  const batteryKwh = clampField(s, "batteryKwh", 0);
+  const battery =
+    batteryKwh > 0
+      ? {
+          powerKw: clampField(s, "batteryPowerKw", 5),
+          efficiency: clampField(s, "batteryEfficiency", 0.9),
+          dod: clampField(s, "batteryDod", 0.9),
+          fade: fadePerCycle(clampField(s, "batteryCycleLife", 6000)),
+          capex: clampField(s, "batteryCapex", 0),
+          replacementYear: Math.round(clampField(s, "batteryReplacementYear", 0))
+        }
+      : null;
+  let batteryHealth = 1;
+
+  // Reemplazos y ampliaciones programados (costo escalado al año del evento).
+  const capitalEvents = scheduleCapitalEvents(s.capitalEvents, years);
+
+  const { capexNeto, taxBenefitByYear } = applyIncentives(s.capex + (battery?.capex ?? 0), {
+    scheme: s.incentiveScheme,
+    ivaRate: s.ivaRate,
+    arancelRate: s.arancelRate,
+    taxRate: s.taxRate,
+    deductionYears: s.deductionYears,
+    taxableIncome: s.taxableIncome,
+    deductionCap: s.deductionCap,
+    years
+  });
+
+  const cashflows = new Array(years + 1).fill(0);
+  cashflows[0] = -capexNeto;
+
+  // Modo "corporate": flujo después de impuestos con depreciación, deducción
+  // especial topada y arrastres; reemplaza el beneficio plano del modo simple.
+  const corporate = s.taxMode === "corporate";
+  const taxConfig = corporate
+    ? {
+        rate: clampField(s, "taxRate", 0.35),
+        baseIncome: clampField(s, "taxableIncome", 0),
+        depreciationYears: clampField(s, "depreciationYears", 3),
+        deductionPool:
+          global.includeTaxBenefit && findIncentive(s.incentiveScheme).renta ? 0.5 * capexNeto : 0,
+        deductionYears: clampField(s, "deductionYears", 15)
+      }
+    : null;
+  const taxLedger = taxConfig ? createTaxLedger(taxConfig) : null;
+  const taxTable = [];
+
+  const tariff0 = clampField(s, "tariff");
+  const esc = clampField(s, "tariffEscalation");
+  const vol = clampField(s, "tariffVolatility");
+  const tariffMode = s.tariffMode || "escalado";
+  const manualList = parseTariffList(s.tariffList).map((v) => Math.max(0, v));
+  const cycleYears = Math.round(clampField(s, "cycleYears", 4));
+
+  // Con/Sin excedentes
+  const exportFactor = global.includeExports ? clampField(s, "exportFactor") : 0;
+
+  const selfFrac = clampField(s, "selfConsumption");
+  const plant = {
+    kW: clampField(s, "kW"),
+    psh: clampField(s, "psh"),
+    pr: clampField(s, "pr"),
+    deg: clampField(s, "degAnnual", 0)
+  };
+  // Modo mensual: 12 HSP dan la estacionalidad (promedio = `psh`).
+  const pshMonthly = s.pshMode === "monthly" && isMonthlyPsh(s.pshMonthly) ? s.pshMonthly : null;
+  // Modo horario: autoconsumo año a año desde el perfil de carga (8760 h).
+  const hourly = s.selfConsumptionMode === "hourly" && isHourlyProfile(s.loadProfile);
+  const baseSolar = isHourlyProfile(s.solarProfile) ? s.solarProfile : undefined;
+  const solar = hourly && pshMonthly ? seasonalSolar(baseSolar, pshMonthly) : baseSolar;
+  const selfCurve = hourly ? selfConsumptionCurve(s.loadProfile, solar) : null;
+  const loadKwh = hourly ? s.loadProfile.reduce((a, b) => a + b, 0) : null;
+  let om = clampField(s, "omAnnual");
+  // Escenarios anteriores escalaban el O&M con la tarifa.
+  const omEsc = clampField(s, "omEscalation", esc);
+
+  const annuals = [];
+
+  for (let y = 1; y <= years; y++) {
+    const baseTariff = tariffForYear({
+      mode: tariffMode,
+      baseTariff: tariff0,
+      escTarifa: esc,
+      manualList,
+      volatility: vol,
+      cycleYears,
+      year: y
+    });
+
+    let tariffY = baseTariff;
+    if (global.useVolatility) {
+      const u = stableNoise01(`${seedTag}|${y}|${tariff0}|${esc}|${vol}`);
+      const jitter = 1 + (u * 2 - 1) * vol;
+      tariffY = Math.max(0, baseTariff * jitter);
+    }
+
+    const genInput = { ...plant, year: y };
+    const gen = pshMonthly
+      ? monthlyGenerationKwh({ ...genInput, pshMonthly }).reduce((a, b) => a + b, 0)
+      : yearlyGenerationKwh(genInput);
+
+    let selfKwh = selfCurve ? selfCurve(gen) : gen * selfFrac;
+    let expKwh = gen - selfKwh;
+
+    let batteryOutKwh = 0;
+    let batteryCost = 0;
+    if (battery) {
+      if (y === battery.replacementYear) {
+        batteryCost = battery.capex;
+        batteryHealth = 1;
+      }
+      const usableKwh = batteryKwh * battery.dod * batteryHealth;
+      const params = { genKwh: gen, usableKwh, powerKw: battery.powerKw, efficiency: battery.efficiency };
+      const r = hourly
+        ? dispatchHourly({ ...params, load: s.loadProfile, solar })
+        : dispatchDaily({ ...params, selfKwh, sunHours: clampField(s, "psh") });
+      selfKwh = r.selfKwh;
+      expKwh = r.expKwh;
+      batteryOutKwh = r.dischargedKwh;
+      // Ciclos equivalentes sobre la capacidad útil nominal.
+      const cycles = (r.chargedKwh * Math.sqrt(battery.efficiency)) / (batteryKwh * battery.dod);
+      batteryHealth = Math.max(0, batteryHealth - battery.fade * cycles);
+    }
+
+    const exportPrice = tariffY * exportFactor;
+
+    const savingsSelf = selfKwh * tariffY;
+    const revenueExp = expKwh * exportPrice;
+    const savings = savingsSelf + revenueExp;
+
+    if (y > 1) om = om * (1 + omEsc);
+
+    const benefitTax = global.includeTaxBenefit && !corporate ? taxBenefitByYear[y - 1] : 0;
+    const capitalCost = capitalEvents.reduce((acc, e) => (e.year === y ? acc + e.cost : acc), 0);
+
+    let incomeTax = 0;
+    if (taxLedger) {
+      // La inversión inicial se deprecia desde el año 1; reemplazos y eventos, desde su año.
+      const row = taxLedger(y, { ebitda: savings - om, investment: (y === 1 ? capexNeto : 0) + batteryCost + capitalCost });
+      taxTable.push(row);
+      incomeTax = row.tax;
+    }
+    const net = savings - om + benefitTax - batteryCost - capitalCost - incomeTax;
+
+    cashflows[y] = net;
+
+    annuals.push({
+      year: y,
+      tariff: tariffY,
+      generationKwh: gen,
+      selfKwh,
+      expKwh,
+      savingsSelf,
+      revenueExp,
+      savings,
+      om,
+      taxBenefit: benefitTax,
+      batteryOutKwh,
+      batteryCost,
+      capitalCost,
+      incomeTax,
+      net,
+      cum: (annuals[y - 2]?.cum ?? cashflows[0]) + net
+    });
+  }
+
+  // Todo lo anterior es nominal. En base real los flujos pasan a pesos del
+  // año 0 y las tasas se descuentan de inflación (el VPN no cambia).
+  const inflation = clampField(s, "inflation", 0);
+  const basis = global.realTerms ? "real" : "nominal";
+  const deflators = cashflows.map((_, t) => (basis === "real" ? Math.pow(1 + inflation, t) : 1));
+  const toBasis = (r) => (basis === "real" ? (1 + r) / (1 + inflation) - 1 : r);
+  const nominalCashflows = [...cashflows];
+  if (basis === "real") {
+    for (let t = 1; t <= years; t++) cashflows[t] /= deflators[t];
+    annuals.forEach((a, i) => {
+      for (const k of MONEY_FIELDS) a[k] /= deflators[a.year];
+      a.cum = (annuals[i - 1]?.cum ?? cashflows[0]) + a.net;
+    });
+    for (const e of capitalEvents) e.cost /= deflators[e.year];
+    for (const r of taxTable) {
+      for (const k of TAX_MONEY_FIELDS) r[k] /= deflators[r.year];
+    }
+  }
+  const rate = toBasis(discount);
+
+  const NPV = npv(rate, cashflows);
+  const irrInfo = irrAnalysis(cashflows);
+  const MIRR = mirr(
+    cashflows,
+    toBasis(clampField(s, "mirrFinanceRate", discount)),
+    toBasis(clampField(s, "mirrReinvestRate", discount))
+  );
+  const pb = paybackYear(cashflows);
+  const dpb = discountedPayback(rate, cashflows);
+  const roi1 = capexNeto > 0 ? cashflows[1] / capexNeto : null;
+
+  // Crédito opcional: VPN/TIR del proyecto no cambian; se agregan los del
+  // inversionista y la cobertura de la deuda.
+  const loanShare = clampField(s, "loanShare", 0);
+  const financing =
+    loanShare > 0
+      ? financeCashflows(nominalCashflows, {
+          loanShare,
+          loanRate: clampField(s, "loanRate", 0.13),
+          loanTermYears: Math.round(clampField(s, "loanTermYears", 7)),
+          loanGraceYears: Math.round(clampField(s, "loanGraceYears", 0)),
+          loanAmortization: AMORTIZATION_METHODS.includes(s.loanAmortization) ? s.loanAmortization : "french",
+          loanFeeRate: clampField(s, "loanFeeRate", 0.01),
+          discountRate: rate,
+          deflators
+        })
+      : null;
+
+  // Costo y valor nivelados por kWh generado.
+  const genByYear = annuals.map((a) => a.generationKwh);
+  const lcoe = levelizedCost({
+    capex: capexNeto,
+    omByYear: annuals.map((a) => a.om + a.batteryCost + a.capitalCost),
+    genByYear,
+    rate
+  });
+  const levelizedSavings = levelizedValue({ valuesByYear: annuals.map((a) => a.savings), genByYear, rate });
+  const levelizedTariff = levelizedValue({
+    valuesByYear: annuals.map((a) => a.tariff * a.generationKwh),
+    genByYear,
+    rate
+  });
+
+  const y1 = annuals[0];
+  const exportShareY1 =
+    y1 && y1.savings > 0 ? clamp(y1.revenueExp / y1.savings, 0, 1) : 0;
+  const monthlyY1 = y1 ? monthlyBreakdown(s, y1, { plant, pshMonthly, hourly, solar, selfFrac, exportFactor }) : [];
+  const selfConsumptionY1 = y1 && y1.generationKwh > 0 ? y1.selfKwh / y1.generationKwh : selfFrac;
+
+  return {
+    years,
+    discountRate: rate,
+    discountRateNominal: discount,
+    basis,
+    inflation,
+    deflators,
+    capexNeto,
+    cashflows,
+    annuals,
+    NPV,
+    IRR: irrInfo.irr,
+    irrRoots: irrInfo.roots,
+    irrStatus: irrInfo.status,
+    MIRR,
+    payback: pb,
+    paybackFrac: paybackPeriod(cashflows),
+    discountedPayback: dpb.year,
+    discountedPaybackFrac: dpb.period,
+    roi1,
+    exportShareY1,
+    selfConsumptionSource: hourly ? "hourly" : "fixed",
+    selfConsumptionY1,
+    loadKwh,
+    loadCoverageY1: hourly && loadKwh > 0 ? y1.selfKwh / loadKwh : null,
+    pshSource: pshMonthly ? "monthly" : "annual",
+    hasBattery: battery != null,
+    batteryHealthEnd: battery ? batteryHealth : null,
+    capitalEvents,
+    financing,
+    taxMode: corporate ? "corporate" : "simple",
+    taxConfig,
+    taxTable,
+    monthlyY1,
+    lcoe,
+    levelizedSavings,
+    levelizedTariff,
+    gridParityYear: gridParityYear(annuals.map((a) => a.tariff), lcoe)
+  };
+}
+
+/**
+ * Año 1 mes a mes (generación, autoconsumo, excedentes y ahorro) con la
+ * tarifa del año 1; los 12 meses suman la fila anual. Con batería, la
+ * energía desplazada se reparte en proporción a los excedentes de cada mes.
+ */
+function monthlyBreakdown(s, y1, { plant, pshMonthly, hourly, solar, selfFrac, exportFactor }) {
+  const gen = monthlyGenerationKwh({ ...plant, pshMonthly, year: 1 });
+  const direct = hourly
+    ? simulateHourlyByMonth({ load: s.loadProfile, solar, genKwh: y1.generationKwh }).map((m) => m.selfKwh)
+    : gen.map((g) => g * selfFrac);
+  const surplus = gen.map((g, m) => g - direct[m]);
+  const totalSurplus = surplus.reduce((a, b) => a + b, 0);
+  const share = (m) => (totalSurplus > 0 ? surplus[m] / totalSurplus : 0);
+  const addedSelf = y1.selfKwh - direct.reduce((a, b) => a + b, 0);
+  const removedExp = totalSurplus - y1.expKwh;
+
+  const exportPrice = y1.tariff * exportFactor;
+  return DAYS_IN_MONTH.map((_, m) => {
+    const selfKwh = direct[m] + addedSelf * share(m);
+    const expKwh = surplus[m] - removedExp * share(m);
+    const savingsSelf = selfKwh * y1.tariff;
+    const revenueExp = expKwh * exportPrice;
+    return {
+      month: m + 1,
+      generationKwh: gen[m],
+      selfKwh,
+      expKwh,
+      savingsSelf,
+      revenueExp,
+      savings: savingsSelf + revenueExp
+    };
+  });
+}
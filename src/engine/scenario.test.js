@@ -0,0 +1,173 @@
+import { describe, it, expect } from "vitest";
+import { computeScenario } from "./scenario.js";
+import { npv } from "./finance.js";
+
+// 1 kW × 1 h × 365 × PR 1 = 365 kWh/año, todo autoconsumido a 100 COP/kWh.
+const simple = {
+  name: "Golden",
+  kW: 1,
+  lifeYears: 5,
+  tariff: 100,
+  tariffEscalation: 0,
+  tariffVolatility: 0,
+  selfConsumption: 1,
+  capex: 73000,
+  omAnnual: 0,
+  discountRate: 0.1,
+  psh: 1,
+  pr: 1,
+  degAnnual: 0,
+  exportFactor: 0.5,
+  incentiveScheme: "none",
+  ivaRate: 0.19,
+  arancelRate: 0.05,
+  taxRate: 0.35,
+  deductionYears: 15,
+  taxableIncome: 0
+};
+const global = { includeTaxBenefit: true, useVolatility: false, includeExports: true };
+
+describe("computeScenario", () => {
+  it("golden: flujo plano", () => {
+    const m = computeScenario(simple, global);
+    expect(m.cashflows).toEqual([-73000, 36500, 36500, 36500, 36500, 36500]);
+    expect(m.NPV).toBeCloseTo(65363.72, 2);
+    expect(m.payback).toBe(2);
+    expect(m.roi1).toBe(0.5);
+    expect(Math.abs(npv(m.IRR, m.cashflows))).toBeLessThan(1e-3);
+    expect(m.annuals.at(-1).cum).toBe(-73000 + 5 * 36500);
+  });
+
+  it("golden: LCOE = CAPEX / energía total sin O&M ni descuento", () => {
+    const m = computeScenario({ ...simple, discountRate: 0.01 }, global);
+    const energy = [1, 2, 3, 4, 5].reduce((acc, t) => acc + 365 / Math.pow(1.01, t), 0);
+    expect(m.lcoe).toBeCloseTo(73000 / energy, 9);
+    expect(m.levelizedTariff).toBeCloseTo(100, 9);
+    expect(m.levelizedSavings).toBeCloseTo(100, 9);
+    expect(m.gridParityYear).toBe(1);
+  });
+
+  it("paridad de red cuando la tarifa supera el LCOE", () => {
+    const m = computeScenario({ ...simple, capex: 300000, tariffEscalation: 0.35 }, global);
+    // Tarifas 100 → 135 → 182,25 → 246,04; LCOE ≈ 216,8.
+    expect(m.lcoe).toBeCloseTo(300000 / (365 * 3.790787), 2);
+    expect(m.gridParityYear).toBe(4);
+    expect(computeScenario({ ...simple, capex: 1e7 }, global).gridParityYear).toBeNull();
+  });
+
+  it("TIR con estado y TIRM a las tasas del escenario", () => {
+    const m = computeScenario({ ...simple, mirrFinanceRate: 0.1, mirrReinvestRate: 0.1 }, global);
+    expect(m.irrStatus).toBe("ok");
+    expect(m.irrRoots).toEqual([m.IRR]);
+    const fv = [4, 3, 2, 1, 0].reduce((acc, k) => acc + 36500 * 1.1 ** k, 0);
+    expect(m.MIRR).toBeCloseTo((fv / 73000) ** (1 / 5) - 1, 12);
+  });
+
+  it("TIRM usa la tasa de descuento si el escenario no trae sus tasas", () => {
+    expect(simple).not.toHaveProperty("mirrFinanceRate");
+    const a = computeScenario(simple, global);
+    const b = computeScenario({ ...simple, mirrFinanceRate: 0.1, mirrReinvestRate: 0.1 }, global);
+    expect(a.MIRR).toBeCloseTo(b.MIRR, 12);
+  });
+
+  it("separa autoconsumo y excedentes", () => {
+    const m = computeScenario({ ...simple, selfConsumption: 0.6 }, global);
+    const y1 = m.annuals[0];
+    expect(y1.selfKwh).toBeCloseTo(219, 9);
+    expect(y1.expKwh).toBeCloseTo(146, 9);
+    expect(y1.revenueExp).toBeCloseTo(146 * 50, 9);
+    expect(m.exportShareY1).toBeCloseTo(7300 / (21900 + 7300), 9);
+  });
+
+  it("sin excedentes no hay ingreso por exportación", () => {
+    const m = computeScenario({ ...simple, selfConsumption: 0.6 }, { ...global, includeExports: false });
+    expect(m.annuals[0].revenueExp).toBe(0);
+    expect(m.exportShareY1).toBe(0);
+  });
+
+  it("CAPEX cero: sin TIR, payback inmediato y ROI año 1 indefinido", () => {
+    const m = computeScenario({ ...simple, capex: 0 }, global);
+    expect(m.IRR).toBeNull();
+    expect(m.payback).toBe(0);
+    expect(m.roi1).toBeNull();
+  });
+
+  it("la deducción de renta solo suma con el toggle", () => {
+    const s = { ...simple, incentiveScheme: "co_full" };
+    const on = computeScenario(s, global);
+    const off = computeScenario(s, { ...global, includeTaxBenefit: false });
+    expect(on.annuals[0].taxBenefit).toBeGreaterThan(0);
+    expect(off.annuals[0].taxBenefit).toBe(0);
+    expect(on.NPV).toBeGreaterThan(off.NPV);
+  });
+
+  it("la volatilidad estable es reproducible por semilla", () => {
+    const s = { ...simple, tariffVolatility: 0.2 };
+    const g = { ...global, useVolatility: true };
+    expect(computeScenario(s, g, "A").cashflows).toEqual(computeScenario(s, g, "A").cashflows);
+    expect(computeScenario(s, g, "A").cashflows).not.toEqual(computeScenario(s, g, "B").cashflows);
+  });
+
+  it("horizonte mínimo de 5 años", () => {
+    expect(computeScenario({ ...simple, lifeYears: 2 }, global).years).toBe(5);
+  });
+
+  it("acota potencia, HSP, PR y degradación: nunca genera energía negativa", () => {
+    for (const bad of [{ kW: -5 }, { psh: -1 }, { pr: -0.8 }]) {
+      const m = computeScenario({ ...simple, ...bad }, global);
+      expect(m.annuals.every((a) => a.generationKwh === 0)).toBe(true);
+    }
+    const capped = computeScenario({ ...simple, pr: 3, degAnnual: -0.5 }, global);
+    expect(capped.annuals.map((a) => a.generationKwh)).toEqual(Array(5).fill(365));
+    expect(capped.monthlyY1.reduce((a, m) => a + m.generationKwh, 0)).toBeCloseTo(365, 6);
+  });
+});
+
+describe("computeScenario • modos de tarifa", () => {
+  it("manual alimenta el ahorro año a año", () => {
+    const m = computeScenario({ ...simple, tariffMode: "manual", tariffList: "100, 200" }, global);
+    expect(m.annuals[1].savings).toBe(365 * 200);
+    expect(m.annuals[2].tariff).toBe(200);
+  });
+
+  it("cíclico usa volatilidad y ciclo del escenario", () => {
+    const m = computeScenario({ ...simple, tariffMode: "ciclico", tariffVolatility: 0.2, cycleYears: 4 }, global);
+    expect(m.annuals[1].tariff).toBeCloseTo(120, 9);
+    expect(m.annuals[3].tariff).toBeCloseTo(80, 9);
+  });
+});
+
+describe("computeScenario: inflación y base real", () => {
+  const global = { includeTaxBenefit: false, useVolatility: false, includeExports: true };
+  const s = { ...simple, tariffEscalation: 0.08, omAnnual: 1000, omEscalation: 0.03, inflation: 0.05 };
+  const nominal = computeScenario(s, global);
+  const real = computeScenario(s, { ...global, realTerms: true });
+
+  it("el O&M escala con su propia tasa; sin ella, con la de la tarifa", () => {
+    expect(nominal.annuals[1].om).toBeCloseTo(1030, 9);
+    const { omEscalation, ...old } = s;
+    expect(computeScenario(old, global).annuals[1].om).toBeCloseTo(1080, 9);
+  });
+
+  it("deflacta flujos y tasas; el VPN es el mismo en ambas bases", () => {
+    expect(nominal.basis).toBe("nominal");
+    expect(real.basis).toBe("real");
+    expect(real.cashflows[0]).toBe(nominal.cashflows[0]);
+    expect(real.cashflows[3]).toBeCloseTo(nominal.cashflows[3] / 1.05 ** 3, 6);
+    expect(real.annuals[2].tariff).toBeCloseTo(nominal.annuals[2].tariff / 1.05 ** 3, 9);
+    expect(real.discountRate).toBeCloseTo(1.1 / 1.05 - 1, 12);
+    expect(real.NPV).toBeCloseTo(nominal.NPV, 6);
+    expect(real.IRR).toBeCloseTo((1 + nominal.IRR) / 1.05 - 1, 6);
+    expect(real.annuals[4].cum).toBeCloseTo(real.cashflows.reduce((a, b) => a + b, 0), 6);
+  });
+
+  it("el crédito sigue siendo nominal y el VPN del inversionista no cambia de base", () => {
+    const loan = { ...s, loanShare: 0.5, loanTermYears: 3 };
+    const fn = computeScenario(loan, global).financing;
+    const fr = computeScenario(loan, { ...global, realTerms: true }).financing;
+    expect(fr.schedule).toEqual(fn.schedule);
+    expect(fr.minDscr).toBe(fn.minDscr);
+    expect(fr.NPV).toBeCloseTo(fn.NPV, 6);
+    expect(fr.equityCashflows[2]).toBeCloseTo(fn.equityCashflows[2] / 1.05 ** 2, 6);
+  });
+});
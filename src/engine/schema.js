@@ -0,0 +1,408 @@
+import { clamp, n } from "./utils.js";
+import { isHourlyProfile } from "./hourly.js";
+import { isMonthlyPsh } from "./generation.js";
+import { isCapitalEvents } from "./capitalEvents.js";
+import { AMORTIZATION_METHODS } from "./financing.js";
+import { TAX_MODES } from "./tax.js";
+
+/**
+ * Entrada de `computeScenario`. Tasas y fracciones van en 0–1; montos en COP.
+ *
+ * @typedef {Object} Scenario
+ * @property {string} id                 Clave única dentro del estudio ("A", "B", …).
+ * @property {string} name
+ * @property {string} color              Color de la serie en la gráfica (#rrggbb).
+ * @property {number} kW                 Potencia FV instalada.
+ * @property {number} lifeYears          Horizonte (mín. 5).
+ * @property {number} tariff             Tarifa base año 1 (COP/kWh).
+ * @property {number} tariffEscalation   Escalamiento anual nominal de la tarifa (0–0.35).
+ * @property {number} inflation          Inflación anual esperada (0–0.5); convierte a base real.
+ * @property {number} omEscalation       Escalamiento anual nominal del O&M (0–0.35).
+ * @property {"escalado"|"manual"|"ciclico"} tariffMode
+ * @property {string} tariffList         Tarifas año a año (modo "manual"), separadas por coma o salto de línea.
+ * @property {number} tariffVolatility   Amplitud ± de la volatilidad estable y del ciclo (0–0.5).
+ * @property {number} cycleYears         Periodo del modo "ciclico" (2–10).
+ * @property {number} selfConsumption    Fracción autoconsumida (0–1); se usa en modo "fixed".
+ * @property {"fixed"|"hourly"} selfConsumptionMode  "hourly" = autoconsumo derivado del perfil de carga.
+ * @property {number[]|null} loadProfile  Consumo horario (kWh), 8760 valores.
+ * @property {string} loadProfileName    Nombre del archivo de consumo.
+ * @property {number[]|null} solarProfile Forma de la generación horaria (8760); null = genérica.
+ * @property {string} solarProfileName   Nombre del archivo del perfil solar.
+ * @property {number} capex              CAPEX bruto (incluye IVA).
+ * @property {number} omAnnual           O&M año 1.
+ * @property {number} discountRate       Tasa de descuento nominal (0.01–0.6).
+ * @property {number} mirrFinanceRate    TIRM: tasa de financiación de los flujos negativos (0–0.6).
+ * @property {number} mirrReinvestRate   TIRM: tasa de reinversión de los flujos positivos (0–0.6).
+ * @property {number} psh                Horas solares pico (h/día); en modo "monthly", promedio de `pshMonthly`.
+ * @property {"annual"|"monthly"} pshMode
+ * @property {number[]|null} pshMonthly  12 HSP mensuales (ene–dic): estacionalidad de la generación.
+ * @property {string} siteKey            Clave de `SITES` usada para HSP/PR; "" = valores manuales.
+ * @property {number} pr                 Performance ratio (0–1).
+ * @property {number} degAnnual          Degradación anual (0–0.05).
+ * @property {number} exportFactor       Precio excedentes como fracción de la tarifa (0–1).
+ * @property {number} batteryKwh         Capacidad nominal de la batería; 0 = sin batería.
+ * @property {number} batteryPowerKw     Potencia máx. de carga/descarga.
+ * @property {number} batteryEfficiency  Eficiencia ida y vuelta (0.5–1).
+ * @property {number} batteryDod         Profundidad de descarga utilizable (0.1–1).
+ * @property {number} batteryCycleLife   Ciclos equivalentes hasta el 80% de capacidad.
+ * @property {number} batteryCapex       CAPEX de la batería (se suma al CAPEX del FV); también el costo de reemplazo.
+ * @property {number} batteryReplacementYear Año de reemplazo (restaura la capacidad); 0 = sin reemplazo.
+ * @property {CapitalEvent[]} capitalEvents Reemplazos/ampliaciones programados.
+ * @property {number} loanShare          Fracción de la inversión del año 0 financiada con crédito; 0 = contado.
+ * @property {number} loanRate           Tasa efectiva anual del crédito (0–0.6).
+ * @property {number} loanTermYears      Plazo en años, incluida la gracia (1–30).
+ * @property {number} loanGraceYears     Años iniciales en que solo se pagan intereses (0–10).
+ * @property {"french"|"german"} loanAmortization  Cuota fija o abono a capital constante.
+ * @property {number} loanFeeRate        Comisión de apertura sobre el monto del crédito (0–0.1).
+ * @property {number} leaseMonthly       Canon mensual del leasing operativo (año 1).
+ * @property {number} leaseEscalation    Escalamiento anual del canon (0–0.35).
+ * @property {number} ppaPrice           Precio PPA año 1 (COP/kWh autoconsumido).
+ * @property {number} ppaEscalation      Escalamiento anual del precio PPA (0–0.35).
+ * @property {string} incentiveScheme    Clave de `INCENTIVOS`.
+ * @property {number} ivaRate            (0–0.3)
+ * @property {number} arancelRate        (0–0.2)
+ * @property {number} taxRate            Tarifa de renta (0–0.5).
+ * @property {number} deductionYears     Años para repartir la deducción (1–15).
+ * @property {"none"|"income"} deductionCap  Modo "simple": sin tope o deducción anual topada al 50% de
+ *   `taxableIncome` (con ingreso 0 no hay deducción, como en el modelo antiguo).
+ * @property {number} taxableIncome      Ingreso gravable anual (modo "simple" con tope) o renta líquida de la
+ *   empresa sin el proyecto (modo "corporate"; 0 = el proyecto tributa solo).
+ * @property {"simple"|"corporate"} taxMode  "corporate" = flujo después de impuestos con depreciación y arrastres.
+ * @property {number} depreciationYears  Años de depreciación fiscal en línea recta (modo "corporate"; Ley 1715: 3).
+ */
+
+/**
+ * @typedef {Object} CapitalEvent
+ * @property {number} year               Año del desembolso (1–60).
+ * @property {string} description
+ * @property {number} cost               Costo en pesos de hoy.
+ * @property {number} [escalation]       Escalamiento anual del costo hasta `year`.
+ */
+
+/**
+ * @typedef {Object} GlobalOptions
+ * @property {boolean} includeTaxBenefit
+ * @property {boolean} useVolatility
+ * @property {boolean} includeExports
+ * @property {boolean} realTerms          true = flujos y métricas en pesos del año 0 (base real).
+ */
+
+/* ---------------- Rangos ---------------- */
+
+/**
+ * Rangos válidos de los campos numéricos. `computeScenario` acota con ellos
+ * (`clampField`) y la importación de estudios los usa para reportar valores
+ * fuera de rango. Sin `min`/`max` = sin límite por ese lado.
+ */
+export const SCENARIO_RANGES = {
+  kW: { min: 0 },
+  lifeYears: { min: 5 },
+  tariff: { min: 0 },
+  tariffEscalation: { min: 0, max: 0.35 },
+  inflation: { min: 0, max: 0.5 },
+  omEscalation: { min: 0, max: 0.35 },
+  tariffVolatility: { min: 0, max: 0.5 },
+  cycleYears: { min: 2, max: 10 },
+  selfConsumption: { min: 0, max: 1 },
+  capex: { min: 0 },
+  omAnnual: { min: 0 },
+  discountRate: { min: 0.01, max: 0.6 },
+  mirrFinanceRate: { min: 0, max: 0.6 },
+  mirrReinvestRate: { min: 0, max: 0.6 },
+  psh: { min: 0 },
+  pr: { min: 0, max: 1 },
+  degAnnual: { min: 0, max: 0.05 },
+  exportFactor: { min: 0, max: 1 },
+  batteryKwh: { min: 0 },
+  batteryPowerKw: { min: 0 },
+  batteryEfficiency: { min: 0.5, max: 1 },
+  batteryDod: { min: 0.1, max: 1 },
+  batteryCycleLife: { min: 100 },
+  batteryCapex: { min: 0 },
+  batteryReplacementYear: { min: 0, max: 60 },
+  loanShare: { min: 0, max: 1 },
+  loanRate: { min: 0, max: 0.6 },
+  loanTermYears: { min: 1, max: 30 },
+  loanGraceYears: { min: 0, max: 10 },
+  loanFeeRate: { min: 0, max: 0.1 },
+  leaseMonthly: { min: 0 },
+  leaseEscalation: { min: 0, max: 0.35 },
+  ppaPrice: { min: 0 },
+  ppaEscalation: { min: 0, max: 0.35 },
+  ivaRate: { min: 0, max: 0.3 },
+  arancelRate: { min: 0, max: 0.2 },
+  taxRate: { min: 0, max: 0.5 },
+  deductionYears: { min: 1, max: 15 },
+  taxableIncome: { min: 0 },
+  depreciationYears: { min: 1, max: 30 }
+};
+
+export const TARIFF_MODES = ["escalado", "manual", "ciclico"];
+
+export const SELF_CONSUMPTION_MODES = ["fixed", "hourly"];
+
+export const PSH_MODES = ["annual", "monthly"];
+
+/** Tope anual de la deducción de renta (modo "simple"). */
+export const DEDUCTION_CAPS = ["none", "income"];
+
+/**
+ * Valor de `s[key]` acotado a `SCENARIO_RANGES[key]`; `fallback` si el campo
+ * no existe (escenarios de versiones anteriores o armados a mano).
+ */
+export function clampField(s, key, fallback) {
+  const { min = -Infinity, max = Infinity } = SCENARIO_RANGES[key];
+  return clamp(s[key] ?? fallback, min, max);
+}
+
+/** Colores asignados a los escenarios nuevos, en orden. */
+export const SCENARIO_PALETTE = [
+  "#22c55e",
+  "#3b82f6",
+  "#a855f7",
+  "#f59e0b",
+  "#ef4444",
+  "#14b8a6",
+  "#ec4899",
+  "#84cc16"
+];
+
+// `colorKey` del esquema v1 → color.
+const COLOR_KEYS = { green: "#22c55e", blue: "#3b82f6", purple: "#a855f7" };
+
+/** @returns {Scenario} */
+export const defaultScenario = (name, color, id = "") => ({
+  id,
+  name,
+  color,
+  kW: 22.2,
+  lifeYears: 25,
+  tariff: 1080,
+  tariffEscalation: 0.08,
+  inflation: 0.05,
+  omEscalation: 0.08,
+  tariffMode: "escalado",
+  tariffList: "",
+  tariffVolatility: 0.08,
+  cycleYears: 4,
+  selfConsumption: 0.65,
+  selfConsumptionMode: "fixed",
+  loadProfile: null,
+  loadProfileName: "",
+  solarProfile: null,
+  solarProfileName: "",
+  capex: 64727982,
+  omAnnual: 450000,
+  discountRate: 0.12,
+  mirrFinanceRate: 0.12,
+  mirrReinvestRate: 0.12,
+  // Engineer
+  psh: 4.1,
+  pshMode: "annual",
+  pshMonthly: null,
+  siteKey: "",
+  pr: 0.8,
+  degAnnual: 0.006,
+  exportFactor: 0.45,
+  // Batería (opcional)
+  batteryKwh: 0,
+  batteryPowerKw: 5,
+  batteryEfficiency: 0.9,
+  batteryDod: 0.9,
+  batteryCycleLife: 6000,
+  batteryCapex: 0,
+  batteryReplacementYear: 0,
+  // Eventos de capital
+  capitalEvents: [],
+  // Financiación
+  loanShare: 0,
+  loanRate: 0.13,
+  loanTermYears: 7,
+  loanGraceYears: 0,
+  loanAmortization: "french",
+  loanFeeRate: 0.01,
+  // Leasing y PPA
+  leaseMonthly: 1200000,
+  leaseEscalation: 0.05,
+  ppaPrice: 800,
+  ppaEscalation: 0.05,
+  // Incentivos
+  incentiveScheme: "co_full",
+  ivaRate: 0.19,
+  arancelRate: 0.05,
+  taxRate: 0.35,
+  deductionYears: 15,
+  deductionCap: "none",
+  taxableIncome: 0,
+  // Renta
+  taxMode: "simple",
+  depreciationYears: 3
+});
+
+/** Escenarios A/B/C de arranque. */
+export const defaultScenarios = () => [
+  defaultScenario("Conservador", "#22c55e", "A"),
+  { ...defaultScenario("Base", "#3b82f6", "B"), tariff: 1080, selfConsumption: 0.65 },
+  { ...defaultScenario("Optimista", "#a855f7", "C"), tariff: 1200, selfConsumption: 0.75, tariffEscalation: 0.1, omEscalation: 0.1 }
+];
+
+export const defaultGlobal = () => ({
+  includeTaxBenefit: true,
+  useVolatility: false,
+  includeExports: true,
+  realTerms: false
+});
+
+/* ---------------- Migración ---------------- */
+
+// Nombres del antiguo SmartEnergyROIApp → esquema unificado.
+const LEGACY_FIELDS = {
+  potencia: "kW",
+  vida: "lifeYears",
+  tarifaBase: "tariff",
+  escTarifa: "tariffEscalation",
+  tarifaLista: "tariffList",
+  volatilidad: "tariffVolatility",
+  ciclo: "cycleYears",
+  autoconsumo: "selfConsumption",
+  om: "omAnnual",
+  tasaDesc: "discountRate",
+  degrad: "degAnnual",
+  incentivoId: "incentiveScheme",
+  ingresoGravableAnual: "taxableIncome",
+  tasaImpuestoRenta: "taxRate",
+  anosDeduccionRenta: "deductionYears"
+};
+
+const TEXT_FIELDS = new Set([
+  "id",
+  "name",
+  "color",
+  "tariffMode",
+  "tariffList",
+  "incentiveScheme",
+  "selfConsumptionMode",
+  "loadProfileName",
+  "solarProfileName",
+  "pshMode",
+  "siteKey",
+  "loanAmortization",
+  "taxMode",
+  "deductionCap"
+]);
+
+// Campos de tipo arreglo: validación y descripción para los avisos.
+const ARRAY_FIELDS = {
+  loadProfile: { check: isHourlyProfile, expected: "8760 valores numéricos" },
+  solarProfile: { check: isHourlyProfile, expected: "8760 valores numéricos" },
+  pshMonthly: { check: isMonthlyPsh, expected: "12 valores numéricos ≥ 0" },
+  capitalEvents: { check: isCapitalEvents, expected: "eventos { year (1–60), description, cost, escalation }" }
+};
+
+const renameLegacy = (src) =>
+  Object.fromEntries(Object.entries(src).map(([k, v]) => [LEGACY_FIELDS[k] || k, v]));
+
+/**
+ * Campos que `migrateScenario` deriva de otros cuando faltan (escenarios de
+ * antes de que existieran). Quien complete un escenario con valores por
+ * defecto antes de migrarlo debe dejarlos ausentes.
+ */
+export const MIGRATED_FIELDS = ["omEscalation", "deductionCap"];
+
+/**
+ * Lleva un escenario (esquema actual o del antiguo SmartEnergyROIApp) al
+ * esquema unificado: renombra campos, convierte texto a número y completa lo
+ * que falte con `defaultScenario`.
+ *
+ * @returns {Scenario}
+ */
+export function migrateScenario(raw, fallbackName = "Escenario", fallbackColor = SCENARIO_PALETTE[0]) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const isLegacy = Object.keys(LEGACY_FIELDS).some((k) => k in src);
+  const color = src.color || COLOR_KEYS[src.colorKey] || fallbackColor;
+  const base = defaultScenario(src.name || fallbackName, color, src.id == null ? "" : String(src.id));
+  // El modelo antiguo no valoraba excedentes: se conserva su resultado.
+  if (isLegacy) base.exportFactor = 0;
+
+  const out = { ...base };
+  for (const [target, value] of Object.entries(renameLegacy(src))) {
+    if (!(target in base)) continue;
+    if (TEXT_FIELDS.has(target)) out[target] = String(value ?? "");
+    else if (ARRAY_FIELDS[target]) out[target] = ARRAY_FIELDS[target].check(value) ? value : base[target];
+    else out[target] = n(value, base[target]);
+  }
+  // Antes de `deductionCap` el ingreso gravable topaba la deducción: en el
+  // modelo antiguo siempre (0 = sin deducción); después, solo si era > 0.
+  if (!("deductionCap" in src)) out.deductionCap = isLegacy || out.taxableIncome > 0 ? "income" : "none";
+  // Antes de `omEscalation` el O&M escalaba con la tarifa.
+  if (!("omEscalation" in src)) out.omEscalation = out.tariffEscalation;
+  return out;
+}
+
+/* ---------------- Validación ---------------- */
+
+/**
+ * Revisa un escenario tal como viene de fuera (acepta nombres antiguos) sin
+ * corregirlo. Devuelve un problema por campo inválido o fuera de rango;
+ * los campos ausentes no se reportan (se completan al migrar).
+ *
+ * @returns {{ field: string, value: *, message: string }[]}
+ */
+export function validateScenario(raw, { incentiveKeys = [], siteKeys = [] } = {}) {
+  if (!raw || typeof raw !== "object") {
+    return [{ field: "*", value: raw, message: "no es un escenario" }];
+  }
+  const src = renameLegacy(raw);
+  const issues = [];
+
+  for (const [field, { min, max }] of Object.entries(SCENARIO_RANGES)) {
+    if (!(field in src)) continue;
+    const value = src[field];
+    const v = n(value, NaN);
+    if (!Number.isFinite(v)) {
+      issues.push({ field, value, message: `${field}: "${value}" no es un número` });
+    } else if ((min != null && v < min) || (max != null && v > max)) {
+      const range = `[${min ?? "−∞"}, ${max ?? "∞"}]`;
+      issues.push({ field, value, message: `${field}: ${v} fuera de rango ${range}` });
+    }
+  }
+
+  if ("tariffMode" in src && !TARIFF_MODES.includes(src.tariffMode)) {
+    issues.push({ field: "tariffMode", value: src.tariffMode, message: `tariffMode: "${src.tariffMode}" no existe` });
+  }
+  if ("selfConsumptionMode" in src && !SELF_CONSUMPTION_MODES.includes(src.selfConsumptionMode)) {
+    issues.push({
+      field: "selfConsumptionMode",
+      value: src.selfConsumptionMode,
+      message: `selfConsumptionMode: "${src.selfConsumptionMode}" no existe`
+    });
+  }
+  if ("pshMode" in src && !PSH_MODES.includes(src.pshMode)) {
+    issues.push({ field: "pshMode", value: src.pshMode, message: `pshMode: "${src.pshMode}" no existe` });
+  }
+  if ("taxMode" in src && !TAX_MODES.includes(src.taxMode)) {
+    issues.push({ field: "taxMode", value: src.taxMode, message: `taxMode: "${src.taxMode}" no existe` });
+  }
+  if ("deductionCap" in src && !DEDUCTION_CAPS.includes(src.deductionCap)) {
+    issues.push({ field: "deductionCap", value: src.deductionCap, message: `deductionCap: "${src.deductionCap}" no existe` });
+  }
+  if ("loanAmortization" in src && !AMORTIZATION_METHODS.includes(src.loanAmortization)) {
+    issues.push({
+      field: "loanAmortization",
+      value: src.loanAmortization,
+      message: `loanAmortization: "${src.loanAmortization}" no existe`
+    });
+  }
+  for (const [field, { check, expected }] of Object.entries(ARRAY_FIELDS)) {
+    if (src[field] != null && !check(src[field])) {
+      issues.push({ field, value: "[…]", message: `${field}: se esperaban ${expected}` });
+    }
+  }
+  if (siteKeys.length && src.siteKey && !siteKeys.includes(src.siteKey)) {
+    issues.push({ field: "siteKey", value: src.siteKey, message: `siteKey: "${src.siteKey}" no existe` });
+  }
+  if (incentiveKeys.length && "incentiveScheme" in src && !incentiveKeys.includes(src.incentiveScheme)) {
+    issues.push({ field: "incentiveScheme", value: src.incentiveScheme, message: `incentiveScheme: "${src.incentiveScheme}" no existe` });
+  }
+  return issues;
+}
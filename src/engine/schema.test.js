@@ -0,0 +1,143 @@
+import { describe, it, expect } from "vitest";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultScenarios, migrateScenario, validateScenario, clampField } from "./schema.js";
+
+const global = { includeTaxBenefit: true, useVolatility: false, includeExports: true };
+
+describe("migrateScenario", () => {
+  const legacy = {
+    name: "Base",
+    vida: "5",
+    potencia: "1",
+    psh: 1,
+    pr: 1,
+    degrad: 0,
+    autoconsumo: 1,
+    capex: 73000,
+    om: 0,
+    escTarifa: 0,
+    tasaDesc: 0.1,
+    tarifaBase: "100",
+    tariffMode: "escalado",
+    tarifaLista: "100, 110",
+    volatilidad: 0.12,
+    ciclo: 4,
+    incentivoId: "co_iva_renta",
+    ingresoGravableAnual: 90000000,
+    tasaImpuestoRenta: 0.35,
+    anosDeduccionRenta: 5
+  };
+
+  it("renombra y convierte los campos del esquema antiguo", () => {
+    const s = migrateScenario(legacy);
+    expect(s).toMatchObject({
+      name: "Base",
+      kW: 1,
+      lifeYears: 5,
+      tariff: 100,
+      tariffList: "100, 110",
+      tariffVolatility: 0.12,
+      cycleYears: 4,
+      selfConsumption: 1,
+      omAnnual: 0,
+      discountRate: 0.1,
+      degAnnual: 0,
+      incentiveScheme: "co_iva_renta",
+      taxableIncome: 90000000,
+      deductionYears: 5,
+      exportFactor: 0
+    });
+    expect(s).not.toHaveProperty("potencia");
+  });
+
+  it("conserva el resultado del modelo antiguo", () => {
+    const m = computeScenario(migrateScenario({ ...legacy, incentivoId: "none" }), global);
+    expect(m.cashflows).toEqual([-73000, 36500, 36500, 36500, 36500, 36500]);
+  });
+
+  it("ingreso gravable 0 del modelo antiguo sigue sin deducción de renta", () => {
+    const s = migrateScenario({ ...legacy, ingresoGravableAnual: 0 });
+    expect(s.deductionCap).toBe("income");
+    expect(computeScenario(s, global).annuals.every((a) => a.taxBenefit === 0)).toBe(true);
+    expect(computeScenario(migrateScenario(legacy), global).annuals[0].taxBenefit).toBeGreaterThan(0);
+  });
+
+  it("sin deductionCap, un ingreso gravable > 0 se conserva como tope", () => {
+    expect(migrateScenario({ taxableIncome: 5e7 }).deductionCap).toBe("income");
+    expect(migrateScenario({ taxableIncome: 0 }).deductionCap).toBe("none");
+    expect(migrateScenario({ taxableIncome: 5e7, deductionCap: "none" }).deductionCap).toBe("none");
+  });
+
+  it("completa campos faltantes con los valores por defecto", () => {
+    const s = migrateScenario({ kW: "3,5" }, "X", "#22c55e");
+    expect(s).toEqual({ ...defaultScenario("X", "#22c55e"), kW: 3.5 });
+  });
+
+  it("descarta eventos de capital inválidos", () => {
+    expect(migrateScenario({ capitalEvents: "inversor" }).capitalEvents).toEqual([]);
+    const events = [{ year: 10, description: "Inversor", cost: 5e6, escalation: 0.05 }];
+    expect(migrateScenario({ capitalEvents: events }).capitalEvents).toEqual(events);
+  });
+
+  it("los escenarios de arranque escalan el O&M con su tarifa, como antes de separarlos", () => {
+    for (const s of defaultScenarios()) expect(s.omEscalation).toBe(s.tariffEscalation);
+  });
+
+  it("sin omEscalation, el O&M sigue escalando con la tarifa", () => {
+    expect(migrateScenario({ tariffEscalation: 0.1 }).omEscalation).toBe(0.1);
+    expect(migrateScenario({ tariffEscalation: 0.1, omEscalation: 0.04 }).omEscalation).toBe(0.04);
+  });
+
+  it("convierte colorKey (v1) a color", () => {
+    expect(migrateScenario({ colorKey: "purple" }).color).toBe("#a855f7");
+  });
+});
+
+describe("validateScenario", () => {
+  it("un escenario por defecto no tiene problemas", () => {
+    expect(validateScenario(defaultScenario("A", "green"), { incentiveKeys: ["co_full"] })).toEqual([]);
+  });
+
+  it("reporta fuera de rango sin corregir", () => {
+    const issues = validateScenario({ discountRate: 0.9, selfConsumption: -0.1, deductionYears: 20 });
+    expect(issues.map((i) => i.field)).toEqual(["selfConsumption", "discountRate", "deductionYears"]);
+    expect(issues[1]).toMatchObject({ value: 0.9, message: "discountRate: 0.9 fuera de rango [0.01, 0.6]" });
+  });
+
+  it("reporta valores no numéricos y opciones inexistentes", () => {
+    const issues = validateScenario(
+      { kW: "mucho", tariffMode: "spot", incentiveScheme: "xx" },
+      { incentiveKeys: ["none"] }
+    );
+    expect(issues.map((i) => i.field)).toEqual(["kW", "tariffMode", "incentiveScheme"]);
+  });
+
+  it("reporta un tope de deducción inexistente", () => {
+    expect(validateScenario({ deductionCap: "half" }).map((i) => i.field)).toEqual(["deductionCap"]);
+    expect(validateScenario({ deductionCap: "income" })).toEqual([]);
+  });
+
+  it("reporta modo de autoconsumo y perfiles inválidos", () => {
+    const issues = validateScenario({ selfConsumptionMode: "diario", loadProfile: [1, 2, 3] });
+    expect(issues.map((i) => i.field)).toEqual(["selfConsumptionMode", "loadProfile"]);
+    expect(validateScenario({ loadProfile: null, solarProfile: new Array(8760).fill(0) })).toEqual([]);
+  });
+
+  it("reporta eventos de capital mal formados", () => {
+    const issues = validateScenario({ capitalEvents: [{ year: 0, cost: 1 }] });
+    expect(issues.map((i) => i.field)).toEqual(["capitalEvents"]);
+    expect(validateScenario({ capitalEvents: [{ year: 12, description: "Inversor", cost: 8e6 }] })).toEqual([]);
+  });
+
+  it("valida los nombres antiguos con el nombre nuevo", () => {
+    expect(validateScenario({ tasaDesc: 2 })[0].field).toBe("discountRate");
+  });
+});
+
+describe("clampField", () => {
+  it("acota según SCENARIO_RANGES", () => {
+    expect(clampField({ discountRate: 0.9 }, "discountRate")).toBe(0.6);
+    expect(clampField({ tariff: -5 }, "tariff")).toBe(0);
+    expect(clampField({ kW: 1e6 }, "kW")).toBe(1e6);
+  });
+});
@@ -0,0 +1,109 @@
+import { clampField } from "./schema.js";
+import { computeScenario } from "./scenario.js";
+
+/* ---------------- Sensibilidad (tornado) ---------------- */
+
+/** Campos numéricos que se perturban en el tornado. */
+export const TORNADO_FIELDS = [
+  "kW",
+  "tariff",
+  "tariffEscalation",
+  "selfConsumption",
+  "capex",
+  "omAnnual",
+  "discountRate",
+  "psh",
+  "pr",
+  "degAnnual",
+  "exportFactor"
+];
+
+const pick = (m) => ({ NPV: m.NPV, IRR: m.irrStatus === "ok" ? m.IRR : null });
+
+const swing = (a, b) => (a == null || b == null ? null : Math.abs(b - a));
+
+/**
+ * Perturba cada campo de `fields` en ±`delta` (fracción del valor base),
+ * recalcula el escenario y ordena por la oscilación de `metric`
+ * ("NPV" o "IRR") de mayor a menor. Los valores perturbados se acotan con
+ * los rangos del esquema; el resto de entradas queda fijo (p. ej. variar kW
+ * no cambia el CAPEX).
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {{ delta?: number, metric?: "NPV"|"IRR", fields?: string[] }} [opts]
+ * @param {string} [seedTag]
+ */
+export function tornadoAnalysis(s, global, opts = {}, seedTag = "base") {
+  const delta = Math.max(0, Number(opts.delta) || 0);
+  const metric = opts.metric === "IRR" ? "IRR" : "NPV";
+  const base = pick(computeScenario(s, global, seedTag));
+
+  const rows = (opts.fields ?? TORNADO_FIELDS).map((key) => {
+    const value = clampField(s, key);
+    const at = (f) => {
+      const v = clampField({ [key]: value * f }, key);
+      return { value: v, ...pick(computeScenario({ ...s, [key]: v }, global, seedTag)) };
+    };
+    const low = at(1 - delta);
+    const high = at(1 + delta);
+    return {
+      key,
+      value,
+      low,
+      high,
+      npvSwing: swing(low.NPV, high.NPV),
+      irrSwing: swing(low.IRR, high.IRR)
+    };
+  });
+
+  const swingOf = (r) => (metric === "IRR" ? r.irrSwing : r.npvSwing) ?? -1;
+  rows.sort((a, b) => swingOf(b) - swingOf(a));
+  return { delta, metric, base, rows };
+}
+
+/* ---------------- Tabla de datos de dos variables ---------------- */
+
+/** `steps` valores equiespaciados de `min` a `max` (ambos incluidos). */
+export function linspace(min, max, steps) {
+  const k = Math.max(2, Math.round(steps));
+  return Array.from({ length: k }, (_, i) => min + ((max - min) * i) / (k - 1));
+}
+
+/**
+ * Recalcula el escenario para cada combinación de `xField` × `yField`
+ * (como una tabla de datos de Excel). `cells[i][j]` corresponde a
+ * `yValues[i]` y `xValues[j]`; los valores se acotan con los rangos del
+ * esquema antes de calcular.
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {{ xField: string, xValues: number[], yField: string, yValues: number[] }} axes
+ * @param {string} [seedTag]
+ */
+export function sensitivityGrid(s, global, { xField, xValues, yField, yValues }, seedTag = "base") {
+  const cells = yValues.map((yv) =>
+    xValues.map((xv) => {
+      const trial = { ...s, [xField]: xv, [yField]: yv };
+      trial[xField] = clampField(trial, xField);
+      trial[yField] = clampField(trial, yField);
+      const m = computeScenario(trial, global, seedTag);
+      return { ...pick(m), payback: m.paybackFrac };
+    })
+  );
+  return { xField, yField, xValues, yValues, cells };
+}
+
+/**
+ * Bordes de la curva de equilibrio (VPN = 0) en la grilla: `right`/`bottom`
+ * indican que el signo del VPN cambia hacia la celda vecina.
+ */
+export function breakEvenEdges(cells) {
+  const ok = (c) => c != null && c.NPV >= 0;
+  return cells.map((row, i) =>
+    row.map((c, j) => ({
+      right: j + 1 < row.length && ok(c) !== ok(row[j + 1]),
+      bottom: i + 1 < cells.length && ok(c) !== ok(cells[i + 1][j])
+    }))
+  );
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { tornadoAnalysis, TORNADO_FIELDS, linspace, sensitivityGrid, breakEvenEdges } from "./sensitivity.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const s = defaultScenario("Base", "#3b82f6", "B");
+const global = defaultGlobal();
+
+describe("tornadoAnalysis", () => {
+  it("una fila por campo, ordenada por oscilación del VPN", () => {
+    const t = tornadoAnalysis(s, global, { delta: 0.2 });
+    expect(t.rows.map((r) => r.key).sort()).toEqual([...TORNADO_FIELDS].sort());
+    const swings = t.rows.map((r) => r.npvSwing);
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+    expect(t.base.NPV).toBe(computeScenario(s, global).NPV);
+  });
+
+  it("perturba el valor base en ±delta", () => {
+    const t = tornadoAnalysis(s, global, { delta: 0.1, fields: ["capex"] });
+    const [r] = t.rows;
+    expect(r.low.value).toBeCloseTo(s.capex * 0.9, 6);
+    expect(r.high.value).toBeCloseTo(s.capex * 1.1, 6);
+    expect(r.high.NPV).toBeLessThan(t.base.NPV);
+    expect(r.low.NPV).toBeGreaterThan(t.base.NPV);
+  });
+
+  it("la tasa de descuento no mueve la TIR", () => {
+    const t = tornadoAnalysis(s, global, { delta: 0.2, metric: "IRR" });
+    const r = t.rows.find((x) => x.key === "discountRate");
+    expect(r.irrSwing).toBeCloseTo(0, 12);
+    expect(t.rows.at(-1).irrSwing).toBeCloseTo(0, 12);
+  });
+
+  it("acota con los rangos del esquema", () => {
+    const t = tornadoAnalysis({ ...s, selfConsumption: 0.9 }, global, { delta: 0.5, fields: ["selfConsumption"] });
+    expect(t.rows[0].high.value).toBe(1);
+  });
+});
+
+describe("linspace", () => {
+  it("incluye los extremos", () => {
+    expect(linspace(0, 1, 5)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(linspace(3, 7, 1)).toEqual([3, 7]);
+  });
+});
+
+describe("sensitivityGrid", () => {
+  it("cells[i][j] = escenario con y[i] y x[j]", () => {
+    const xValues = [800, 1200];
+    const yValues = [5e7, 8e7, 1.2e8];
+    const g = sensitivityGrid(s, global, { xField: "tariff", xValues, yField: "capex", yValues });
+    expect(g.cells).toHaveLength(3);
+    expect(g.cells[0]).toHaveLength(2);
+    expect(g.cells[2][1].NPV).toBe(computeScenario({ ...s, tariff: 1200, capex: 1.2e8 }, global).NPV);
+    // Más tarifa sube el VPN, más CAPEX lo baja.
+    expect(g.cells[0][1].NPV).toBeGreaterThan(g.cells[0][0].NPV);
+    expect(g.cells[2][0].NPV).toBeLessThan(g.cells[0][0].NPV);
+  });
+});
+
+describe("breakEvenEdges", () => {
+  it("marca los bordes donde cambia el signo del VPN", () => {
+    const c = (NPV) => ({ NPV });
+    const e = breakEvenEdges([
+      [c(-1), c(1)],
+      [c(-1), c(-2)]
+    ]);
+    expect(e[0][0]).toEqual({ right: true, bottom: false });
+    expect(e[0][1]).toEqual({ right: false, bottom: true });
+    expect(e[1][0]).toEqual({ right: false, bottom: false });
+  });
+});
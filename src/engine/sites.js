@@ -0,0 +1,56 @@
+import { averagePsh } from "./generation.js";
+
+/* ---------------- Sitios (Colombia) ---------------- */
+
+export const SITES_SOURCE =
+  "Valores de referencia aproximados (promedios multianuales redondeados) basados en el Atlas de Radiación Solar de Colombia (IDEAM–UPME). Para diseño, verificar con NASA POWER/PVGIS o medición en sitio.";
+
+// HSP mensual ene–dic (kWh/m²/día sobre plano horizontal) y PR típico según
+// clima (más calor = menor PR).
+const RAW_SITES = [
+  { key: "bogota", name: "Bogotá D.C.", pr: 0.81, pshMonthly: [4.5, 4.4, 4.2, 3.9, 3.9, 4.0, 4.3, 4.3, 4.2, 3.9, 3.8, 4.2] },
+  { key: "medellin", name: "Medellín", pr: 0.79, pshMonthly: [4.7, 4.8, 4.7, 4.4, 4.5, 4.7, 5.0, 5.0, 4.7, 4.3, 4.2, 4.4] },
+  { key: "cali", name: "Cali", pr: 0.78, pshMonthly: [4.7, 4.8, 4.7, 4.4, 4.4, 4.6, 4.9, 5.0, 4.7, 4.4, 4.3, 4.4] },
+  { key: "barranquilla", name: "Barranquilla", pr: 0.76, pshMonthly: [5.8, 6.1, 6.2, 5.8, 5.3, 5.3, 5.6, 5.6, 5.1, 4.8, 4.9, 5.3] },
+  { key: "cartagena", name: "Cartagena", pr: 0.76, pshMonthly: [5.7, 6.0, 6.1, 5.7, 5.1, 5.1, 5.4, 5.4, 5.0, 4.7, 4.8, 5.2] },
+  { key: "bucaramanga", name: "Bucaramanga", pr: 0.78, pshMonthly: [4.8, 4.8, 4.6, 4.4, 4.6, 4.8, 5.0, 5.0, 4.8, 4.4, 4.3, 4.5] },
+  { key: "santa_marta", name: "Santa Marta", pr: 0.76, pshMonthly: [5.9, 6.2, 6.3, 5.9, 5.4, 5.4, 5.7, 5.6, 5.2, 4.9, 5.0, 5.5] },
+  { key: "riohacha", name: "Riohacha", pr: 0.75, pshMonthly: [6.0, 6.3, 6.4, 6.0, 5.7, 5.8, 6.1, 6.0, 5.6, 5.2, 5.3, 5.7] },
+  { key: "valledupar", name: "Valledupar", pr: 0.75, pshMonthly: [5.9, 6.0, 5.9, 5.4, 5.2, 5.4, 5.8, 5.7, 5.3, 4.9, 5.0, 5.5] },
+  { key: "monteria", name: "Montería", pr: 0.76, pshMonthly: [5.5, 5.6, 5.4, 4.9, 4.7, 4.8, 5.0, 5.0, 4.8, 4.6, 4.7, 5.1] },
+  { key: "cucuta", name: "Cúcuta", pr: 0.76, pshMonthly: [5.0, 5.1, 5.0, 4.7, 4.9, 5.1, 5.4, 5.4, 5.1, 4.7, 4.6, 4.8] },
+  { key: "pereira", name: "Pereira", pr: 0.79, pshMonthly: [4.4, 4.5, 4.4, 4.1, 4.1, 4.3, 4.6, 4.6, 4.4, 4.1, 4.0, 4.2] },
+  { key: "manizales", name: "Manizales", pr: 0.8, pshMonthly: [4.2, 4.3, 4.2, 3.9, 3.9, 4.1, 4.4, 4.4, 4.2, 3.9, 3.8, 4.0] },
+  { key: "ibague", name: "Ibagué", pr: 0.78, pshMonthly: [4.7, 4.8, 4.7, 4.5, 4.5, 4.7, 5.0, 5.0, 4.8, 4.5, 4.4, 4.5] },
+  { key: "neiva", name: "Neiva", pr: 0.75, pshMonthly: [4.9, 5.0, 4.9, 4.6, 4.7, 5.0, 5.4, 5.5, 5.2, 4.8, 4.6, 4.7] },
+  { key: "villavicencio", name: "Villavicencio", pr: 0.77, pshMonthly: [5.2, 5.0, 4.6, 4.1, 4.0, 3.9, 4.0, 4.3, 4.4, 4.3, 4.4, 4.8] },
+  { key: "pasto", name: "Pasto", pr: 0.81, pshMonthly: [4.1, 4.1, 4.0, 3.9, 3.9, 4.0, 4.2, 4.3, 4.2, 3.9, 3.8, 4.0] }
+];
+
+/** Sitios con HSP anual (promedio ponderado por días de la tabla mensual). */
+export const SITES = RAW_SITES.map((s) => ({ ...s, psh: Math.round(averagePsh(s.pshMonthly) * 1000) / 1000 }));
+
+export const findSite = (key) => SITES.find((s) => s.key === key) ?? null;
+
+/**
+ * Cambios que aplica un sitio al escenario: HSP anual y mensual, modo
+ * mensual y PR típico.
+ */
+export function sitePatch(key) {
+  const site = findSite(key);
+  if (!site) return { siteKey: "" };
+  return { siteKey: site.key, psh: site.psh, pshMode: "monthly", pshMonthly: [...site.pshMonthly], pr: site.pr };
+}
+
+/** true si el escenario conserva los valores del sitio (no se editaron). */
+export function matchesSite(s, site) {
+  if (!site) return false;
+  const same = (a, b) => Math.abs(a - b) < 1e-9;
+  return (
+    same(s.psh, site.psh) &&
+    same(s.pr, site.pr) &&
+    s.pshMode === "monthly" &&
+    Array.isArray(s.pshMonthly) &&
+    s.pshMonthly.every((v, i) => same(v, site.pshMonthly[i]))
+  );
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { SITES, findSite, sitePatch, matchesSite } from "./sites.js";
+import { averagePsh, isMonthlyPsh } from "./generation.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal, validateScenario } from "./schema.js";
+
+describe("sitios", () => {
+  it("incluye las ciudades principales con datos completos", () => {
+    for (const key of ["bogota", "medellin", "cali", "barranquilla", "cartagena", "bucaramanga"]) {
+      expect(findSite(key)).not.toBeNull();
+    }
+    for (const s of SITES) {
+      expect(isMonthlyPsh(s.pshMonthly)).toBe(true);
+      expect(s.psh).toBeCloseTo(averagePsh(s.pshMonthly), 3);
+      expect(s.pr).toBeGreaterThan(0.7);
+      expect(s.pr).toBeLessThan(0.85);
+    }
+    expect(new Set(SITES.map((s) => s.key)).size).toBe(SITES.length);
+  });
+
+  it("sitePatch llena HSP, tabla mensual y PR", () => {
+    const p = sitePatch("barranquilla");
+    const site = findSite("barranquilla");
+    expect(p).toMatchObject({ siteKey: "barranquilla", psh: site.psh, pshMode: "monthly", pr: site.pr });
+    expect(p.pshMonthly).not.toBe(site.pshMonthly);
+    expect(sitePatch("atlantida")).toEqual({ siteKey: "" });
+  });
+
+  it("matchesSite detecta valores editados a mano", () => {
+    const s = { ...defaultScenario("X", "#000000", "A"), ...sitePatch("cali") };
+    expect(matchesSite(s, findSite("cali"))).toBe(true);
+    expect(matchesSite({ ...s, pr: 0.7 }, findSite("cali"))).toBe(false);
+    expect(matchesSite(s, null)).toBe(false);
+  });
+
+  it("la costa genera más que Bogotá", () => {
+    const base = defaultScenario("X", "#000000", "A");
+    const global = defaultGlobal();
+    const gen = (key) => computeScenario({ ...base, ...sitePatch(key), pr: 0.8 }, global).annuals[0].generationKwh;
+    expect(gen("barranquilla")).toBeGreaterThan(gen("bogota"));
+  });
+
+  it("validateScenario reporta sitios desconocidos", () => {
+    expect(validateScenario({ siteKey: "lima" }, { siteKeys: ["bogota"] })[0].field).toBe("siteKey");
+    expect(validateScenario({ siteKey: "" }, { siteKeys: ["bogota"] })).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { clampField } from "./schema.js";
+import { computeScenario } from "./scenario.js";
+import { linspace } from "./sensitivity.js";
+
+/* ---------------- Dimensionamiento (kW) ---------------- */
+
+/**
+ * Escenario redimensionado a `kW`:
+ * - CAPEX = `costPerKwp` · kW + `fixedCost`.
+ * - Autoconsumo = s₀ · (kW₀ / kW)^`selfElasticity` (máx. 1), con s₀ y kW₀
+ *   los del escenario: 0 = fracción constante, 1 = kWh autoconsumidos fijos.
+ * - O&M proporcional a los kW.
+ * - `exportFactor` opcional reemplaza el precio de excedentes.
+ *
+ * @param {import("./schema.js").Scenario} s
+ */
+export function sizeScenario(s, { kW, costPerKwp, fixedCost = 0, selfElasticity = 0.7, exportFactor }) {
+  const kW0 = clampField(s, "kW");
+  const ratio = kW0 > 0 && kW > 0 ? kW0 / kW : 1;
+  return {
+    ...s,
+    kW,
+    capex: Math.max(0, costPerKwp * kW + fixedCost),
+    selfConsumption: Math.min(1, clampField(s, "selfConsumption") * Math.pow(ratio, selfElasticity)),
+    omAnnual: clampField(s, "omAnnual") / ratio,
+    exportFactor: exportFactor ?? s.exportFactor
+  };
+}
+
+/**
+ * Barre kW entre `minKw` y `maxKw` y recomienda el tamaño que maximiza el
+ * VPN o la TIR (`objective`).
+ *
+ * @param {import("./schema.js").Scenario} s
+ * @param {import("./schema.js").GlobalOptions} global
+ * @param {{ minKw: number, maxKw: number, steps?: number, costPerKwp: number, fixedCost?: number,
+ *   selfElasticity?: number, exportFactor?: number, objective?: "NPV"|"IRR" }} opts
+ * @param {string} [seedTag]
+ */
+export function optimizeSize(s, global, opts, seedTag = "base") {
+  const objective = opts.objective === "IRR" ? "IRR" : "NPV";
+  const minKw = Math.max(0.1, opts.minKw);
+  const maxKw = Math.max(minKw, opts.maxKw);
+  const steps = Math.min(400, Math.max(2, Math.round(opts.steps ?? 60)));
+
+  const points = linspace(minKw, maxKw, steps).map((kW) => {
+    const trial = sizeScenario(s, { ...opts, kW });
+    const m = computeScenario(trial, global, seedTag);
+    return {
+      kW,
+      capex: trial.capex,
+      selfConsumption: trial.selfConsumption,
+      omAnnual: trial.omAnnual,
+      NPV: m.NPV,
+      IRR: m.irrStatus === "ok" ? m.IRR : null,
+      exportShareY1: m.exportShareY1
+    };
+  });
+
+  let best = null;
+  for (const p of points) {
+    if (p[objective] == null) continue;
+    if (!best || p[objective] > best[objective]) best = p;
+  }
+  return { objective, points, best };
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { sizeScenario, optimizeSize } from "./sizing.js";
+import { defaultScenario, defaultGlobal } from "./schema.js";
+
+const s = defaultScenario("Base", "#3b82f6", "B");
+const global = defaultGlobal();
+
+describe("sizeScenario", () => {
+  it("reproduce el escenario en su propio tamaño", () => {
+    const costPerKwp = (s.capex * 0.9) / s.kW;
+    const t = sizeScenario(s, { kW: s.kW, costPerKwp, fixedCost: s.capex * 0.1 });
+    expect(t.capex).toBeCloseTo(s.capex, 4);
+    expect(t.selfConsumption).toBeCloseTo(s.selfConsumption, 12);
+    expect(t.omAnnual).toBeCloseTo(s.omAnnual, 6);
+  });
+
+  it("el autoconsumo cae al crecer y se limita a 1 al achicar", () => {
+    const big = sizeScenario(s, { kW: 2 * s.kW, costPerKwp: 1, selfElasticity: 1 });
+    expect(big.selfConsumption).toBeCloseTo(s.selfConsumption / 2, 12);
+    const flat = sizeScenario(s, { kW: 2 * s.kW, costPerKwp: 1, selfElasticity: 0 });
+    expect(flat.selfConsumption).toBe(s.selfConsumption);
+    const small = sizeScenario(s, { kW: s.kW / 10, costPerKwp: 1, selfElasticity: 1 });
+    expect(small.selfConsumption).toBe(1);
+  });
+});
+
+describe("optimizeSize", () => {
+  const opts = {
+    minKw: 2,
+    maxKw: 150,
+    steps: 75,
+    costPerKwp: (s.capex * 0.9) / s.kW,
+    fixedCost: s.capex * 0.1,
+    selfElasticity: 1,
+    exportFactor: 0
+  };
+
+  it("recomienda el punto de mayor VPN del barrido", () => {
+    const r = optimizeSize(s, global, opts);
+    expect(r.points).toHaveLength(75);
+    expect(r.best.NPV).toBe(Math.max(...r.points.map((p) => p.NPV)));
+    // Con autoconsumo saturado y sin pago de excedentes, el óptimo es interior.
+    expect(r.best.kW).toBeGreaterThan(opts.minKw);
+    expect(r.best.kW).toBeLessThan(opts.maxKw);
+  });
+
+  it("maximizar TIR favorece sistemas no más grandes que el de máximo VPN", () => {
+    const npv = optimizeSize(s, global, opts);
+    const irr = optimizeSize(s, global, { ...opts, objective: "IRR" });
+    expect(irr.objective).toBe("IRR");
+    expect(irr.best.kW).toBeLessThanOrEqual(npv.best.kW);
+  });
+});
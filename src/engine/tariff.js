@@ -0,0 +1,54 @@
+import { clamp, n } from "./utils.js";
+
+/* ---------------- Tarifa ---------------- */
+
+/**
+ * Volatilidad estable (no cambia con re-renders)
+ */
+export function stableNoise01(seedStr) {
+  let h = 2166136261;
+  for (let i = 0; i < seedStr.length; i++) {
+    h ^= seedStr.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return ((h >>> 0) % 100000) / 100000; // [0,1)
+}
+
+/**
+ * Lista de tarifas separada por comas, punto y coma o saltos de línea.
+ */
+export function parseTariffList(text) {
+  const raw = String(text || "")
+    .split(/[\n,;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const nums = raw.map((s) => n(s)).filter((v) => Number.isFinite(v));
+  return nums;
+}
+
+/**
+ * Tarifa del año `year` según el modo:
+ * - "escalado": escalamiento fijo anual.
+ * - "manual": lista año a año; al agotarse sigue escalando desde el último valor.
+ * - "ciclico": escalamiento + onda senoidal de amplitud `volatility` y periodo `cycleYears`.
+ */
+export function tariffForYear({ mode, baseTariff, escTarifa, manualList, volatility, cycleYears, year }) {
+  if (year <= 0) return baseTariff;
+
+  if (mode === "manual") {
+    if (manualList.length >= year) return manualList[year - 1];
+    const last = manualList.length ? manualList[manualList.length - 1] : baseTariff;
+    const extraYears = year - manualList.length;
+    return last * Math.pow(1 + escTarifa, extraYears);
+  }
+
+  if (mode === "ciclico") {
+    const cyc = clamp(cycleYears, 2, 10);
+    const vol = clamp(volatility, 0, 0.5);
+    const base = baseTariff * Math.pow(1 + escTarifa, year - 1);
+    const mult = 1 + vol * Math.sin((2 * Math.PI * (year - 1)) / cyc);
+    return base * mult;
+  }
+
+  return baseTariff * Math.pow(1 + escTarifa, year - 1);
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { stableNoise01, parseTariffList, tariffForYear } from "./tariff.js";
+
+const base = { baseTariff: 1000, escTarifa: 0.1, manualList: [], volatility: 0.2, cycleYears: 4 };
+
+describe("stableNoise01", () => {
+  it("es determinista y queda en [0,1)", () => {
+    const u = stableNoise01("A|1|1080|0.08|0.08");
+    expect(u).toBe(stableNoise01("A|1|1080|0.08|0.08"));
+    expect(u).toBeGreaterThanOrEqual(0);
+    expect(u).toBeLessThan(1);
+  });
+});
+
+describe("parseTariffList", () => {
+  it("acepta comas, punto y coma y saltos de línea", () => {
+    expect(parseTariffList("850, 880;910\n940")).toEqual([850, 880, 910, 940]);
+  });
+
+  it("texto vacío da lista vacía", () => {
+    expect(parseTariffList("")).toEqual([]);
+    expect(parseTariffList(undefined)).toEqual([]);
+  });
+});
+
+describe("tariffForYear", () => {
+  it("escalado compone desde el año 1", () => {
+    expect(tariffForYear({ ...base, mode: "escalado", year: 1 })).toBe(1000);
+    expect(tariffForYear({ ...base, mode: "escalado", year: 3 })).toBeCloseTo(1210, 6);
+  });
+
+  it("manual usa la lista y luego escala desde el último valor", () => {
+    const opt = { ...base, mode: "manual", manualList: [900, 950] };
+    expect(tariffForYear({ ...opt, year: 2 })).toBe(950);
+    expect(tariffForYear({ ...opt, year: 4 })).toBeCloseTo(950 * 1.21, 6);
+  });
+
+  it("cíclico oscila alrededor del escalado", () => {
+    const opt = { ...base, mode: "ciclico" };
+    expect(tariffForYear({ ...opt, year: 1 })).toBeCloseTo(1000, 6);
+    expect(tariffForYear({ ...opt, year: 2 })).toBeCloseTo(1100 * 1.2, 6);
+    expect(tariffForYear({ ...opt, year: 4 })).toBeCloseTo(1331 * 0.8, 6);
+  });
+
+  it("año 0 devuelve la tarifa base", () => {
+    expect(tariffForYear({ ...base, mode: "manual", manualList: [1], year: 0 })).toBe(1000);
+  });
+});
@@ -0,0 +1,88 @@
+/* ---------------- Impuesto de renta (modelo corporativo) ---------------- */
+
+export const TAX_MODES = ["simple", "corporate"];
+
+/** Años que se pueden compensar las pérdidas fiscales (art. 147 E.T.). */
+export const LOSS_CARRY_YEARS = 12;
+
+/** Tope anual de la deducción especial de la Ley 1715: 50% de la renta líquida. */
+const DEDUCTION_INCOME_CAP = 0.5;
+
+/**
+ * Libro de renta año a año del proyecto dentro de la empresa. El impuesto
+ * del proyecto es el incremental: impuesto de la empresa con el proyecto
+ * menos sin él (`baseIncome` = renta líquida sin el proyecto; 0 = el
+ * proyecto tributa solo y sus pérdidas se compensan después).
+ *
+ * - Depreciación en línea recta en `depreciationYears` (la Ley 1715 permite
+ *   hasta 33,33% anual, es decir 3 años) para cada inversión desde su año.
+ * - Deducción especial: `deductionPool` repartido en cuotas iguales durante
+ *   `deductionYears`; lo que el tope no deja usar se arrastra dentro de esa
+ *   ventana y al cerrarla vence.
+ * - Pérdidas: se compensan en los `LOSS_CARRY_YEARS` años siguientes.
+ *
+ * @param {{ rate: number, baseIncome: number, depreciationYears: number,
+ *   deductionPool: number, deductionYears: number }} opts
+ * @returns {(year: number, p: { ebitda: number, investment: number }) => TaxRow}
+ *   Llamar en orden, una vez por año.
+ *
+ * @typedef {{ year: number, ebitda: number, depreciation: number, lossUsed: number,
+ *   specialDeduction: number, taxableIncome: number, tax: number, deductionPending: number,
+ *   deductionExpired: number, lossPending: number }} TaxRow
+ */
+export function createTaxLedger({ rate, baseIncome, depreciationYears, deductionPool, deductionYears }) {
+  const depYears = Math.max(1, Math.round(depreciationYears));
+  const dedYears = Math.max(1, Math.round(deductionYears));
+  const base = Math.max(0, baseIncome);
+  const depreciationByYear = [];
+  const losses = []; // { year, amount } pendientes, en orden
+  let deductionAvailable = 0;
+
+  return (year, { ebitda, investment }) => {
+    if (investment > 0) {
+      for (let k = 0; k < depYears; k++) {
+        depreciationByYear[year + k] = (depreciationByYear[year + k] ?? 0) + investment / depYears;
+      }
+    }
+    const depreciation = depreciationByYear[year] ?? 0;
+    let income = base + ebitda - depreciation;
+
+    // Pérdidas vencidas salen; las vigentes se compensan de la más antigua.
+    while (losses.length && losses[0].year < year - LOSS_CARRY_YEARS) losses.shift();
+    let lossUsed = 0;
+    while (income > 0 && losses.length) {
+      const use = Math.min(income, losses[0].amount);
+      income -= use;
+      lossUsed += use;
+      losses[0].amount -= use;
+      if (losses[0].amount <= 0) losses.shift();
+    }
+    if (income < 0) {
+      losses.push({ year, amount: -income });
+      income = 0;
+    }
+
+    let deductionExpired = 0;
+    if (year <= dedYears) deductionAvailable += deductionPool / dedYears;
+    const specialDeduction = Math.min(deductionAvailable, DEDUCTION_INCOME_CAP * income);
+    deductionAvailable -= specialDeduction;
+    if (year >= dedYears && deductionAvailable > 0) {
+      deductionExpired = deductionAvailable;
+      deductionAvailable = 0;
+    }
+
+    const taxableIncome = income - specialDeduction;
+    return {
+      year,
+      ebitda,
+      depreciation,
+      lossUsed,
+      specialDeduction,
+      taxableIncome,
+      tax: rate * taxableIncome - rate * base,
+      deductionPending: deductionAvailable,
+      deductionExpired,
+      lossPending: losses.reduce((a, l) => a + l.amount, 0)
+    };
+  };
+}
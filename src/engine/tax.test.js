@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { createTaxLedger, LOSS_CARRY_YEARS } from "./tax.js";
+import { computeScenario } from "./scenario.js";
+import { defaultScenario, defaultGlobal, validateScenario } from "./schema.js";
+
+const run = (opts, years) => {
+  const ledger = createTaxLedger({ rate: 0.35, baseIncome: 0, depreciationYears: 3, deductionPool: 0, deductionYears: 15, ...opts });
+  return years.map((p, i) => ledger(i + 1, { investment: 0, ...p }));
+};
+
+describe("createTaxLedger", () => {
+  it("deprecia cada inversión en línea recta desde su año", () => {
+    const rows = run({}, [{ ebitda: 0, investment: 300 }, { ebitda: 0, investment: 60 }, { ebitda: 0 }, { ebitda: 0 }, { ebitda: 0 }]);
+    expect(rows.map((r) => r.depreciation)).toEqual([100, 120, 120, 20, 0]);
+  });
+
+  it("proyecto solo: las pérdidas se compensan después", () => {
+    const rows = run({}, [{ ebitda: 50, investment: 300 }, { ebitda: 250 }]);
+    expect(rows[0].tax).toBe(0);
+    expect(rows[0].lossPending).toBe(50);
+    expect(rows[1].lossUsed).toBe(50);
+    expect(rows[1].taxableIncome).toBe(100);
+    expect(rows[1].tax).toBeCloseTo(35, 9);
+  });
+
+  it("las pérdidas vencen a los LOSS_CARRY_YEARS años", () => {
+    const years = [{ ebitda: -100 }, ...Array(LOSS_CARRY_YEARS).fill({ ebitda: 0 }), { ebitda: 100 }];
+    const rows = run({}, years);
+    expect(rows.at(-2).lossPending).toBe(100);
+    expect(rows.at(-1).lossUsed).toBe(0);
+    expect(rows.at(-1).taxableIncome).toBe(100);
+  });
+
+  it("deducción especial topada en el 50% de la renta y arrastrada dentro de su ventana", () => {
+    const rows = run({ deductionPool: 300, deductionYears: 3 }, [{ ebitda: 100 }, { ebitda: 1000 }, { ebitda: 20 }, { ebitda: 1000 }]);
+    // Cuota 100/año; año 1 solo deja usar 50.
+    expect(rows[0].specialDeduction).toBe(50);
+    expect(rows[0].deductionPending).toBe(50);
+    expect(rows[1].specialDeduction).toBe(150);
+    // Año 3 cierra la ventana: usa 10 y vencen 90.
+    expect(rows[2].specialDeduction).toBe(10);
+    expect(rows[2].deductionExpired).toBe(90);
+    expect(rows[3].specialDeduction).toBe(0);
+  });
+
+  it("dentro de una empresa con renta, depreciación y deducción bajan su impuesto", () => {
+    const rows = run({ baseIncome: 1000, deductionPool: 150, deductionYears: 1 }, [{ ebitda: 40, investment: 300 }]);
+    // Renta 1000 + 40 − 100 = 940; deducción 150; impuesto incremental 0,35·(790 − 1000).
+    expect(rows[0].taxableIncome).toBe(790);
+    expect(rows[0].tax).toBeCloseTo(-73.5, 9);
+  });
+});
+
+describe("computeScenario en modo corporate", () => {
+  const global = defaultGlobal();
+  const base = defaultScenario("Base", "#3b82f6", "B");
+  const corp = { ...base, taxMode: "corporate", depreciationYears: 3 };
+
+  it("el modo simple no cobra renta", () => {
+    const m = computeScenario(base, global, "B");
+    expect(m.taxMode).toBe("simple");
+    expect(m.taxTable).toEqual([]);
+    expect(m.annuals.every((a) => a.incomeTax === 0)).toBe(true);
+  });
+
+  it("flujo después de impuestos con depreciación del CAPEX neto y deducción topada", () => {
+    const m = computeScenario(corp, global, "B");
+    expect(m.taxTable).toHaveLength(m.years);
+    expect(m.annuals.every((a) => a.taxBenefit === 0)).toBe(true);
+    const a = m.annuals[5];
+    expect(a.net).toBeCloseTo(a.savings - a.om - a.incomeTax, 6);
+    expect(m.taxTable.reduce((s, r) => s + r.depreciation, 0)).toBeCloseTo(m.capexNeto, 4);
+    const deducted = m.taxTable.reduce((s, r) => s + r.specialDeduction + r.deductionExpired, 0);
+    expect(deducted).toBeCloseTo(0.5 * m.capexNeto, 4);
+    expect(m.NPV).toBeLessThan(computeScenario(base, global, "B").NPV);
+  });
+
+  it("sin beneficio de renta no hay deducción especial", () => {
+    const m = computeScenario(corp, { ...global, includeTaxBenefit: false }, "B");
+    expect(m.taxTable.every((r) => r.specialDeduction === 0)).toBe(true);
+  });
+
+  it("en base real la tabla de renta se deflacta como los flujos", () => {
+    const nominal = computeScenario(corp, global, "B");
+    const real = computeScenario(corp, { ...global, realTerms: true }, "B");
+    real.taxTable.forEach((r, i) => {
+      expect(r.tax).toBeCloseTo(real.annuals[i].incomeTax, 6);
+      expect(r.depreciation).toBeCloseTo(nominal.taxTable[i].depreciation / real.deflators[r.year], 6);
+    });
+  });
+
+  it("valida el modo de renta", () => {
+    expect(validateScenario({ taxMode: "flat" }).map((i) => i.field)).toEqual(["taxMode"]);
+  });
+});
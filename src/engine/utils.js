@@ -0,0 +1,16 @@
+/* ---------------- Helpers numéricos ---------------- */
+export const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
+
+/**
+ * Convierte a número aceptando coma decimal ("4,5"); si no es finito
+ * devuelve `fallback`.
+ */
+export function n(x, fallback = 0) {
+  const v = Number(String(x).replace(",", "."));
+  return Number.isFinite(v) ? v : fallback;
+}
+
+export function int(x, fallback = 0) {
+  const v = Math.round(n(x, fallback));
+  return Number.isFinite(v) ? v : fallback;
+}
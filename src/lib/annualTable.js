@@ -0,0 +1,49 @@
+/* ---------------- Tabla anual de flujo de caja ---------------- */
+
+/** Columnas de la tabla anual, en orden. `total` = se suma en la fila de totales. */
+export const ANNUAL_COLUMNS = [
+  { key: "year", label: "Año", unit: "int" },
+  { key: "tariff", label: "Tarifa (COP/kWh)", unit: "cop" },
+  { key: "generationKwh", label: "Generación (kWh)", unit: "kwh", total: true },
+  { key: "selfKwh", label: "Autoconsumo (kWh)", unit: "kwh", total: true },
+  { key: "expKwh", label: "Excedentes (kWh)", unit: "kwh", total: true },
+  { key: "batteryOutKwh", label: "Descarga batería (kWh)", unit: "kwh", total: true },
+  { key: "savingsSelf", label: "Ahorro autoconsumo", unit: "cop", total: true },
+  { key: "revenueExp", label: "Ingreso excedentes", unit: "cop", total: true },
+  { key: "savings", label: "Ahorro total", unit: "cop", total: true },
+  { key: "om", label: "O&M", unit: "cop", total: true },
+  { key: "batteryCost", label: "Reemplazo batería", unit: "cop", total: true },
+  { key: "capitalCost", label: "Eventos de capital", unit: "cop", total: true },
+  { key: "taxBenefit", label: "Beneficio renta", unit: "cop", total: true },
+  { key: "incomeTax", label: "Impuesto renta", unit: "cop", total: true },
+  { key: "net", label: "Flujo neto", unit: "cop", total: true },
+  { key: "cum", label: "Acumulado", unit: "cop" }
+];
+
+/**
+ * Filas de la tabla: año 0 (inversión) + `model.annuals`.
+ */
+export function annualRows(model) {
+  const year0 = { year: 0, net: model.cashflows[0], cum: model.cashflows[0] };
+  for (const c of ANNUAL_COLUMNS) if (!(c.key in year0)) year0[c.key] = 0;
+  return [year0, ...model.annuals];
+}
+
+/** Copia ordenada por `key` (`dir` = "asc" | "desc"). */
+export function sortRows(rows, key, dir = "asc") {
+  const sign = dir === "desc" ? -1 : 1;
+  return [...rows].sort((a, b) => sign * ((a[key] ?? 0) - (b[key] ?? 0)));
+}
+
+// CSV para Excel en español: separador ";" y coma decimal.
+const csvNumber = (v) => (Number.isFinite(v) ? String(Math.round(v * 100) / 100).replace(".", ",") : "");
+const csvText = (s) => (/[";\n]/.test(s) ? `"${String(s).replace(/"/g, '""')}"` : String(s));
+
+/**
+ * CSV de la tabla anual (con BOM para que Excel respete las tildes).
+ */
+export function annualCSV(rows, columns = ANNUAL_COLUMNS) {
+  const lines = [columns.map((c) => csvText(c.label)).join(";")];
+  for (const r of rows) lines.push(columns.map((c) => csvNumber(r[c.key])).join(";"));
+  return "﻿" + lines.join("\r\n") + "\r\n";
+}
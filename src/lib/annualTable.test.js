@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { annualRows, sortRows, annualCSV, ANNUAL_COLUMNS } from "./annualTable.js";
+
+const model = {
+  cashflows: [-1000, 600, 700],
+  annuals: [
+    { year: 1, tariff: 100, generationKwh: 10, selfKwh: 6, expKwh: 4, savingsSelf: 600, revenueExp: 0, savings: 600, om: 0, taxBenefit: 0, net: 600, cum: -400 },
+    { year: 2, tariff: 110.5, generationKwh: 9, selfKwh: 5, expKwh: 4, savingsSelf: 700, revenueExp: 0, savings: 700, om: 0, taxBenefit: 0, net: 700, cum: 300 }
+  ]
+};
+
+describe("tabla anual", () => {
+  it("agrega el año 0 con la inversión", () => {
+    const rows = annualRows(model);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ year: 0, net: -1000, cum: -1000, savings: 0 });
+  });
+
+  it("ordena sin mutar", () => {
+    const rows = annualRows(model);
+    expect(sortRows(rows, "net", "desc").map((r) => r.year)).toEqual([2, 1, 0]);
+    expect(rows.map((r) => r.year)).toEqual([0, 1, 2]);
+  });
+
+  it("CSV con separador ; y coma decimal", () => {
+    const lines = annualCSV(annualRows(model)).replace("﻿", "").trim().split("\r\n");
+    expect(lines).toHaveLength(4);
+    expect(lines[0].split(";")).toHaveLength(ANNUAL_COLUMNS.length);
+    expect(lines[3].startsWith("2;110,5;9;")).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+/* ---------------- Comparación de escenarios ---------------- */
+
+/**
+ * Métricas de la tabla comparativa. `better` indica qué extremo se resalta:
+ * "high" o "low". La participación de excedentes se trata como riesgo
+ * (menor es mejor), igual que la alerta de sobredimensionamiento.
+ */
+export const COMPARISON_METRICS = [
+  { key: "npv", label: "VPN", unit: "cop", better: "high", get: (m) => m.NPV },
+  { key: "irr", label: "TIR", unit: "pct", better: "high", get: (m) => m.IRR },
+  { key: "mirr", label: "TIRM", unit: "pct", better: "high", get: (m) => m.MIRR },
+  { key: "payback", label: "Payback (años)", unit: "years", better: "low", get: (m) => m.paybackFrac },
+  { key: "discountedPayback", label: "Payback descontado (años)", unit: "years", better: "low", get: (m) => m.discountedPaybackFrac },
+  { key: "roi1", label: "ROI año 1", unit: "pct", better: "high", get: (m) => m.roi1 },
+  { key: "capexNeto", label: "CAPEX neto", unit: "cop", better: "low", get: (m) => m.capexNeto },
+  { key: "lcoe", label: "LCOE (COP/kWh)", unit: "cop", better: "low", get: (m) => m.lcoe },
+  { key: "genY1", label: "Generación año 1 (kWh)", unit: "kwh", better: "high", get: (m) => m.annuals[0]?.generationKwh ?? null },
+  { key: "exportShare", label: "% ingresos excedentes (año 1)", unit: "pct", better: "low", get: (m) => m.exportShareY1 }
+];
+
+/**
+ * Filas de la tabla: una por métrica, con el valor de cada escenario, su
+ * diferencia contra `baselineId` y los ids con el mejor valor.
+ *
+ * @param {Record<string, object>} models  Resultado de `computeScenario` por id.
+ * @param {string[]} ids                   Orden de columnas.
+ */
+export function buildComparison(models, ids, baselineId) {
+  return COMPARISON_METRICS.map((metric) => {
+    const values = Object.fromEntries(ids.map((id) => [id, metric.get(models[id])]));
+    const base = values[baselineId];
+
+    const deltas = {};
+    for (const id of ids) {
+      const v = values[id];
+      if (id === baselineId || v == null || base == null) {
+        deltas[id] = null;
+        continue;
+      }
+      const abs = v - base;
+      deltas[id] = { abs, pct: base !== 0 ? abs / Math.abs(base) : null };
+    }
+
+    const valid = ids.filter((id) => values[id] != null && Number.isFinite(values[id]));
+    let best = [];
+    if (valid.length > 1) {
+      const pick = metric.better === "high" ? Math.max : Math.min;
+      const target = pick(...valid.map((id) => values[id]));
+      best = valid.filter((id) => values[id] === target);
+      // Si todos empatan no hay nada que resaltar.
+      if (best.length === valid.length) best = [];
+    }
+
+    return { ...metric, values, deltas, best };
+  });
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { buildComparison } from "./comparison.js";
+
+const model = (NPV, IRR, payback, capexNeto) => ({
+  NPV,
+  IRR,
+  paybackFrac: payback,
+  discountedPaybackFrac: payback,
+  roi1: 0.1,
+  capexNeto,
+  exportShareY1: 0.2,
+  lcoe: 300,
+  MIRR: 0.1,
+  annuals: [{ generationKwh: 1000 }]
+});
+
+const models = {
+  A: model(100, 0.1, 8, 500),
+  B: model(200, 0.15, 6, 400),
+  C: model(-50, null, null, 600)
+};
+
+describe("buildComparison", () => {
+  const rows = buildComparison(models, ["A", "B", "C"], "A");
+  const row = (key) => rows.find((r) => r.key === key);
+
+  it("diferencias absolutas y porcentuales contra la base", () => {
+    expect(row("npv").deltas).toEqual({ A: null, B: { abs: 100, pct: 1 }, C: { abs: -150, pct: -1.5 } });
+  });
+
+  it("resalta el mejor según la dirección de la métrica", () => {
+    expect(row("npv").best).toEqual(["B"]);
+    expect(row("payback").best).toEqual(["B"]);
+    expect(row("capexNeto").best).toEqual(["B"]);
+  });
+
+  it("ignora valores nulos", () => {
+    expect(row("irr").best).toEqual(["B"]);
+    expect(row("irr").deltas.C).toBeNull();
+  });
+
+  it("sin resaltado cuando todos empatan", () => {
+    expect(row("genY1").best).toEqual([]);
+  });
+
+  it("porcentaje nulo si la base es 0", () => {
+    const r = buildComparison({ A: model(0, 0.1, 1, 1), B: model(5, 0.1, 1, 1) }, ["A", "B"], "A");
+    expect(r[0].deltas.B).toEqual({ abs: 5, pct: null });
+  });
+});
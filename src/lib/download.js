@@ -0,0 +1,14 @@
+/**
+ * Descarga `content` (texto o Blob) como archivo desde el navegador.
+ */
+export function downloadFile(filename, content, mime = "text/plain;charset=utf-8") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
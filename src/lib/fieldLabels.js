@@ -0,0 +1,14 @@
+/** Etiquetas en español de los campos numéricos del escenario. */
+export const FIELD_LABELS = {
+  kW: "Potencia (kW)",
+  tariff: "Tarifa",
+  tariffEscalation: "Escalamiento tarifa",
+  selfConsumption: "Autoconsumo",
+  capex: "CAPEX",
+  omAnnual: "O&M anual",
+  discountRate: "Tasa de descuento",
+  psh: "HSP",
+  pr: "PR",
+  degAnnual: "Degradación anual",
+  exportFactor: "Factor excedentes"
+};
@@ -0,0 +1,40 @@
+/* ---------------- Formato (es-CO) ---------------- */
+export const fmtCOP = (n) =>
+  new Intl.NumberFormat("es-CO", { maximumFractionDigits: 0 }).format(
+    Math.round(n || 0)
+  );
+
+export const fmtPct = (n) =>
+  `${(100 * (n || 0)).toLocaleString("es-CO", { maximumFractionDigits: 2 })}%`;
+
+export const fmtNum = (n, digits = 0) =>
+  (n || 0).toLocaleString("es-CO", { maximumFractionDigits: digits });
+
+export const MONTH_LABELS = ["Ene", "Feb", "Mar", "Abr", "May", "Jun", "Jul", "Ago", "Sep", "Oct", "Nov", "Dic"];
+
+/** Periodo en años con un decimal ("6,4 años"); "—" si no hay valor. */
+export const fmtYears = (n) => (n == null ? "—" : `${fmtNum(n, 1)} años`);
+
+/**
+ * TIR de un modelo según `irrStatus`: porcentaje, las raíces si hay varias,
+ * o el motivo por el que no hay TIR.
+ */
+export const fmtIrr = (m) => {
+  if (m.irrStatus === "ok") return fmtPct(m.IRR);
+  if (m.irrStatus === "multiple") return `Múltiple: ${m.irrRoots.map(fmtPct).join(" / ")}`;
+  if (m.irrStatus === "no-convergence") return "No converge";
+  return "—";
+};
+
+/** Base de los montos de un modelo: "nominal" o "real" con su inflación. */
+export const fmtBasis = (m) =>
+  m.basis === "real" ? `real (COP del año 0, inflación ${fmtPct(m.inflation)})` : "nominal (COP corrientes)";
+
+/** Eje Y compacto: 1,2 B / 35 M / 12 K. */
+export const fmtAxis = (v) => {
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `${(v / 1e9).toFixed(1)} B`;
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(0)} M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(0)} K`;
+  return `${v.toFixed(0)}`;
+};
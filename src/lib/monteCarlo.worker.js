@@ -0,0 +1,17 @@
+import { runMonteCarlo } from "../engine/montecarlo.js";
+
+/* Corre la simulación fuera del hilo principal y reporta el avance. */
+self.onmessage = (e) => {
+  const { scenario, global, options, seedTag } = e.data;
+  try {
+    const result = runMonteCarlo(
+      scenario,
+      global,
+      { ...options, onProgress: (done, total) => self.postMessage({ type: "progress", done, total }) },
+      seedTag
+    );
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || String(err) });
+  }
+};
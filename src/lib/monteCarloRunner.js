@@ -0,0 +1,47 @@
+import { runMonteCarlo } from "../engine/montecarlo.js";
+
+/**
+ * Lanza la simulación Monte Carlo en un Web Worker (o en el hilo principal
+ * si el navegador no tiene workers). Devuelve `{ promise, cancel }`.
+ */
+export function startMonteCarlo({ scenario, global, options, seedTag, onProgress }) {
+  if (typeof Worker === "undefined") {
+    let cancelled = false;
+    const promise = new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (cancelled) return reject(new Error("Simulación cancelada."));
+        try {
+          resolve(runMonteCarlo(scenario, global, options, seedTag));
+        } catch (err) {
+          reject(err);
+        }
+      }, 0);
+    });
+    return { promise, cancel: () => (cancelled = true) };
+  }
+
+  const worker = new Worker(new URL("./monteCarlo.worker.js", import.meta.url), { type: "module" });
+  let rejectFn;
+  const promise = new Promise((resolve, reject) => {
+    rejectFn = reject;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") return onProgress?.(msg.done, msg.total);
+      worker.terminate();
+      if (msg.type === "done") resolve(msg.result);
+      else reject(new Error(msg.message));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "Error en la simulación."));
+    };
+  });
+  worker.postMessage({ scenario, global, options, seedTag });
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectFn(new Error("Simulación cancelada."));
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { defaultScenario, MIGRATED_FIELDS } from "../engine/index.js";
+import { STUDY_SCHEMA_VERSION, defaultStudy, normalizeStudy, scenarioEntries } from "./study.js";
+
+/* ---------------- Enlace compartible ---------------- */
+
+// `#s=<schemaVersion>.<deflate-raw en base64url>`
+const HASH_KEY = "s";
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+// Base contra la que se comparaban los escenarios en los enlaces v1/v2: el
+// de arranque con el mismo id, o uno genérico.
+function baseFor(id) {
+  return defaultStudy().sc.find((s) => s.id === id) || defaultScenario("", "", id);
+}
+
+// Los perfiles horarios (8760 valores) no caben en una URL: se quedan fuera
+// y el escenario vuelve al autoconsumo fijo al abrir el enlace.
+const LINK_EXCLUDED = new Set(["loadProfile", "solarProfile", "loadProfileName", "solarProfileName"]);
+
+/** true si algún escenario tiene datos que el enlace no transporta. */
+export const linkDropsProfiles = (study) => study.sc.some((s) => s.loadProfile || s.solarProfile);
+
+// Viajan todos los campos (salvo los perfiles): si un valor por defecto
+// cambia en otra versión, el enlace sigue dando los mismos números.
+function linkPayload(study) {
+  const sc = study.sc.map((s) => Object.fromEntries(Object.entries(s).filter(([f]) => !LINK_EXCLUDED.has(f))));
+  return { sc, global: study.global, active: study.active };
+}
+
+/**
+ * Codifica el estudio como token para el hash de la URL.
+ */
+export async function encodeStudy(study) {
+  const json = JSON.stringify(linkPayload(study));
+  const packed = await pipe(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+  return `${STUDY_SCHEMA_VERSION}.${toBase64Url(packed)}`;
+}
+
+/**
+ * Decodifica un token de `encodeStudy`. Lanza `Error` si está dañado o viene
+ * de un esquema más nuevo; los de esquemas anteriores se migran.
+ */
+export async function decodeStudy(token) {
+  const m = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ""));
+  if (!m) throw new Error("El enlace no contiene un estudio válido.");
+
+  const version = Number(m[1]);
+  if (version > STUDY_SCHEMA_VERSION) {
+    throw new Error("El enlace se creó con una versión más nueva de la app.");
+  }
+
+  let raw;
+  try {
+    const bytes = await pipe(fromBase64Url(m[2]), new DecompressionStream("deflate-raw"));
+    raw = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("El enlace está incompleto o dañado.");
+  }
+
+  if (version >= 3) return normalizeStudy(raw);
+  // v1/v2 solo traían lo que difería de los valores por defecto: se completan
+  // con ellos antes de migrar, salvo los campos que la migración deriva del
+  // propio enlace (p. ej. `omEscalation` = escalamiento de la tarifa).
+  const defaults = (id) => {
+    const def = baseFor(id);
+    for (const f of MIGRATED_FIELDS) delete def[f];
+    return def;
+  };
+  const sc = scenarioEntries(raw.sc).map(([id, s]) => ({ ...defaults(id), ...s, id }));
+  return normalizeStudy({ ...raw, sc });
+}
+
+/** URL absoluta con el estudio en el hash. */
+export async function buildShareUrl(study, href = window.location.href) {
+  const url = new URL(href);
+  url.hash = `${HASH_KEY}=${await encodeStudy(study)}`;
+  return url.toString();
+}
+
+/** Token del estudio en un hash `#s=…`, o null si no hay. */
+export function studyTokenFromHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  return params.get(HASH_KEY);
+}
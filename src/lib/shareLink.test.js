@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import { encodeStudy, decodeStudy, buildShareUrl, studyTokenFromHash, linkDropsProfiles } from "./shareLink.js";
+import { defaultStudy, STUDY_SCHEMA_VERSION } from "./study.js";
+
+// Token como los de `encodeStudy` con un payload y versión arbitrarios.
+async function packToken(version, payload) {
+  const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  const b64 = btoa(String.fromCharCode(...bytes));
+  return `${version}.${b64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+}
+
+describe("enlace compartible", () => {
+  it("ida y vuelta exacta", async () => {
+    const study = defaultStudy();
+    study.sc[0] = { ...study.sc[0], kW: 31.5, tariffMode: "manual", tariffList: "900, 950" };
+    study.sc[2].name = "Cliente – opción ñ";
+    study.global.useVolatility = true;
+    study.active = "C";
+    expect(await decodeStudy(await encodeStudy(study))).toEqual(study);
+  });
+
+  it("conserva escenarios agregados, orden y colores", async () => {
+    const study = defaultStudy();
+    study.sc = [study.sc[2], { ...study.sc[0], id: "D", name: "Inversor X", color: "#123456" }];
+    study.active = "D";
+    expect(await decodeStudy(await encodeStudy(study))).toEqual(study);
+  });
+
+  it("deja fuera los perfiles horarios", async () => {
+    const study = defaultStudy();
+    study.sc[1] = { ...study.sc[1], selfConsumptionMode: "hourly", loadProfile: new Array(8760).fill(1), loadProfileName: "carga.csv" };
+    expect(linkDropsProfiles(study)).toBe(true);
+    const token = await encodeStudy(study);
+    expect(token.length).toBeLessThan(2000);
+    const back = await decodeStudy(token);
+    expect(back.sc[1].loadProfile).toBeNull();
+    expect(back.sc[1].loadProfileName).toBe("");
+    expect(back.sc[1].selfConsumptionMode).toBe("hourly");
+  });
+
+  it("el estudio por defecto da un token que cabe en una URL", async () => {
+    expect((await encodeStudy(defaultStudy())).length).toBeLessThan(2000);
+  });
+
+  it("lleva todos los campos: un cambio de valores por defecto no altera el enlace", async () => {
+    const token = await encodeStudy(defaultStudy());
+    const bytes = Uint8Array.from(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    const payload = JSON.parse(await new Response(stream).text());
+    expect(payload.sc[1]).toMatchObject({ omEscalation: 0.08, discountRate: 0.12, taxMode: "simple" });
+    expect(payload.sc[1]).not.toHaveProperty("loadProfile");
+  });
+
+  it("un enlace v2 anterior a omEscalation conserva el O&M escalando con la tarifa", async () => {
+    // Generado por la app antes de separar el escalamiento del O&M.
+    const token =
+      "2.fY7BCsIwEET_Zc5B9Lo3K_0D8VJ6WNONLISkNNtSKf13iehNPM-bN7OheFC3QQcQznDwPKpxbBdJVkBdv7tP2sDBeNIQ2uI5smlOoOPh9K90-" +
+      "ansHR4x3zmCNmjycR7kymsjSYIayKZZHOYit1x3otoTFDgWcV-8Xcc8VV1ldwf2pou8b-4v";
+    const back = await decodeStudy(token);
+    expect(back.sc[1]).toMatchObject({ tariffEscalation: 0.1, omEscalation: 0.1 });
+    expect(back.sc[0].omEscalation).toBe(back.sc[0].tariffEscalation);
+  });
+
+  it("un enlace v2 anterior a deductionCap conserva el tope por ingreso gravable", async () => {
+    // Generado por la app cuando un ingreso gravable > 0 siempre topaba la deducción.
+    const token =
+      "2.bY49D4JAEET_y9Rb2NhcJ4bC3tgQiuVYzCXrHeEWgiH8d4NfFdO-mZdZkD1ctSC0cDiB4LkPxlpOEi3DVfVKX1rsUYLxzI3KJfr0ELjj4ZP_" +
+      "7LwrrQl3TQ0r3IIQvY6tXHkuJEoXDM6GUQhjlltStqDBnnAdaxb61cu5T8Om27orgb2FSd5H1xc";
+    const back = await decodeStudy(token);
+    expect(back.sc[1]).toMatchObject({ taxableIncome: 50000000, deductionCap: "income" });
+    expect(back.sc[0].deductionCap).toBe("none");
+  });
+
+  it("el tope de deducción va y vuelve en el enlace", async () => {
+    const study = defaultStudy();
+    study.sc[1] = { ...study.sc[1], deductionCap: "income", taxableIncome: 0 };
+    study.sc[2] = { ...study.sc[2], deductionCap: "none", taxableIncome: 80000000 };
+    expect(await decodeStudy(await encodeStudy(study))).toEqual(study);
+  });
+
+  it("un enlace v2 (solo diferencias) se completa con los valores por defecto", async () => {
+    const token = await packToken(2, { sc: [{ id: "A" }, { id: "B", kW: 30 }, { id: "C" }], global: defaultStudy().global, active: "B" });
+    const expected = defaultStudy();
+    expected.sc[1].kW = 30;
+    expect(await decodeStudy(token)).toEqual(expected);
+  });
+
+  it("el hash de la URL se lee de vuelta", async () => {
+    const url = await buildShareUrl(defaultStudy(), "https://ejemplo.co/app?x=1");
+    const token = studyTokenFromHash(new URL(url).hash);
+    expect(token.startsWith(`${STUDY_SCHEMA_VERSION}.`)).toBe(true);
+    expect(await decodeStudy(token)).toEqual(defaultStudy());
+  });
+
+  it("sin token en el hash", () => {
+    expect(studyTokenFromHash("")).toBeNull();
+    expect(studyTokenFromHash("#otra=1")).toBeNull();
+  });
+
+  it("rechaza enlaces dañados o de esquemas más nuevos", async () => {
+    await expect(decodeStudy("basura")).rejects.toThrow(/válido/);
+    await expect(decodeStudy("1.AAAA")).rejects.toThrow(/dañado/);
+    const token = await encodeStudy(defaultStudy());
+    await expect(decodeStudy(token.replace(/^\d+/, String(STUDY_SCHEMA_VERSION + 1)))).rejects.toThrow(/más nueva/);
+  });
+});
@@ -0,0 +1,90 @@
+import { normalizeStudy } from "./study.js";
+
+/* ---------------- Persistencia local ---------------- */
+const SESSION_KEY = "smart-energy-roi:session";
+const PROJECTS_KEY = "smart-energy-roi:projects";
+
+// localStorage puede no existir (SSR, scripts) o lanzar (modo privado / cuota).
+function store() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function readJSON(key, fallback) {
+  try {
+    const raw = store()?.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    store()?.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Último estudio abierto, o null si no hay nada guardado. */
+export function loadSession() {
+  const raw = readJSON(SESSION_KEY, null);
+  return raw ? normalizeStudy(raw) : null;
+}
+
+export function saveSession(study) {
+  return writeJSON(SESSION_KEY, study);
+}
+
+/* ---------------- Biblioteca de proyectos ---------------- */
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Proyectos guardados, más reciente primero: `{ id, name, updatedAt }[]`.
+ */
+export function listProjects() {
+  const all = readJSON(PROJECTS_KEY, []);
+  return (Array.isArray(all) ? all : [])
+    .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Guarda `study` con `name`. Si ya existe un proyecto con ese nombre se
+ * sobrescribe. Devuelve el id, o null si no se pudo escribir (cuota llena,
+ * modo privado): un estudio con perfiles de 8760 h puede no caber.
+ */
+export function saveProject(name, study) {
+  const all = readJSON(PROJECTS_KEY, []);
+  const clean = String(name || "").trim() || "Sin nombre";
+  const existing = all.find((p) => p.name === clean);
+  const id = existing?.id ?? newId();
+  const record = { id, name: clean, updatedAt: Date.now(), study };
+  return writeJSON(PROJECTS_KEY, [...all.filter((p) => p.id !== id), record]) ? id : null;
+}
+
+export function loadProject(id) {
+  const p = readJSON(PROJECTS_KEY, []).find((x) => x.id === id);
+  return p ? normalizeStudy(p.study) : null;
+}
+
+export function renameProject(id, name) {
+  const clean = String(name || "").trim();
+  if (!clean) return false;
+  const all = readJSON(PROJECTS_KEY, []);
+  if (!all.some((p) => p.id === id)) return false;
+  return writeJSON(
+    PROJECTS_KEY,
+    all.map((p) => (p.id === id ? { ...p, name: clean, updatedAt: Date.now() } : p))
+  );
+}
+
+export function deleteProject(id) {
+  return writeJSON(PROJECTS_KEY, readJSON(PROJECTS_KEY, []).filter((p) => p.id !== id));
+}
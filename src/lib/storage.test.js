@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import {
+  loadSession,
+  saveSession,
+  listProjects,
+  saveProject,
+  loadProject,
+  renameProject,
+  deleteProject
+} from "./storage.js";
+import { defaultStudy } from "./study.js";
+
+function memoryStorage() {
+  const m = new Map();
+  return {
+    getItem: (k) => (m.has(k) ? m.get(k) : null),
+    setItem: (k, v) => m.set(k, String(v)),
+    removeItem: (k) => m.delete(k)
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("sesión", () => {
+  it("null cuando no hay nada guardado", () => {
+    expect(loadSession()).toBeNull();
+  });
+
+  it("guarda y recupera escenarios, toggles y activo", () => {
+    const study = defaultStudy();
+    study.sc[0].kW = 10;
+    study.global.includeExports = false;
+    study.active = "C";
+    saveSession(study);
+    const back = loadSession();
+    expect(back.sc[0].kW).toBe(10);
+    expect(back.global.includeExports).toBe(false);
+    expect(back.active).toBe("C");
+  });
+
+  it("migra escenarios con el esquema antiguo", () => {
+    localStorage.setItem("smart-energy-roi:session", JSON.stringify({ sc: { A: { potencia: "6", vida: 20 } } }));
+    const back = loadSession();
+    expect(back.sc.map((s) => s.id)).toEqual(["A"]);
+    expect(back.sc[0]).toMatchObject({ name: "Conservador", kW: 6, lifeYears: 20 });
+    expect(back.active).toBe("A");
+  });
+
+  it("JSON corrupto se ignora", () => {
+    localStorage.setItem("smart-energy-roi:session", "{nope");
+    expect(loadSession()).toBeNull();
+  });
+});
+
+describe("biblioteca de proyectos", () => {
+  it("guardar, abrir, renombrar y eliminar", () => {
+    const study = defaultStudy();
+    study.sc[1].capex = 1;
+    const id = saveProject("Cliente X", study);
+
+    expect(listProjects().map((p) => p.name)).toEqual(["Cliente X"]);
+    expect(loadProject(id).sc[1].capex).toBe(1);
+
+    expect(renameProject(id, "  Cliente Y ")).toBe(true);
+    expect(listProjects()[0]).toMatchObject({ id, name: "Cliente Y" });
+
+    deleteProject(id);
+    expect(listProjects()).toEqual([]);
+    expect(loadProject(id)).toBeNull();
+  });
+
+  it("guardar con un nombre existente lo sobrescribe", () => {
+    const id = saveProject("P", defaultStudy());
+    expect(saveProject("P", defaultStudy())).toBe(id);
+    expect(listProjects()).toHaveLength(1);
+  });
+
+  it("si el navegador no deja escribir, guardar devuelve null", () => {
+    const full = memoryStorage();
+    full.setItem = () => {
+      throw new DOMException("cuota excedida", "QuotaExceededError");
+    };
+    vi.stubGlobal("localStorage", full);
+    expect(saveProject("P", defaultStudy())).toBeNull();
+    expect(listProjects()).toEqual([]);
+  });
+
+  it("no renombra a vacío", () => {
+    const id = saveProject("P", defaultStudy());
+    expect(renameProject(id, "  ")).toBe(false);
+    expect(listProjects()[0].name).toBe("P");
+  });
+});
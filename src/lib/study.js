@@ -0,0 +1,101 @@
+import {
+  defaultScenario,
+  defaultScenarios,
+  defaultGlobal,
+  migrateScenario,
+  SCENARIO_PALETTE
+} from "../engine/index.js";
+import { version } from "../../package.json";
+
+/* ---------------- Estudio (escenarios + toggles) ---------------- */
+
+export const APP_VERSION = version;
+
+/**
+ * Versión del formato del estudio. Súbela cuando cambie el esquema y agrega
+ * la conversión en `normalizeStudy`/`migrateScenario`.
+ *
+ * - v1: `sc` = objeto `{ A, B, C }`, color como `colorKey`.
+ * - v2: `sc` = lista ordenada de escenarios con `id` y `color`.
+ * - v3: los enlaces llevan todos los campos del escenario (antes, solo los
+ *   que diferían de los valores por defecto).
+ */
+export const STUDY_SCHEMA_VERSION = 3;
+
+/**
+ * Un estudio es lo que se guarda, exporta o comparte:
+ * `{ sc: Scenario[], global, active }` con `active` = id del escenario activo.
+ */
+export const createStudy = (sc, global, active) => ({ sc, global, active });
+
+export const defaultStudy = () => createStudy(defaultScenarios(), defaultGlobal(), "B");
+
+/**
+ * Escenarios crudos como pares `[id, escenario]`, sea lista (v2) u objeto
+ * por clave (v1).
+ */
+export function scenarioEntries(sc) {
+  if (Array.isArray(sc)) return sc.map((s) => [s?.id == null ? "" : String(s.id), s]);
+  if (sc && typeof sc === "object") return Object.entries(sc);
+  return [];
+}
+
+/** Primer id libre: A…Z y luego S27, S28, … */
+export function nextScenarioId(ids) {
+  const used = new Set(ids);
+  for (let i = 0; i < 26; i++) {
+    const id = String.fromCharCode(65 + i);
+    if (!used.has(id)) return id;
+  }
+  let k = 27;
+  while (used.has(`S${k}`)) k++;
+  return `S${k}`;
+}
+
+/** Escenario nuevo con id y color libres. */
+export function newScenario(sc, template) {
+  const id = nextScenarioId(sc.map((s) => s.id));
+  const used = new Set(sc.map((s) => s.color));
+  const color = SCENARIO_PALETTE.find((c) => !used.has(c)) || SCENARIO_PALETTE[sc.length % SCENARIO_PALETTE.length];
+  const base = template ? { ...template } : defaultScenario("", color);
+  return { ...base, id, color, name: template ? `${template.name} (copia)` : `Escenario ${id}` };
+}
+
+/** Mueve el escenario `id` una posición (`dir` = -1 arriba, +1 abajo). */
+export function moveScenario(sc, id, dir) {
+  const i = sc.findIndex((s) => s.id === id);
+  const j = i + dir;
+  if (i < 0 || j < 0 || j >= sc.length) return sc;
+  const out = [...sc];
+  [out[i], out[j]] = [out[j], out[i]];
+  return out;
+}
+
+/**
+ * Normaliza un estudio leído de fuera (localStorage, archivo, enlace):
+ * migra cada escenario (v1 → v2 incluido) y completa lo que falte con los
+ * valores por defecto.
+ */
+export function normalizeStudy(raw) {
+  const base = defaultStudy();
+  if (!raw || typeof raw !== "object") return base;
+
+  const sc = [];
+  for (const [rawId, s] of scenarioEntries(raw.sc)) {
+    if (!s || typeof s !== "object") continue;
+    const used = sc.map((x) => x.id);
+    const id = rawId && !used.includes(rawId) ? rawId : nextScenarioId(used);
+    const def = base.sc.find((x) => x.id === id);
+    const color = def?.color ?? SCENARIO_PALETTE[sc.length % SCENARIO_PALETTE.length];
+    sc.push({ ...migrateScenario(s, def?.name ?? `Escenario ${id}`, color), id });
+  }
+
+  const global = { ...base.global };
+  for (const k of Object.keys(global)) {
+    if (typeof raw.global?.[k] === "boolean") global[k] = raw.global[k];
+  }
+
+  if (!sc.length) return createStudy(base.sc, global, base.active);
+  const active = sc.some((s) => s.id === raw.active) ? raw.active : sc[0].id;
+  return createStudy(sc, global, active);
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { defaultStudy, normalizeStudy, nextScenarioId, newScenario, moveScenario } from "./study.js";
+
+describe("normalizeStudy", () => {
+  it("convierte el estudio v1 { A, B, C } en lista ordenada", () => {
+    const v1 = {
+      sc: {
+        A: { name: "Conservador", colorKey: "green", kW: 5 },
+        B: { name: "Base", colorKey: "blue" },
+        C: { name: "Optimista", colorKey: "purple" }
+      },
+      global: { includeTaxBenefit: false },
+      active: "C"
+    };
+    const s = normalizeStudy(v1);
+    expect(s.sc.map((x) => [x.id, x.color])).toEqual([["A", "#22c55e"], ["B", "#3b82f6"], ["C", "#a855f7"]]);
+    expect(s.sc[0].kW).toBe(5);
+    expect(s.global.includeTaxBenefit).toBe(false);
+    expect(s.active).toBe("C");
+  });
+
+  it("reasigna ids vacíos o repetidos", () => {
+    const s = normalizeStudy({ sc: [{ id: "A" }, { id: "A" }, {}] });
+    expect(s.sc.map((x) => x.id)).toEqual(["A", "B", "C"]);
+  });
+
+  it("sin escenarios vuelve a los de arranque", () => {
+    expect(normalizeStudy({ sc: [] })).toEqual(defaultStudy());
+  });
+});
+
+describe("operaciones sobre escenarios", () => {
+  it("nextScenarioId sigue el abecedario", () => {
+    expect(nextScenarioId(["A", "B", "C"])).toBe("D");
+    expect(nextScenarioId(["B"])).toBe("A");
+  });
+
+  it("newScenario copia la plantilla con id y color libres", () => {
+    const { sc } = defaultStudy();
+    const s = newScenario(sc, sc[1]);
+    expect(s).toMatchObject({ id: "D", name: "Base (copia)", color: "#f59e0b", capex: sc[1].capex });
+  });
+
+  it("moveScenario intercambia con el vecino y respeta los bordes", () => {
+    const { sc } = defaultStudy();
+    expect(moveScenario(sc, "B", -1).map((s) => s.id)).toEqual(["B", "A", "C"]);
+    expect(moveScenario(sc, "C", 1)).toBe(sc);
+  });
+});
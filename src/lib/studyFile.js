@@ -0,0 +1,70 @@
+import { INCENTIVOS, SITES, validateScenario } from "../engine/index.js";
+import { APP_VERSION, STUDY_SCHEMA_VERSION, normalizeStudy, scenarioEntries } from "./study.js";
+
+/* ---------------- Archivo JSON del estudio ---------------- */
+const APP_ID = "smart-energy-roi";
+
+/**
+ * Serializa el estudio con la versión de la app y del esquema.
+ */
+export function serializeStudy(study) {
+  const file = {
+    app: APP_ID,
+    appVersion: APP_VERSION,
+    schemaVersion: STUDY_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    study
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Lee un archivo de estudio. Lanza `Error` si no es un estudio válido o es de
+ * una versión más nueva del esquema. Los valores inválidos o fuera de rango
+ * no se corrigen: se reportan en `issues` (uno por campo, con su escenario).
+ *
+ * @returns {{ study: object, issues: { scenario: string, field: string, value: *, message: string }[], meta: object }}
+ */
+export function parseStudyFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("El archivo no es JSON válido.");
+  }
+
+  if (!file || file.app !== APP_ID || !file.study) {
+    throw new Error("El archivo no es un estudio de Smart Energy ROI.");
+  }
+  const schemaVersion = Number(file.schemaVersion) || 0;
+  if (schemaVersion > STUDY_SCHEMA_VERSION) {
+    throw new Error(
+      `El estudio usa el esquema v${schemaVersion}; esta versión de la app solo lee hasta v${STUDY_SCHEMA_VERSION}.`
+    );
+  }
+
+  const incentiveKeys = INCENTIVOS.map((x) => x.key);
+  const siteKeys = SITES.map((x) => x.key);
+  const issues = [];
+  for (const [key, raw] of scenarioEntries(file.study.sc)) {
+    for (const issue of validateScenario(raw, { incentiveKeys, siteKeys })) {
+      issues.push({ scenario: key, ...issue });
+    }
+  }
+
+  return {
+    study: normalizeStudy(file.study),
+    issues,
+    meta: { appVersion: file.appVersion, schemaVersion, exportedAt: file.exportedAt }
+  };
+}
+
+/**
+ * Nombre de archivo sugerido: `Smart_Energy_ROI_<nombre>_<fecha>.json`. Sin
+ * `name` usa el nombre del escenario activo de `study`.
+ */
+export function studyFileName(name, study) {
+  const fallback = study?.sc.find((s) => s.id === study.active)?.name;
+  const slug = String(name || fallback || "estudio").trim().replace(/[^\p{L}\p{N}_-]+/gu, "_") || "estudio";
+  return `Smart_Energy_ROI_${slug}_${new Date().toISOString().slice(0, 10)}.json`;
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { serializeStudy, parseStudyFile, studyFileName } from "./studyFile.js";
+import { defaultStudy, STUDY_SCHEMA_VERSION } from "./study.js";
+
+describe("archivo de estudio", () => {
+  it("ida y vuelta sin problemas", () => {
+    const study = defaultStudy();
+    study.sc[2].kW = 50;
+    study.active = "A";
+    const { study: back, issues, meta } = parseStudyFile(serializeStudy(study));
+    expect(issues).toEqual([]);
+    expect(back).toEqual(study);
+    expect(meta.schemaVersion).toBe(STUDY_SCHEMA_VERSION);
+  });
+
+  it("reporta campos fuera de rango por escenario y no los acota", () => {
+    const study = defaultStudy();
+    study.sc[1].discountRate = 0.75;
+    study.sc[2].taxRate = 0.6;
+    const { study: back, issues } = parseStudyFile(serializeStudy(study));
+    expect(issues.map((i) => `${i.scenario}.${i.field}`)).toEqual(["B.discountRate", "C.taxRate"]);
+    expect(back.sc[1].discountRate).toBe(0.75);
+  });
+
+  it("rechaza JSON inválido, otros archivos y esquemas más nuevos", () => {
+    expect(() => parseStudyFile("{")).toThrow(/JSON/);
+    expect(() => parseStudyFile(JSON.stringify({ foo: 1 }))).toThrow(/no es un estudio/);
+    const newer = JSON.parse(serializeStudy(defaultStudy()));
+    newer.schemaVersion = STUDY_SCHEMA_VERSION + 1;
+    expect(() => parseStudyFile(JSON.stringify(newer))).toThrow(/esquema/);
+  });
+
+  it("nombre de archivo sin caracteres problemáticos", () => {
+    expect(studyFileName("Cliente / Sede Norte")).toMatch(/^Smart_Energy_ROI_Cliente_Sede_Norte_\d{4}-\d{2}-\d{2}\.json$/);
+  });
+
+  it("sin nombre usa el del escenario activo", () => {
+    const study = defaultStudy();
+    study.active = "C";
+    study.sc.find((s) => s.id === "C").name = "Sede Sur";
+    expect(studyFileName("", study)).toMatch(/^Smart_Energy_ROI_Sede_Sur_\d{4}-\d{2}-\d{2}\.json$/);
+    expect(studyFileName("", { ...study, active: "Z" })).toMatch(/^Smart_Energy_ROI_estudio_/);
+  });
+});
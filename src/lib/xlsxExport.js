@@ -0,0 +1,131 @@
+import { ANNUAL_COLUMNS, annualRows } from "./annualTable.js";
+import { downloadFile } from "./download.js";
+import { fmtBasis, fmtCOP, fmtNum } from "./format.js";
+
+/* ---------------- Exportación XLSX ---------------- */
+
+const NUM_FMT = { int: "0", cop: "#,##0", kwh: "#,##0", pct: "0.00%" };
+const col = (i) => String.fromCharCode(65 + i); // A… (la tabla tiene < 26 columnas)
+
+// Los arreglos van resumidos: los perfiles de 8760 h superan el límite de
+// 32.767 caracteres por celda de Excel. `undefined` = se omite la fila.
+function assumptionValue(field, value, scenario) {
+  if (value === null || typeof value !== "object") return value;
+  const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+  switch (field) {
+    case "loadProfile":
+      return `${scenario.loadProfileName || "perfil cargado"} • ${fmtNum(sum(value))} kWh/año`;
+    case "solarProfile":
+      return `${scenario.solarProfileName || "perfil cargado"} • ${value.length} h`;
+    case "pshMonthly":
+      return value.map((v) => fmtNum(v, 2)).join(" / ");
+    case "capitalEvents":
+      return value.map((e) => `año ${e.year} ${e.description} $ ${fmtCOP(e.cost)}`).join(" • ") || "—";
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Libro con la tabla anual y los supuestos del escenario. El acumulado, los
+ * totales, el VPN y la TIR van como fórmulas de Excel (con su resultado en
+ * caché) para que finanzas pueda auditar el modelo.
+ *
+ * @param {typeof import("exceljs")} ExcelJS
+ */
+export function buildAnnualWorkbook(ExcelJS, { scenario, model }) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Smart Energy ROI";
+  const ws = wb.addWorksheet("Flujo anual");
+
+  const netCol = col(ANNUAL_COLUMNS.findIndex((c) => c.key === "net"));
+  const cumCol = col(ANNUAL_COLUMNS.findIndex((c) => c.key === "cum"));
+
+  ws.getCell("A1").value = `Smart Energy ROI • Escenario ${scenario.id} (${scenario.name})`;
+  ws.getCell("A1").font = { bold: true, size: 13 };
+  ws.getCell("A2").value = "Tasa de descuento";
+  ws.getCell("B2").value = model.discountRate;
+  ws.getCell("B2").numFmt = NUM_FMT.pct;
+  ws.getCell("A3").value = "Base";
+  ws.getCell("B3").value = fmtBasis(model);
+
+  const headerRow = 4;
+  ANNUAL_COLUMNS.forEach((c, i) => {
+    const cell = ws.getCell(`${col(i)}${headerRow}`);
+    cell.value = c.label;
+    cell.font = { bold: true };
+    ws.getColumn(i + 1).width = Math.max(10, c.label.length + 2);
+    ws.getColumn(i + 1).numFmt = NUM_FMT[c.unit] || "#,##0.00";
+  });
+  ws.getColumn(2).numFmt = "#,##0.00";
+
+  const rows = annualRows(model);
+  const first = headerRow + 1;
+  const last = first + rows.length - 1;
+
+  rows.forEach((r, k) => {
+    const rowNum = first + k;
+    ANNUAL_COLUMNS.forEach((c, i) => {
+      const ref = `${col(i)}${rowNum}`;
+      if (c.key === "cum") {
+        const formula = k === 0 ? `${netCol}${rowNum}` : `${cumCol}${rowNum - 1}+${netCol}${rowNum}`;
+        ws.getCell(ref).value = { formula, result: r.cum };
+      } else {
+        ws.getCell(ref).value = r[c.key];
+      }
+    });
+  });
+
+  const totalRow = last + 1;
+  ws.getCell(`A${totalRow}`).value = "Total";
+  ws.getCell(`A${totalRow}`).font = { bold: true };
+  ANNUAL_COLUMNS.forEach((c, i) => {
+    if (!c.total) return;
+    const L = col(i);
+    const result = rows.reduce((acc, r) => acc + (r[c.key] || 0), 0);
+    const cell = ws.getCell(`${L}${totalRow}`);
+    cell.value = { formula: `SUM(${L}${first}:${L}${last})`, result };
+    cell.font = { bold: true };
+  });
+
+  const npvRow = totalRow + 2;
+  ws.getCell(`A${npvRow}`).value = "VPN";
+  ws.getCell(`B${npvRow}`).value = {
+    formula: `NPV($B$2,${netCol}${first + 1}:${netCol}${last})+${netCol}${first}`,
+    result: model.NPV
+  };
+  ws.getCell(`B${npvRow}`).numFmt = NUM_FMT.cop;
+  ws.getCell(`A${npvRow + 1}`).value = "TIR";
+  ws.getCell(`B${npvRow + 1}`).value = {
+    formula: `IRR(${netCol}${first}:${netCol}${last})`,
+    result: model.IRR ?? undefined
+  };
+  ws.getCell(`B${npvRow + 1}`).numFmt = NUM_FMT.pct;
+  ws.views = [{ state: "frozen", ySplit: headerRow }];
+
+  const inputs = wb.addWorksheet("Supuestos");
+  inputs.columns = [
+    { header: "Campo", key: "field", width: 22 },
+    { header: "Valor", key: "value", width: 28 }
+  ];
+  inputs.getRow(1).font = { bold: true };
+  for (const [field, raw] of Object.entries(scenario)) {
+    const value = assumptionValue(field, raw, scenario);
+    if (value !== undefined) inputs.addRow({ field, value });
+  }
+
+  return wb;
+}
+
+/**
+ * Descarga la tabla anual como .xlsx. ExcelJS se carga solo al exportar.
+ */
+export async function exportAnnualXlsx({ scenario, model }) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = buildAnnualWorkbook(ExcelJS, { scenario, model });
+  const buffer = await wb.xlsx.writeBuffer();
+  downloadFile(
+    `Smart_Energy_ROI_${scenario.id}_flujo_anual.xlsx`,
+    new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" })
+  );
+}
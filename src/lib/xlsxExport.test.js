@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import ExcelJS from "exceljs";
+import { buildAnnualWorkbook } from "./xlsxExport.js";
+import { computeScenario, defaultScenarios, defaultGlobal } from "../engine/index.js";
+
+describe("buildAnnualWorkbook", () => {
+  const scenario = defaultScenarios()[1];
+  const model = computeScenario(scenario, defaultGlobal(), scenario.id);
+
+  it("escribe fórmulas de acumulado, totales, VPN y TIR", async () => {
+    const buffer = await buildAnnualWorkbook(ExcelJS, { scenario, model }).xlsx.writeBuffer();
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buffer);
+    const ws = wb.getWorksheet("Flujo anual");
+
+    const first = 5;
+    const last = first + model.years;
+    expect(ws.getCell(`O${first}`).value).toBeCloseTo(-model.capexNeto, 6);
+    expect(ws.getCell(`P${first + 1}`).value.formula).toBe(`P${first}+O${first + 1}`);
+    expect(ws.getCell(`O${last + 1}`).value.formula).toBe(`SUM(O${first}:O${last})`);
+
+    const npvCell = ws.getCell(`B${last + 3}`).value;
+    expect(npvCell.formula).toBe(`NPV($B$2,O${first + 1}:O${last})+O${first}`);
+    expect(npvCell.result).toBeCloseTo(model.NPV, 6);
+    expect(ws.getCell(`B${last + 4}`).value.formula).toBe(`IRR(O${first}:O${last})`);
+
+    expect(wb.getWorksheet("Supuestos").getCell("B2").value).toBe(scenario.id);
+  });
+
+  it("resume los perfiles horarios y los eventos en Supuestos", async () => {
+    const withProfile = {
+      ...scenario,
+      loadProfile: Array(8760).fill(1.5),
+      loadProfileName: "consumo.csv",
+      solarProfile: Array(8760).fill(1),
+      solarProfileName: "pvgis.csv",
+      pshMode: "monthly",
+      pshMonthly: Array(12).fill(4.25),
+      capitalEvents: [{ year: 12, description: "Inversor", cost: 8000000, escalation: 0 }]
+    };
+    const m = computeScenario(withProfile, defaultGlobal(), withProfile.id);
+    const buffer = await buildAnnualWorkbook(ExcelJS, { scenario: withProfile, model: m }).xlsx.writeBuffer();
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buffer);
+
+    const values = {};
+    wb.getWorksheet("Supuestos").eachRow((row) => {
+      values[row.getCell(1).value] = row.getCell(2).value;
+    });
+    expect(values.loadProfile).toMatch(/^consumo\.csv • 13.140 kWh\/año$/);
+    expect(values.solarProfile).toBe("pvgis.csv • 8760 h");
+    expect(values.capitalEvents).toMatch(/^año 12 Inversor \$ 8.000.000$/);
+    expect(values.pshMonthly).toBe(Array(12).fill("4,25").join(" / "));
+    for (const v of Object.values(values)) expect(String(v ?? "").length).toBeLessThan(32767);
+  });
+});